@@ -0,0 +1,114 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+
+// Fee engine for POS Mobile.
+// Works out taxes and fees on a sale so the cart, checkout, receipts and refunds
+// all use the same numbers.
+//
+// - Fees apply by `order`, lowest first. A compound fee is worked out on the
+//   amount plus the fees applied before it, e.g. PPN on top of the service charge.
+// - A scoped fee only charges the cart lines in its categories or products,
+//   e.g. PB1 on food only. Disabled fees never charge anything.
+// - With tax-inclusive prices, every amount the customer sees already holds its
+//   percentage taxes. Their share is extracted and shown but not added again.
+// - Each fee amount is rounded to whole rupiah by the store's rounding mode.
+
+export const FEE_ROUNDING_MODES = {
+    none: 'Tidak dibulatkan',
+    nearest: 'Ke rupiah terdekat',
+    up: 'Selalu ke atas',
+    down: 'Selalu ke bawah'
+};
+
+const ROUNDERS = {
+    none: amount => amount,
+    nearest: Math.round,
+    up: Math.ceil,
+    down: Math.floor
+};
+
+/**
+ * Fees in the order they apply: by `order`, then oldest first.
+ * Fees saved before ordering existed have no `order` and count as 0.
+ */
+export function sortFees(fees) {
+    return [...fees].sort((a, b) => (a.order || 0) - (b.order || 0) || (a.id || 0) - (b.id || 0));
+}
+
+export const isFeeEnabled = (fee) => fee.enabled !== false;
+
+/**
+ * Whether a fee charges a cart line. A fee without a scope charges every line.
+ * Fees sync between devices, so products are named by barcode rather than by
+ * their local id, which differs per device.
+ * @param {object} fee - Fee record; `scope` is {categories?: string[], barcodes?: string[]}.
+ * @param {{id: number, category?: string, barcode?: string}} line
+ */
+export function feeAppliesTo(fee, line) {
+    if (!fee.scope) return true;
+    const { categories = [], barcodes = [] } = fee.scope;
+    return categories.includes(line.category) || (Boolean(line.barcode) && barcodes.includes(line.barcode));
+}
+
+/**
+ * Works out every fee on a sale.
+ * @param {Array<{id: number, category?: string, barcode?: string, amount: number}>} lines - Cart
+ *   lines with their amount after all discounts.
+ * @param {object[]} fees - Fee records ({name, type, value, isTax, order, compound, scope, enabled}).
+ * @param {{pricesIncludeTax?: boolean, rounding?: string}} [options]
+ * @returns {{fees: object[], totalFees: number, includedTax: number, total: number}}
+ *   `fees` are the fees that charged something, in the order applied, with
+ *   `amount` and `included` set. `totalFees` only counts fees added on top.
+ */
+export function calculateFees(lines, fees, options = {}) {
+    const round = ROUNDERS[options.rounding] || ROUNDERS.none;
+    const amount = lines.reduce((sum, line) => sum + line.amount, 0);
+    let runningTotal = amount;
+
+    const appliedFees = [];
+    sortFees(fees.filter(isFeeEnabled)).forEach(fee => {
+        const matchingLines = lines.filter(line => feeAppliesTo(fee, line));
+        if (matchingLines.length === 0) return;
+
+        // A compound fee also charges the earlier fees, in proportion to the part of the sale it covers
+        const scopedAmount = matchingLines.reduce((sum, line) => sum + line.amount, 0);
+        const share = fee.scope ? (amount > 0 ? scopedAmount / amount : 0) : 1;
+        const base = fee.compound ? runningTotal * share : scopedAmount;
+        const included = Boolean(options.pricesIncludeTax && fee.isTax && fee.type === 'percentage');
+        let feeAmount = fee.value;
+        if (fee.type === 'percentage') {
+            feeAmount = included ? base * fee.value / (100 + fee.value) : base * (fee.value / 100);
+        }
+        feeAmount = round(feeAmount);
+        if (!included) runningTotal += feeAmount;
+        appliedFees.push({ ...fee, amount: feeAmount, included });
+    });
+
+    const { includedTax } = summarizeFees(appliedFees);
+    return {
+        fees: appliedFees,
+        totalFees: runningTotal - amount,
+        includedTax,
+        total: runningTotal
+    };
+}
+
+/**
+ * Splits the fees stored on a sale or refund into tax and operational fees.
+ * @returns {{tax: number, operational: number, includedTax: number}}
+ *   `includedTax` is the part of `tax` that was already inside the prices.
+ */
+export function summarizeFees(fees = []) {
+    return fees.reduce((totals, fee) => {
+        if (fee.isTax) {
+            totals.tax += fee.amount;
+            if (fee.included) totals.includedTax += fee.amount;
+        } else {
+            totals.operational += fee.amount;
+        }
+        return totals;
+    }, { tax: 0, operational: 0, includedTax: 0 });
+}
+
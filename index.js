@@ -3,11 +3,18 @@
  * SPDX-License-Identifier: Apache-2.0
 */
 
+import { calculateFees, sortFees, summarizeFees, isFeeEnabled, FEE_ROUNDING_MODES } from './fee-engine.js';
+import { isPromotionRunning, isWithinValidDates, evaluatePromotions } from './promotion-engine.js';
+import { hashSecret, verifySecret, createRecoveryCode, normalizeRecoveryCode, getLockoutDuration, PIN_FREE_ATTEMPTS } from './pin-security.js';
+
 // --- GLOBAL STATE & CONFIG ---
 let db;
 let cart = {
     items: [],
-    fees: []
+    fees: [],
+    discount: null, // Whole-cart discount, manual or from a promo code
+    orderId: null, // Self-order being rung up; marked completed with the sale
+    customer: null // { id, name, phone, points } of the customer buying, if picked
 };
 let currentImageData = null;
 let currentEditImageData = null;
@@ -16,17 +23,48 @@ let currentPage = 'dashboard';
 let confirmCallback = null;
 let html5QrCode;
 let currentReportData = [];
+let currentReportRefunds = []; // Refunds made within the report period
+let currentReportCreditPayments = []; // Kasbon repayments received within the report period
+let currentReceivableCustomerId = null; // Customer open in the kasbon repayment modal
+let currentDetailTransaction = null; // Transaction open in the detail/return view
 let lowStockThreshold = 5; // Default value
 let isOnline = navigator.onLine;
 let isSyncing = false;
+let syncRetryTimer = null;
+let syncDebounceTimer = null;
+let firstSyncRequestAt = null;
+let isSyncRequestedWhileBusy = false;
 let currentReceiptTransaction = null;
+let preparedReceiptShare = null; // The open receipt as { data, file, url }, built ahead of "Kirim Struk"
+let currentShift = null; // Open cashier shift, null while the drawer is closed
+let currentZReportShift = null; // Closed shift shown in the Z-report modal
+let promotionRules = []; // Promotions evaluated on every cart change
+let feeSettings = { pricesIncludeTax: false, rounding: 'none' }; // Options for the fee engine
+let cashRounding = { unit: 0, mode: 'nearest' }; // How cash bills are rounded; unit 0 is off
+let loyaltySettings = { enabled: false, earnAmount: 10000, pointValue: 100 }; // 1 point per earnAmount spent, worth pointValue when redeemed
+let checkoutPayments = []; // Split payments added before the final tender
+let selectedPaymentMethod = 'cash';
+let isPaymentKeypadVisible = window.matchMedia?.('(pointer: coarse)').matches || false; // On by default on touch screens
+let merchantQrisPayload = null; // Static QRIS of the store, from Settings
 let isPrinterReady = false;
 let isScannerReady = false;
 let isChartJsReady = false;
 let salesChartInstance = null;
 let scanCallback = null; // Callback for when scanning is used for input fields
 let isKioskModeActive = false;
+let kioskType = 'cashier'; // 'cashier' locks the app to the cashier page, 'selfOrder' shows the customer screen
+let selfOrderPrefix = ''; // Put before order numbers so several kiosks don't hand out the same number
+let selfOrderItems = []; // Customer's order on the self-order screen: [{ id, quantity }]
+let selfOrderCategory = 'all';
+let selfOrderTimer = null; // Resets the self-order screen after inactivity or a placed order
+let knownPendingOrderIds = null; // Pending orders already seen, to announce new ones; null before the first load
 let currentPinInput = "";
+let isCheckingPin = false; // Hashing takes a moment; keys pressed meanwhile are ignored
+let pinLockouts = {}; // Wrong PINs in a row on this device, per PIN (see getKeypadPinKey), kept in settings
+let pendingPinAction = null; // Run after the supervisor PIN is entered; null while unlocking kiosk mode
+let pendingLoginUser = null; // Account whose PIN is being entered on the login screen
+let currentUser = null; // Logged-in account, null when nobody is logged in
+let hasUserAccounts = false; // Without accounts the app is open to everyone
 let lastDashboardLoadDate = null;
 let audioContext = null; // For Web Audio API
 
@@ -111,7 +149,7 @@ function initDB() {
             return;
         }
 
-        const request = indexedDB.open('POS_DB', 7); 
+        const request = indexedDB.open('POS_DB', 18); 
 
         request.onerror = function(event) {
             console.error("Database error:", event.target.error);
@@ -121,6 +159,7 @@ function initDB() {
         
         request.onsuccess = function(event) {
             db = event.target.result;
+            window.PosSyncEngine.attach(db);
             resolve();
         };
         
@@ -217,6 +256,75 @@ function initDB() {
                     }
                 };
             }
+
+            if (event.oldVersion < 8) {
+                if (!db.objectStoreNames.contains('sync_conflicts')) {
+                    db.createObjectStore('sync_conflicts', { keyPath: 'key' });
+                }
+            }
+
+            if (event.oldVersion < 9) {
+                // Keeps the sync_queue id so a retried task returns to its original place
+                if (!db.objectStoreNames.contains('sync_dead_letter')) {
+                    db.createObjectStore('sync_dead_letter', { keyPath: 'id' });
+                }
+            }
+
+            if (event.oldVersion < 10) {
+                if (!db.objectStoreNames.contains('held_carts')) {
+                    db.createObjectStore('held_carts', { keyPath: 'id', autoIncrement: true });
+                }
+            }
+
+            if (event.oldVersion < 11) {
+                if (!db.objectStoreNames.contains('refunds')) {
+                    const refundStore = db.createObjectStore('refunds', { keyPath: 'id', autoIncrement: true });
+                    refundStore.createIndex('transactionId', 'transactionId', { unique: false });
+                }
+            }
+
+            if (event.oldVersion < 12) {
+                if (!db.objectStoreNames.contains('promo_codes')) {
+                    const promoStore = db.createObjectStore('promo_codes', { keyPath: 'id', autoIncrement: true });
+                    promoStore.createIndex('code', 'code', { unique: true });
+                }
+            }
+
+            if (event.oldVersion < 13) {
+                if (!db.objectStoreNames.contains('promotions')) {
+                    db.createObjectStore('promotions', { keyPath: 'id', autoIncrement: true });
+                }
+            }
+
+            if (event.oldVersion < 14) {
+                if (!db.objectStoreNames.contains('shifts')) {
+                    db.createObjectStore('shifts', { keyPath: 'id', autoIncrement: true });
+                }
+            }
+
+            if (event.oldVersion < 15) {
+                if (!db.objectStoreNames.contains('users')) {
+                    db.createObjectStore('users', { keyPath: 'id', autoIncrement: true });
+                }
+            }
+
+            if (event.oldVersion < 16) {
+                if (!db.objectStoreNames.contains('orders')) {
+                    db.createObjectStore('orders', { keyPath: 'id', autoIncrement: true });
+                }
+            }
+
+            if (event.oldVersion < 17) {
+                if (!db.objectStoreNames.contains('customers')) {
+                    db.createObjectStore('customers', { keyPath: 'id', autoIncrement: true });
+                }
+            }
+
+            if (event.oldVersion < 18) {
+                if (!db.objectStoreNames.contains('credit_payments')) {
+                    db.createObjectStore('credit_payments', { keyPath: 'id', autoIncrement: true });
+                }
+            }
         };
     });
 }
@@ -280,6 +388,25 @@ function putToDB(storeName, value) {
     });
 }
 
+function deleteFromDB(storeName, key) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            console.error('Database not initialized on deleteFromDB');
+            reject('Database not initialized');
+            return;
+        }
+        const transaction = db.transaction([storeName], 'readwrite');
+        const store = transaction.objectStore(storeName);
+        const request = store.delete(key);
+        request.onsuccess = () => {
+            resolve();
+        };
+        request.onerror = (event) => {
+            reject('Error deleting from DB: ' + event.target.error);
+        };
+    });
+}
+
 // Specific helpers for the settings store
 async function getSettingFromDB(key) {
     const setting = await getFromDB('settings', key);
@@ -292,39 +419,31 @@ async function putSettingToDB(setting) {
 
 // --- SERVER SYNC & OFFLINE HANDLING ---
 
-// MOCK SERVER DATA - In a real app, this would live on a server.
-const mockServerData = {
-    products: [],
-    categories: [
-        { serverId: 'server_cat_201', name: 'Lainnya', updatedAt: new Date().toISOString() }
-    ],
-    deleted: {
-        products: [], // e.g., ['server_id_of_deleted_product']
-        categories: []
-    }
+// The sync engine itself lives in public/sync-engine.js, shared with the service worker.
+const {
+    runSync,
+    getSyncTransport,
+    parseSyncAction,
+    syncRecordKey,
+    mergeSyncRecord,
+    requeueMergedRecord,
+    moveSyncTask,
+    createUniqueId,
+    getDeviceId
+} = window.PosSyncEngine;
+
+// Background Sync tag the service worker drains sync_queue on.
+const BACKGROUND_SYNC_TAG = 'pos-sync-queue';
+
+const SYNC_FIELD_LABELS = {
+    name: 'Nama',
+    price: 'Harga Jual'
 };
 
-/**
- * Mocks fetching data from a server.
- * @param {string | undefined} lastSync - The ISO string of the last sync time.
- * @returns {Promise<object>} A promise that resolves with updates.
- */
-async function mockFetchFromServer(lastSync) {
-    console.log('[SYNC] Mock fetching from server since:', lastSync);
-    // In a real app, you'd send lastSync to the server API.
-    // Here we simulate that by filtering items newer than the last sync.
-    const lastSyncDate = lastSync ? new Date(lastSync) : new Date(0); // If never synced, get all.
-
-    const updates = {
-        products: mockServerData.products.filter(p => new Date(p.updatedAt) > lastSyncDate),
-        categories: mockServerData.categories.filter(c => new Date(c.updatedAt) > lastSyncDate),
-        deleted: mockServerData.deleted // For simplicity, we send all deletions every time in this mock.
-    };
-
-    // Simulate network latency
-    return new Promise(resolve => setTimeout(() => resolve(updates), 500));
-}
-
+// Changes are sent once the app has been idle this long after the last one, but
+// never later than SYNC_MAX_WAIT after the first, so a busy shift still syncs.
+const SYNC_DEBOUNCE_DELAY = 3 * 1000;
+const SYNC_MAX_WAIT = 30 * 1000;
 
 function updateSyncStatusUI(status) {
     const syncIcon = document.getElementById('syncIcon');
@@ -350,6 +469,14 @@ function updateSyncStatusUI(status) {
             syncIcon.className = 'fas fa-exclamation-triangle text-red-500';
             syncText.textContent = 'Gagal sinkron';
             break;
+        case 'conflict':
+            syncIcon.className = 'fas fa-exclamation-circle text-yellow-500';
+            syncText.textContent = 'Ada konflik';
+            break;
+        case 'unconfigured':
+            syncIcon.className = 'fas fa-cloud text-gray-400';
+            syncText.textContent = 'Server belum diatur';
+            break;
         default:
             syncIcon.className = 'fas fa-sync-alt';
             syncText.textContent = 'Siap';
@@ -369,12 +496,42 @@ async function checkOnlineStatus() {
     }
 }
 
+/**
+ * Schedules a sync after a burst of local changes instead of one per change.
+ */
+function requestSync() {
+    const now = Date.now();
+    firstSyncRequestAt = firstSyncRequestAt || now;
+    const delay = Math.min(SYNC_DEBOUNCE_DELAY, Math.max(firstSyncRequestAt + SYNC_MAX_WAIT - now, 0));
+
+    clearTimeout(syncDebounceTimer);
+    syncDebounceTimer = setTimeout(() => {
+        syncDebounceTimer = null;
+        firstSyncRequestAt = null;
+        window.syncWithServer();
+    }, delay);
+}
+
+/**
+ * Asks the service worker to drain sync_queue as soon as the device is online,
+ * whether or not the app is still open. A no-op where Background Sync is unsupported.
+ */
+async function registerBackgroundSync() {
+    try {
+        const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+        if (registration?.sync) await registration.sync.register(BACKGROUND_SYNC_TAG);
+    } catch (error) {
+        console.warn('Background Sync registration failed:', error);
+    }
+}
+
 async function queueSyncAction(action, payload) {
     try {
         await putToDB('sync_queue', { action, payload, timestamp: new Date().toISOString() });
-        // Trigger sync immediately after queueing an action if online
         if (isOnline) {
-            window.syncWithServer();
+            requestSync();
+        } else {
+            registerBackgroundSync();
         }
     } catch (error) {
         console.error('Failed to queue sync action:', error);
@@ -382,6 +539,66 @@ async function queueSyncAction(action, payload) {
     }
 }
 
+/**
+ * Queues a stock change as a delta so that sales on several devices add up
+ * on the server instead of overwriting each other's stock.
+ * @param {object} product - The product after the change was applied locally.
+ * @param {number} delta - Units added (positive) or removed (negative).
+ * @param {string} reason - 'sale', 'manual' or 'correction'.
+ * @param {number} [transactionId] - The local transaction that caused the change.
+ */
+async function queueStockAdjustment(product, delta, reason, transactionId = null) {
+    if (delta === 0) return;
+    await queueSyncAction('STOCK_ADJUSTMENT', {
+        id: product.id,
+        serverId: product.serverId,
+        delta,
+        reason,
+        transactionId,
+        adjustmentId: createUniqueId(),
+        createdAt: new Date().toISOString()
+    });
+}
+
+/**
+ * Queues a change to a customer's points as a delta, like stock, so points
+ * earned on several devices add up.
+ * @param {object} customer - The customer after the change was applied locally.
+ * @param {number} delta - Points added (positive) or taken (negative).
+ * @param {string} reason - 'sale', 'void' or 'refund'.
+ * @param {number} [transactionId] - The local transaction that caused the change.
+ */
+async function queuePointsAdjustment(customer, delta, reason, transactionId = null) {
+    if (delta === 0) return;
+    await queueSyncAction('POINTS_ADJUSTMENT', {
+        id: customer.id,
+        serverId: customer.serverId,
+        delta,
+        reason,
+        transactionId,
+        adjustmentId: createUniqueId(),
+        createdAt: new Date().toISOString()
+    });
+}
+
+/**
+ * Wakes the sync up when the earliest backed-off task becomes due.
+ */
+async function scheduleSyncRetry() {
+    clearTimeout(syncRetryTimer);
+    syncRetryTimer = null;
+
+    const dueTimes = (await getAllFromDB('sync_queue'))
+        .filter(task => task.nextAttemptAt)
+        .map(task => new Date(task.nextAttemptAt).getTime());
+    if (dueTimes.length === 0) return;
+
+    const delay = Math.max(Math.min(...dueTimes) - Date.now(), 0);
+    syncRetryTimer = setTimeout(() => {
+        syncRetryTimer = null;
+        if (isOnline) window.syncWithServer();
+    }, delay);
+}
 
 window.syncWithServer = async function(isManual = false) {
     if (!isOnline) {
@@ -391,6 +608,8 @@ window.syncWithServer = async function(isManual = false) {
     }
     if (isSyncing) {
         if (isManual) showToast('Sinkronisasi sedang berjalan.');
+        // Changes queued during this run are picked up by another run right after it
+        isSyncRequestedWhileBusy = true;
         return;
     }
 
@@ -398,149 +617,333 @@ window.syncWithServer = async function(isManual = false) {
     updateSyncStatusUI('syncing');
 
     try {
-        // --- 1. PUSH local changes to server ---
-        const syncQueue = await getAllFromDB('sync_queue');
-        if (syncQueue.length > 0) {
-             if (isManual) showToast(`Mengirim ${syncQueue.length} perubahan ke server...`);
-
-            for (const task of syncQueue) {
-                console.log(`[SYNC] Processing: ${task.action}`, task.payload);
-                // MOCK API CALL - In a real app, this would be a fetch() call
-                const response = await new Promise(resolve => setTimeout(() => {
-                    console.log(`[SYNC] Mock API call for ${task.action}`);
-                    // Simulate success, potentially returning a server-generated ID
-                    resolve({ success: true, serverId: `server_${Date.now()}`, localId: task.payload.id });
-                }, 300)); // Simulate network latency
-
-                if (response.success) {
-                    // Update local item with server ID if applicable
-                    if (task.action.startsWith('CREATE_') && response.serverId && response.localId) {
-                        let storeName = '';
-                        if (task.action.includes('PRODUCT')) storeName = 'products';
-                        if (task.action.includes('CATEGORY')) storeName = 'categories';
-                        if (task.action.includes('TRANSACTION')) storeName = 'transactions';
-                        if (task.action.includes('FEE')) storeName = 'fees';
-
-                        if (storeName) {
-                            const item = await getFromDB(storeName, response.localId);
-                            if (item) {
-                                item.serverId = response.serverId;
-                                await putToDB(storeName, item);
-                            }
-                        }
-                    }
-                    
-                    // Remove successfully processed task from the queue
-                    const tx = db.transaction('sync_queue', 'readwrite');
-                    tx.objectStore('sync_queue').delete(task.id);
-                } else {
-                    // Handle API failure - leave task in queue and stop current sync process
-                    console.error(`[SYNC] Failed to process task ${task.id}:`, response.error);
-                    throw new Error(`API call failed for action: ${task.action}`);
-                }
+        const { configured, changesMade, conflictCount, hasConflicts, failedCount, deadLetterCount } = await runSync({
+            // A manual sync retries right away instead of waiting out the backoff
+            ignoreBackoff: isManual,
+            onProgress: (stage, taskCount) => {
+                if (!isManual) return;
+                showToast(stage === 'pull' ? 'Menerima pembaruan dari server...' : `Mengirim ${taskCount} perubahan ke server...`);
             }
+        });
+        if (!configured) {
+            if (isManual) showToast('Server sinkronisasi belum diatur di Pengaturan.');
+            updateSyncStatusUI('unconfigured');
+            return;
         }
 
-        // --- 2. PULL server changes to local (MOCKED) ---
-        if (isManual) showToast('Menerima pembaruan dari server...');
-        const lastSync = await getSettingFromDB('lastSync');
-        const serverUpdates = await mockFetchFromServer(lastSync);
-
-        console.log('[SYNC] Received from mock server:', serverUpdates);
-
-        if (serverUpdates.products.length > 0 || serverUpdates.categories.length > 0 || serverUpdates.deleted.products.length > 0 || serverUpdates.deleted.categories.length > 0) {
-            
-            const localProducts = await getAllFromDB('products');
-            const localCategories = await getAllFromDB('categories');
-
-            const productServerIdMap = new Map(localProducts.filter(p => p.serverId).map(p => [p.serverId, p]));
-            const categoryServerIdMap = new Map(localCategories.filter(c => c.serverId).map(c => [c.serverId, c]));
-
-            const tx = db.transaction(['products', 'categories'], 'readwrite');
-            const productStore = tx.objectStore('products');
-            const categoryStore = tx.objectStore('categories');
-
-            let changesMade = false;
-
-            // Process product updates/creations
-            for (const serverProduct of serverUpdates.products) {
-                const localProduct = productServerIdMap.get(serverProduct.serverId);
-                if (localProduct) {
-                    if (!localProduct.updatedAt || new Date(serverProduct.updatedAt) > new Date(localProduct.updatedAt)) {
-                        console.log(`[SYNC] Updating local product: ${localProduct.name} -> ${serverProduct.name}`);
-                        Object.assign(localProduct, serverProduct, { id: localProduct.id });
-                        productStore.put(localProduct);
-                        changesMade = true;
-                    }
-                } else {
-                    console.log(`[SYNC] Adding new server product: ${serverProduct.name}`);
-                    const { id, ...productToAdd } = serverProduct; 
-                    productStore.put(productToAdd);
-                    changesMade = true;
-                }
-            }
-
-            // Process category updates/creations
-            for (const serverCategory of serverUpdates.categories) {
-                const localCategory = categoryServerIdMap.get(serverCategory.serverId);
-                if (localCategory) {
-                    if (!localCategory.updatedAt || new Date(serverCategory.updatedAt) > new Date(localCategory.updatedAt)) {
-                        console.log(`[SYNC] Updating local category: ${localCategory.name} -> ${serverCategory.name}`);
-                        Object.assign(localCategory, serverCategory, { id: localCategory.id });
-                        categoryStore.put(localCategory);
-                        changesMade = true;
-                    }
-                } else {
-                    console.log(`[SYNC] Adding new server category: ${serverCategory.name}`);
-                    const { id, ...categoryToAdd } = serverCategory;
-                    categoryStore.put(categoryToAdd);
-                    changesMade = true;
-                }
-            }
-
-            // Process deletions
-            for (const serverIdToDelete of serverUpdates.deleted.products) {
-                const localProductToDelete = productServerIdMap.get(serverIdToDelete);
-                if (localProductToDelete) {
-                    console.log(`[SYNC] Deleting local product as instructed by server: ${localProductToDelete.name}`);
-                    productStore.delete(localProductToDelete.id);
-                    changesMade = true;
-                }
-            }
-
-            for (const serverIdToDelete of serverUpdates.deleted.categories) {
-                const localCategoryToDelete = categoryServerIdMap.get(serverIdToDelete);
-                if (localCategoryToDelete) {
-                    console.log(`[SYNC] Deleting local category as instructed by server: ${localCategoryToDelete.name}`);
-                    categoryStore.delete(localCategoryToDelete.id);
-                    changesMade = true;
-                }
-            }
-            
-            if (changesMade && isManual) {
-                showToast('Data lokal diperbarui dari server.');
-            }
+        if (changesMade && isManual) showToast('Data lokal diperbarui dari server.');
+        if (conflictCount > 0) {
+            showToast(`${conflictCount} konflik sinkronisasi perlu ditinjau.`, 4000);
+        }
+        if (deadLetterCount > 0) {
+            showToast(`${deadLetterCount} perubahan terus gagal dikirim. Periksa Antrean Sinkronisasi di Pengaturan.`, 4000);
+        }
+        if (hasConflicts) {
+            updateSyncStatusUI('conflict');
+            if (isManual) showToast('Sinkronisasi selesai, tetapi ada konflik yang perlu ditinjau.');
+        } else if (failedCount > 0 || deadLetterCount > 0) {
+            updateSyncStatusUI('error');
+            if (isManual && failedCount > 0) showToast(`${failedCount} perubahan ditolak server dan akan dicoba lagi nanti.`);
         } else {
-            console.log('[SYNC] Tidak ada pembaruan dari server.');
+            updateSyncStatusUI('synced');
+            if (isManual) showToast('Sinkronisasi berhasil!');
         }
 
-        // --- 3. Finalize ---
-        await putSettingToDB({ key: 'lastSync', value: new Date().toISOString() });
-        updateSyncStatusUI('synced');
-         if (isManual) showToast('Sinkronisasi berhasil!');
-
     } catch (error) {
         console.error('Sync failed:', error);
         updateSyncStatusUI('error');
          if (isManual) showToast('Sinkronisasi gagal. Silakan coba lagi.');
+        // Let the service worker finish the job once the server is reachable, even if the app is closed
+        registerBackgroundSync();
     } finally {
         isSyncing = false;
+        if (isSyncRequestedWhileBusy) {
+            isSyncRequestedWhileBusy = false;
+            requestSync();
+        }
+        await scheduleSyncRetry();
         // Refresh UI with latest data
         if (currentPage === 'dashboard') loadDashboard();
         if (currentPage === 'produk') window.loadProductsList();
+        if (currentPage === 'kasir') loadPendingOrders();
+        if (currentPage === 'pengaturan') loadSyncQueueInspector();
+    }
+}
+
+window.saveSyncSettings = async function() {
+    if (!requirePermission('manageSettings')) return;
+    const url = document.getElementById('syncServerUrl').value.trim();
+    const token = document.getElementById('syncAuthToken').value.trim();
+    const statusEl = document.getElementById('syncServerStatus');
+
+    if (url && !/^https?:\/\//i.test(url)) {
+        showToast('URL server harus diawali http:// atau https://');
+        return;
+    }
+
+    try {
+        await putSettingToDB({ key: 'syncServerUrl', value: url });
+        await putSettingToDB({ key: 'syncAuthToken', value: token });
+    } catch (error) {
+        console.error('Failed to save sync settings:', error);
+        showToast('Gagal menyimpan pengaturan sinkronisasi.');
+        return;
+    }
+
+    if (!url) {
+        statusEl.textContent = 'Sinkronisasi nonaktif sampai URL server diisi.';
+        updateSyncStatusUI('unconfigured');
+        showToast('Pengaturan sinkronisasi disimpan.');
+        return;
+    }
+
+    statusEl.textContent = 'Menguji koneksi...';
+    try {
+        const transport = await getSyncTransport();
+        await transport.ping();
+        statusEl.textContent = `Terhubung ke ${url}`;
+        showToast('Terhubung ke server. Sinkronisasi dimulai.');
+        window.syncWithServer();
+    } catch (error) {
+        console.error('Sync server connection test failed:', error);
+        statusEl.textContent = error.status === 401 ? 'Token akses ditolak oleh server.' : 'Server tidak dapat dihubungi.';
+        showToast('Gagal terhubung ke server sinkronisasi.');
+    }
+}
+
+
+// --- SYNC CONFLICTS ---
+window.handleSyncStatusClick = async function() {
+    const conflicts = await getAllFromDB('sync_conflicts');
+    if (conflicts.length > 0) {
+        window.showSyncConflictModal();
+    } else {
+        window.syncWithServer(true);
+    }
+}
+
+window.showSyncConflictModal = async function() {
+    await loadSyncConflicts();
+    document.getElementById('syncConflictModal').classList.remove('hidden');
+}
+
+window.closeSyncConflictModal = function() {
+    document.getElementById('syncConflictModal').classList.add('hidden');
+}
+
+function formatSyncFieldValue(field, value) {
+    if (value === undefined || value === null) return '-';
+    return field === 'price' ? `Rp ${formatCurrency(value)}` : String(value);
+}
+
+async function loadSyncConflicts() {
+    const listEl = document.getElementById('syncConflictList');
+    const conflicts = await getAllFromDB('sync_conflicts');
+
+    if (conflicts.length === 0) {
+        listEl.innerHTML = `<p class="text-gray-500 text-center py-4">Tidak ada konflik sinkronisasi.</p>`;
+        return;
+    }
+
+    listEl.innerHTML = conflicts.map(conflict => {
+        const rows = conflict.fields.map(({ field, local, server }) => `
+            <div class="grid grid-cols-4 gap-2 items-center text-sm py-1 border-t">
+                <span class="text-gray-600">${SYNC_FIELD_LABELS[field] || field}</span>
+                <span class="font-semibold">${formatSyncFieldValue(field, local)}</span>
+                <span class="font-semibold">${formatSyncFieldValue(field, server)}</span>
+                <select data-conflict-key="${conflict.key}" data-field="${field}" class="input-field text-xs p-1">
+                    <option value="local">Lokal</option>
+                    <option value="server">Server</option>
+                </select>
+            </div>
+        `).join('');
+
+        return `
+            <div class="bg-gray-50 border rounded-lg p-3">
+                <div class="flex justify-between items-center mb-2">
+                    <p class="font-semibold">${conflict.name}</p>
+                    <span class="text-xs text-gray-500">${conflict.storeName === 'products' ? 'Produk' : 'Kategori'}</span>
+                </div>
+                <div class="grid grid-cols-4 gap-2 text-xs text-gray-500 pb-1">
+                    <span>Kolom</span><span>Lokal</span><span>Server</span><span>Pilihan</span>
+                </div>
+                ${rows}
+                <div class="grid grid-cols-3 gap-2 mt-3">
+                    <button onclick="resolveSyncConflict('${conflict.key}', 'local')" class="btn bg-gray-200 text-gray-700 py-2 text-sm">Lokal</button>
+                    <button onclick="resolveSyncConflict('${conflict.key}', 'server')" class="btn bg-gray-200 text-gray-700 py-2 text-sm">Server</button>
+                    <button onclick="resolveSyncConflict('${conflict.key}', 'merge')" class="btn bg-blue-500 text-white py-2 text-sm">Gabungkan</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Resolves a sync conflict and queues the result for the next push.
+ * @param {string} key - The conflict key ('<store>:<localId>').
+ * @param {'local' | 'server' | 'merge'} mode - Which side wins; 'merge' uses the per-field choices.
+ */
+window.resolveSyncConflict = async function(key, mode) {
+    try {
+        const conflict = await getFromDB('sync_conflicts', key);
+        if (!conflict) return;
+
+        const localRecord = await getFromDB(conflict.storeName, conflict.localId);
+        const pendingTasks = (await getAllFromDB('sync_queue')).filter(task => {
+            const { verb, storeName } = parseSyncAction(task.action);
+            return verb !== 'DELETE' && storeName === conflict.storeName && task.payload.id === conflict.localId;
+        });
+
+        const fieldChoices = {};
+        document.querySelectorAll(`#syncConflictList select[data-conflict-key="${key}"]`).forEach(select => {
+            fieldChoices[select.dataset.field] = select.value;
+        });
+
+        const tx = db.transaction([conflict.storeName, 'sync_queue', 'sync_conflicts'], 'readwrite');
+        tx.objectStore('sync_conflicts').delete(key);
+
+        // The record was deleted locally in the meantime; nothing is left to resolve
+        if (localRecord) {
+            // Re-merge against the current local record in case it was edited after the conflict was found
+            const { merged, conflicts } = mergeSyncRecord(conflict.storeName, localRecord, conflict.serverRecord);
+            conflicts.forEach(({ field, server }) => {
+                const choice = mode === 'merge' ? (fieldChoices[field] || 'local') : mode;
+                if (choice === 'server') merged[field] = server;
+            });
+            merged.updatedAt = new Date().toISOString();
+
+            tx.objectStore(conflict.storeName).put(merged);
+            requeueMergedRecord(tx.objectStore('sync_queue'), conflict.storeName, merged, pendingTasks);
+        }
+
+        tx.oncomplete = async () => {
+            showToast('Konflik diselesaikan.');
+            await loadSyncConflicts();
+            if (currentPage === 'produk') window.loadProductsList();
+            loadProductsGrid();
+            if (isOnline) window.syncWithServer();
+        };
+        tx.onerror = () => {
+            console.error('Failed to resolve sync conflict:', tx.error);
+            showToast('Gagal menyelesaikan konflik.');
+        };
+    } catch (error) {
+        console.error('Failed to resolve sync conflict:', error);
+        showToast('Gagal menyelesaikan konflik.');
+    }
+}
+
+// --- SYNC QUEUE INSPECTOR ---
+function describeSyncTask(task) {
+    const { payload } = task;
+    if (task.action === 'STOCK_ADJUSTMENT') {
+        return `Stok ${payload.delta > 0 ? '+' : ''}${payload.delta} (produk #${payload.id})`;
+    }
+    if (task.action === 'POINTS_ADJUSTMENT') {
+        return `Poin ${payload.delta > 0 ? '+' : ''}${payload.delta} (pelanggan #${payload.id})`;
+    }
+    return payload.name || `#${payload.id}`;
+}
+
+function renderSyncTaskRow(task, source) {
+    const status = source === 'sync_dead_letter'
+        ? `<span class="text-red-600">Gagal ${task.attempts}x</span>`
+        : task.attempts
+            ? `<span class="text-yellow-600">Gagal ${task.attempts}x, dicoba lagi ${new Date(task.nextAttemptAt).toLocaleString('id-ID')}</span>`
+            : '<span class="text-gray-500">Menunggu</span>';
+    const lastError = task.lastError ? `<p class="text-xs text-gray-500 truncate" title="${task.lastError}">${task.lastError}</p>` : '';
+
+    return `
+        <div class="flex justify-between items-center bg-gray-100 p-2 rounded-lg gap-2">
+            <div class="min-w-0">
+                <p class="font-semibold text-sm">${task.action}</p>
+                <p class="text-sm text-gray-600 truncate">${describeSyncTask(task)}</p>
+                <p class="text-xs">${status}</p>
+                ${lastError}
+            </div>
+            <div class="flex items-center gap-3 flex-shrink-0">
+                <button onclick="retrySyncTask('${source}', ${task.id})" class="text-blue-500 clickable" title="Coba Lagi"><i class="fas fa-redo"></i></button>
+                <button onclick="discardSyncTask('${source}', ${task.id})" class="text-red-500 clickable" title="Buang"><i class="fas fa-trash"></i></button>
+            </div>
+        </div>
+    `;
+}
+
+async function loadSyncQueueInspector() {
+    const listEl = document.getElementById('syncQueueList');
+    if (!listEl) return;
+
+    const [pending, failed] = await Promise.all([
+        getAllFromDB('sync_queue'),
+        getAllFromDB('sync_dead_letter')
+    ]);
+
+    if (pending.length === 0 && failed.length === 0) {
+        listEl.innerHTML = '<p class="text-gray-500 text-center py-2">Semua perubahan sudah terkirim.</p>';
+        return;
+    }
+
+    let html = '';
+    if (failed.length > 0) {
+        html += `<p class="text-sm font-semibold text-red-600">Gagal (${failed.length})</p>`;
+        html += failed.map(task => renderSyncTaskRow(task, 'sync_dead_letter')).join('');
+    }
+    if (pending.length > 0) {
+        html += `<p class="text-sm font-semibold text-gray-700">Menunggu dikirim (${pending.length})</p>`;
+        html += pending.map(task => renderSyncTaskRow(task, 'sync_queue')).join('');
+    }
+    listEl.innerHTML = html;
+}
+window.loadSyncQueueInspector = loadSyncQueueInspector;
+
+/**
+ * Sends a queued or dead-lettered task again with a fresh attempt counter.
+ * @param {'sync_queue' | 'sync_dead_letter'} source - The store holding the task.
+ * @param {number} id - The task id.
+ */
+window.retrySyncTask = async function(source, id) {
+    try {
+        const task = await getFromDB(source, id);
+        if (!task) return;
+
+        const resetTask = { ...task, attempts: 0, nextAttemptAt: null, lastError: null };
+        if (source === 'sync_dead_letter') {
+            await moveSyncTask(resetTask, 'sync_dead_letter', 'sync_queue');
+        } else {
+            await putToDB('sync_queue', resetTask);
+        }
+
+        await loadSyncQueueInspector();
+        if (isOnline) {
+            window.syncWithServer(true);
+        } else {
+            showToast('Akan dikirim saat kembali online.');
+        }
+    } catch (error) {
+        console.error('Failed to retry sync task:', error);
+        showToast('Gagal mengulang sinkronisasi.');
     }
 }
 
+window.discardSyncTask = function(source, id) {
+    showConfirmationModal(
+        'Buang Perubahan',
+        'Perubahan ini tidak akan pernah dikirim ke server. Data di perangkat ini tidak berubah. Lanjutkan?',
+        async () => {
+            try {
+                await deleteFromDB(source, id);
+                showToast('Perubahan dibuang dari antrean.');
+                await loadSyncQueueInspector();
+                await scheduleSyncRetry();
+            } catch (error) {
+                console.error('Failed to discard sync task:', error);
+                showToast('Gagal membuang perubahan.');
+            }
+        },
+        'Buang',
+        'bg-red-500'
+    );
+}
 
 // --- UI & NAVIGATION ---
 let isNavigating = false; // Flag to prevent multiple clicks during transition
@@ -656,6 +1059,7 @@ window.showPage = async function(pageName) {
         return; 
     }
     if (currentPage === pageName || isNavigating) return;
+    if (PAGE_PERMISSIONS[pageName] && !requirePermission(PAGE_PERMISSIONS[pageName])) return;
     isNavigating = true;
 
     const transitionDuration = 300; // Must match CSS transition duration
@@ -693,12 +1097,23 @@ window.showPage = async function(pageName) {
         loadDashboard();
     } else if (pageName === 'kasir') {
         loadProductsGrid();
+        loadHeldCarts();
+        loadPendingOrders();
+        await loadPromotionRules();
         await reconcileCartFees();
         updateCartFabBadge();
     } else if (pageName === 'produk') {
         window.loadProductsList();
+    } else if (pageName === 'promosi') {
+        loadPromotionsList();
+    } else if (pageName === 'piutang') {
+        renderReceivablesPage();
     } else if (pageName === 'pengaturan') {
+        renderSettingsAccess();
+        loadUsersList();
         loadFees();
+        loadPromoCodes();
+        loadSyncQueueInspector();
     }
 
 
@@ -760,6 +1175,9 @@ function formatCurrency(amount) {
     return Math.round(amount).toLocaleString('id-ID');
 }
 
+// e.g. "- Rp 30" or "+ Rp 70", for adjustments such as cash rounding
+const formatSignedCurrency = (amount) => `${amount < 0 ? '-' : '+'} Rp ${formatCurrency(Math.abs(amount))}`;
+
 
 // --- DASHBOARD ---
 function loadDashboard() {
@@ -774,6 +1192,7 @@ function loadDashboard() {
         let monthSales = 0;
         
         transactions.forEach(t => {
+            if (t.voidedAt) return;
             const transactionDate = t.date.split('T')[0];
             if (transactionDate === todayString) {
                 todaySales += t.total;
@@ -809,41 +1228,406 @@ function loadDashboard() {
             storeAddressEl.textContent = value || 'Pengaturan toko belum diisi';
         }
     });
+
+    updateDashboardReceivables();
+    renderShiftStatus();
 }
 
-// --- CATEGORY MANAGEMENT ---
-async function populateCategoryDropdowns(selectElementIds, selectedValue) {
-    try {
-        const categories = await getAllFromDB('categories');
-        categories.sort((a, b) => a.name.localeCompare(b.name));
+// --- SHIFTS ---
+// A shift runs from opening the cash drawer with a float to counting it at close.
+// Sales and refunds made while it is open carry its shiftId. Cash put into or taken
+// out of the drawer (e.g. buying ice) is kept on the shift as cashMovements.
 
-        selectElementIds.forEach(id => {
-            const select = document.getElementById(id);
-            if (!select) return;
+async function loadCurrentShift() {
+    const shifts = await getAllFromDB('shifts');
+    currentShift = shifts.find(s => !s.closedAt) || null;
+}
 
-            const isFilter = id === 'productCategoryFilter';
-            
-            // Preserve current value if it's a filter and it exists, otherwise reset
-            const currentValue = isFilter ? select.value : selectedValue;
-            select.innerHTML = ''; // Clear existing options
+/**
+ * Totals a shift's sales, refunds and drawer cash. Expected cash is the float plus
+ * cash taken (after change), kasbon repaid in cash and cash put in, minus cash
+ * refunds and cash taken out. Voided sales are left out, as their money went back
+ * to the customer.
+ */
+function summarizeShift(shift, transactions, refunds, creditPayments = []) {
+    const shiftSales = transactions.filter(t => t.shiftId === shift.id);
+    const sales = shiftSales.filter(t => !t.voidedAt);
+    const shiftRefunds = refunds.filter(r => r.shiftId === shift.id);
+    const shiftRepayments = creditPayments.filter(p => p.shiftId === shift.id);
+    // Sales from an earlier shift voided during this one are paid back from this drawer
+    const earlierSalesVoided = transactions.filter(t => t.voidedAt && t.voidShiftId === shift.id && t.shiftId !== shift.id);
+    const sumMovements = (type) => shift.cashMovements.filter(m => m.type === type).reduce((sum, m) => sum + m.amount, 0);
+
+    const cashSales = getPaymentTotalsByMethod(sales).get('cash') || 0;
+    const cashRefunds = shiftRefunds.filter(r => r.method === 'cash').reduce((sum, r) => sum + r.total, 0);
+    const cashRepayments = shiftRepayments.filter(p => p.method === 'cash').reduce((sum, p) => sum + p.amount, 0);
+    const cashVoids = getPaymentTotalsByMethod(earlierSalesVoided).get('cash') || 0;
+    const cashIn = sumMovements('in');
+    const cashOut = sumMovements('out');
+
+    return {
+        transactionCount: sales.length,
+        voidCount: shiftSales.length - sales.length,
+        refundCount: shiftRefunds.length,
+        sales: sales.reduce((sum, t) => sum + t.total, 0),
+        refunds: shiftRefunds.reduce((sum, r) => sum + r.total, 0),
+        // A plain object, so it can be stored with the shift
+        payments: Object.fromEntries(getPaymentTotalsByMethod(sales, shiftRefunds)),
+        creditRepayments: shiftRepayments.reduce((sum, p) => sum + p.amount, 0),
+        openingFloat: shift.openingFloat,
+        cashSales,
+        cashRefunds,
+        cashRepayments,
+        cashVoids,
+        cashIn,
+        cashOut,
+        expectedCash: shift.openingFloat + cashSales - cashRefunds - cashVoids + cashRepayments + cashIn - cashOut
+    };
+}
 
-            if (isFilter) {
-                const allOption = document.createElement('option');
-                allOption.value = 'all';
-                allOption.textContent = 'Semua Kategori';
-                select.appendChild(allOption);
-            } else {
-                 const placeholder = document.createElement('option');
-                 placeholder.value = '';
-                 placeholder.textContent = 'Pilih Kategori...';
-                 placeholder.disabled = true;
-                 select.appendChild(placeholder);
-            }
+async function getCurrentShiftSummary() {
+    const transactions = await getAllFromDB('transactions');
+    const refunds = await getAllFromDB('refunds');
+    const creditPayments = await getAllFromDB('credit_payments');
+    return summarizeShift(currentShift, transactions, refunds, creditPayments);
+}
 
-            categories.forEach(cat => {
-                const option = document.createElement('option');
-                option.value = cat.name;
-                option.textContent = cat.name;
+async function renderShiftStatus() {
+    const statusEl = document.getElementById('shiftStatus');
+    document.getElementById('shiftClosedActions').classList.toggle('hidden', Boolean(currentShift));
+    document.getElementById('shiftOpenActions').classList.toggle('hidden', !currentShift);
+    if (!currentShift) {
+        statusEl.textContent = 'Shift belum dibuka. Buka shift untuk mulai menerima pembayaran.';
+        return;
+    }
+    const summary = await getCurrentShiftSummary();
+    const openedAt = new Date(currentShift.openedAt).toLocaleString('id-ID', { dateStyle: 'short', timeStyle: 'short' });
+    statusEl.innerHTML = `
+        Dibuka ${openedAt} &middot; ${summary.transactionCount} transaksi<br>
+        Kas di laci seharusnya <span class="font-semibold">Rp ${formatCurrency(summary.expectedCash)}</span>
+    `;
+}
+
+window.showOpenShiftModal = function() {
+    document.getElementById('openingFloatInput').value = '';
+    document.getElementById('openShiftModal').classList.remove('hidden');
+    document.getElementById('openingFloatInput').focus();
+}
+
+window.closeOpenShiftModal = function() {
+    document.getElementById('openShiftModal').classList.add('hidden');
+}
+
+window.openShift = async function() {
+    const openingFloat = parseFloat(document.getElementById('openingFloatInput').value) || 0;
+    if (openingFloat < 0) {
+        showToast('Modal awal tidak boleh negatif.');
+        return;
+    }
+    if (currentShift) {
+        showToast('Shift sudah dibuka.');
+        return;
+    }
+
+    try {
+        const shift = {
+            openedAt: new Date().toISOString(),
+            openingFloat,
+            cashMovements: [],
+            ...getCashierStamp(),
+            closedAt: null
+        };
+        const shiftId = await putToDB('shifts', shift);
+        currentShift = { ...shift, id: shiftId };
+        closeOpenShiftModal();
+        showToast('Shift berhasil dibuka.');
+        renderShiftStatus();
+    } catch (error) {
+        console.error('Failed to open shift:', error);
+        showToast('Gagal membuka shift.');
+    }
+}
+
+window.showCashMovementModal = function(type) {
+    document.getElementById('cashMovementType').value = type;
+    document.getElementById('cashMovementTitle').textContent = type === 'in' ? 'Kas Masuk' : 'Kas Keluar';
+    document.getElementById('cashMovementAmount').value = '';
+    document.getElementById('cashMovementNote').value = '';
+    document.getElementById('cashMovementModal').classList.remove('hidden');
+    document.getElementById('cashMovementAmount').focus();
+}
+
+window.closeCashMovementModal = function() {
+    document.getElementById('cashMovementModal').classList.add('hidden');
+}
+
+window.saveCashMovement = async function() {
+    if (!currentShift) {
+        showToast('Buka shift terlebih dahulu.');
+        return;
+    }
+    const amount = parseFloat(document.getElementById('cashMovementAmount').value) || 0;
+    const note = document.getElementById('cashMovementNote').value.trim();
+    if (amount <= 0) {
+        showToast('Jumlah harus lebih dari 0.');
+        return;
+    }
+    if (!note) {
+        showToast('Keterangan wajib diisi, contoh: beli es batu.');
+        return;
+    }
+
+    try {
+        const movement = {
+            type: document.getElementById('cashMovementType').value,
+            amount,
+            note,
+            date: new Date().toISOString()
+        };
+        const shift = { ...currentShift, cashMovements: [...currentShift.cashMovements, movement] };
+        await putToDB('shifts', shift);
+        currentShift = shift;
+        closeCashMovementModal();
+        showToast(movement.type === 'in' ? 'Kas masuk dicatat.' : 'Kas keluar dicatat.');
+        renderShiftStatus();
+    } catch (error) {
+        console.error('Failed to save cash movement:', error);
+        showToast('Gagal mencatat kas.');
+    }
+}
+
+window.showCloseShiftModal = async function() {
+    if (!currentShift) return;
+    const summary = await getCurrentShiftSummary();
+    document.getElementById('closeShiftSummary').innerHTML = `
+        <div class="flex justify-between"><span>Modal Awal</span><span>Rp ${formatCurrency(summary.openingFloat)}</span></div>
+        <div class="flex justify-between"><span>Penjualan Tunai</span><span>Rp ${formatCurrency(summary.cashSales)}</span></div>
+        <div class="flex justify-between"><span>Retur Tunai</span><span>- Rp ${formatCurrency(summary.cashRefunds)}</span></div>
+        <div class="flex justify-between"><span>Pelunasan Kasbon Tunai</span><span>Rp ${formatCurrency(summary.cashRepayments)}</span></div>
+        ${summary.cashVoids ? `<div class="flex justify-between"><span>Void Tunai Shift Lalu</span><span>- Rp ${formatCurrency(summary.cashVoids)}</span></div>` : ''}
+        <div class="flex justify-between"><span>Kas Masuk</span><span>Rp ${formatCurrency(summary.cashIn)}</span></div>
+        <div class="flex justify-between"><span>Kas Keluar</span><span>- Rp ${formatCurrency(summary.cashOut)}</span></div>
+        <div class="flex justify-between font-bold border-t pt-1"><span>Kas Seharusnya</span><span id="closeShiftExpected" data-amount="${summary.expectedCash}">Rp ${formatCurrency(summary.expectedCash)}</span></div>
+    `;
+    document.getElementById('countedCashInput').value = '';
+    document.getElementById('closeShiftNote').value = '';
+    updateShiftVariance();
+    document.getElementById('closeShiftModal').classList.remove('hidden');
+    document.getElementById('countedCashInput').focus();
+}
+
+window.closeCloseShiftModal = function() {
+    document.getElementById('closeShiftModal').classList.add('hidden');
+}
+
+function updateShiftVariance() {
+    const input = document.getElementById('countedCashInput').value;
+    const varianceEl = document.getElementById('closeShiftVariance');
+    if (input === '') {
+        varianceEl.textContent = '-';
+        varianceEl.className = 'font-bold';
+        return;
+    }
+    const expectedCash = parseFloat(document.getElementById('closeShiftExpected').dataset.amount);
+    const variance = (parseFloat(input) || 0) - expectedCash;
+    varianceEl.textContent = variance === 0 ? 'Rp 0 (pas)' : formatSignedCurrency(variance);
+    varianceEl.className = `font-bold ${variance === 0 ? 'text-green-500' : 'text-red-500'}`;
+}
+window.updateShiftVariance = updateShiftVariance;
+
+window.closeShift = async function() {
+    if (!currentShift) return;
+    const countedInput = document.getElementById('countedCashInput').value;
+    if (countedInput === '' || parseFloat(countedInput) < 0) {
+        showToast('Masukkan jumlah kas yang dihitung di laci.');
+        return;
+    }
+
+    const summary = await getCurrentShiftSummary();
+    const countedCash = parseFloat(countedInput) || 0;
+    const variance = countedCash - summary.expectedCash;
+    const finishClose = async () => {
+        try {
+            // The report is kept as it was at close, so later voids or refunds never change a closed drawer
+            const shift = {
+                ...currentShift,
+                closedAt: new Date().toISOString(),
+                countedCash,
+                variance,
+                note: document.getElementById('closeShiftNote').value.trim(),
+                report: summary
+            };
+            await putToDB('shifts', shift);
+            currentShift = null;
+            closeCloseShiftModal();
+            renderShiftStatus();
+            await showZReport(shift.id);
+        } catch (error) {
+            console.error('Failed to close shift:', error);
+            showToast('Gagal menutup shift.');
+        }
+    };
+
+    if (variance === 0) {
+        await finishClose();
+        return;
+    }
+    showConfirmationModal(
+        'Kas Tidak Sesuai',
+        `Kas di laci selisih <b>${formatSignedCurrency(variance)}</b> dari yang seharusnya. Tetap tutup shift?`,
+        finishClose,
+        'Ya, Tutup Shift',
+        'bg-red-500'
+    );
+}
+
+/**
+ * Lines of a closed shift's Z-report, shared by the screen and the Bluetooth printer.
+ * Each row is a section title ({title}), a divider ({divider: true}) or a {label, value} pair.
+ */
+function getZReportRows(shift) {
+    const report = shift.report;
+    const formatDate = (date) => new Date(date).toLocaleString('id-ID', { dateStyle: 'short', timeStyle: 'short' });
+    const money = (amount) => `Rp ${formatCurrency(amount)}`;
+
+    const rows = [
+        { label: 'No. Shift', value: String(shift.id) },
+        { label: 'Dibuka', value: formatDate(shift.openedAt) },
+        { label: 'Ditutup', value: formatDate(shift.closedAt) },
+        ...(shift.cashierName ? [{ label: 'Kasir', value: shift.cashierName }] : []),
+        { divider: true },
+        { title: 'PENJUALAN' },
+        { label: 'Transaksi', value: String(report.transactionCount) },
+        { label: 'Total Penjualan', value: money(report.sales) },
+        { label: `Retur (${report.refundCount})`, value: formatSignedCurrency(-report.refunds) },
+        { label: 'Transaksi Void', value: String(report.voidCount) },
+        { divider: true },
+        { title: 'PEMBAYARAN' },
+        ...Object.entries(report.payments).map(([method, amount]) => ({ label: getPaymentMethodLabel(method), value: money(amount) })),
+        // Shifts closed before kasbon existed have no repayments recorded
+        ...(report.creditRepayments ? [{ label: 'Pelunasan Kasbon', value: money(report.creditRepayments) }] : []),
+        { divider: true },
+        { title: 'KAS LACI' },
+        { label: 'Modal Awal', value: money(report.openingFloat) },
+        { label: 'Penjualan Tunai', value: money(report.cashSales) },
+        { label: 'Retur Tunai', value: formatSignedCurrency(-report.cashRefunds) },
+        ...(report.cashRepayments ? [{ label: 'Pelunasan Kasbon Tunai', value: money(report.cashRepayments) }] : []),
+        ...(report.cashVoids ? [{ label: 'Void Tunai Shift Lalu', value: formatSignedCurrency(-report.cashVoids) }] : []),
+        { label: 'Kas Masuk', value: money(report.cashIn) },
+        { label: 'Kas Keluar', value: formatSignedCurrency(-report.cashOut) },
+        { label: 'Kas Seharusnya', value: money(report.expectedCash) },
+        { label: 'Kas Dihitung', value: money(shift.countedCash) },
+        { label: 'Selisih', value: shift.variance === 0 ? 'Rp 0' : formatSignedCurrency(shift.variance) }
+    ];
+
+    if (shift.cashMovements.length > 0) {
+        rows.push({ divider: true }, { title: 'RINCIAN KAS MASUK/KELUAR' });
+        shift.cashMovements.forEach(movement => {
+            rows.push({ label: movement.note, value: formatSignedCurrency(movement.type === 'in' ? movement.amount : -movement.amount) });
+        });
+    }
+    if (shift.note) {
+        rows.push({ divider: true }, { label: `Catatan: ${shift.note}`, value: '' });
+    }
+    return rows;
+}
+
+window.showZReport = async function(shiftId) {
+    const shift = await getFromDB('shifts', shiftId);
+    if (!shift || !shift.report) return;
+
+    const storeName = await getSettingFromDB('storeName') || 'Toko Anda';
+    const rowsHtml = getZReportRows(shift).map(row => {
+        if (row.divider) return '<div class="border-t border-dashed border-gray-400 my-2"></div>';
+        if (row.title) return `<div class="font-bold">${row.title}</div>`;
+        return `<div class="flex justify-between gap-2"><span>${escapeHtml(row.label)}</span><span class="whitespace-nowrap">${escapeHtml(row.value)}</span></div>`;
+    }).join('');
+    document.getElementById('zReportContent').innerHTML = `
+        <div class="text-center font-bold">${escapeHtml(storeName)}</div>
+        <div class="text-center mb-2">LAPORAN Z (TUTUP SHIFT)</div>
+        ${rowsHtml}
+    `;
+
+    currentZReportShift = shift;
+    closeShiftHistoryModal();
+    document.getElementById('zReportModal').classList.remove('hidden');
+}
+
+window.closeZReportModal = function() {
+    document.getElementById('zReportModal').classList.add('hidden');
+    currentZReportShift = null;
+}
+
+window.printZReport = async function() {
+    if (!currentZReportShift) return;
+    if (isPrinterReady && bluetoothDevice && bluetoothCharacteristic) {
+        await printZReportViaBluetooth(currentZReportShift);
+    } else {
+        window.print();
+    }
+}
+
+window.showShiftHistoryModal = async function() {
+    const listEl = document.getElementById('shiftHistoryList');
+    const shifts = (await getAllFromDB('shifts'))
+        .filter(s => s.closedAt)
+        .sort((a, b) => new Date(b.closedAt) - new Date(a.closedAt));
+
+    if (shifts.length === 0) {
+        listEl.innerHTML = '<p class="text-gray-500 text-center py-4">Belum ada shift yang ditutup.</p>';
+    } else {
+        listEl.innerHTML = shifts.map(shift => `
+            <div class="flex justify-between items-center bg-gray-100 p-3 rounded-lg clickable" onclick="showZReport(${shift.id})">
+                <div>
+                    <p class="font-semibold text-sm">Shift #${shift.id}</p>
+                    <p class="text-xs text-gray-500">${new Date(shift.openedAt).toLocaleString('id-ID', { dateStyle: 'short', timeStyle: 'short' })} - ${new Date(shift.closedAt).toLocaleTimeString('id-ID', { timeStyle: 'short' })}</p>
+                </div>
+                <span class="text-sm font-semibold ${shift.variance === 0 ? 'text-green-600' : 'text-red-500'}">
+                    ${shift.variance === 0 ? 'Pas' : formatSignedCurrency(shift.variance)}
+                </span>
+            </div>
+        `).join('');
+    }
+    document.getElementById('shiftHistoryModal').classList.remove('hidden');
+}
+
+window.closeShiftHistoryModal = function() {
+    document.getElementById('shiftHistoryModal').classList.add('hidden');
+}
+
+// --- CATEGORY MANAGEMENT ---
+async function populateCategoryDropdowns(selectElementIds, selectedValue) {
+    try {
+        const categories = await getAllFromDB('categories');
+        categories.sort((a, b) => a.name.localeCompare(b.name));
+
+        selectElementIds.forEach(id => {
+            const select = document.getElementById(id);
+            if (!select) return;
+
+            const isFilter = id === 'productCategoryFilter';
+            
+            // Preserve current value if it's a filter and it exists, otherwise reset
+            const currentValue = isFilter ? select.value : selectedValue;
+            select.innerHTML = ''; // Clear existing options
+
+            if (isFilter) {
+                const allOption = document.createElement('option');
+                allOption.value = 'all';
+                allOption.textContent = 'Semua Kategori';
+                select.appendChild(allOption);
+            } else {
+                 const placeholder = document.createElement('option');
+                 placeholder.value = '';
+                 placeholder.textContent = 'Pilih Kategori...';
+                 placeholder.disabled = true;
+                 select.appendChild(placeholder);
+            }
+
+            categories.forEach(cat => {
+                const option = document.createElement('option');
+                option.value = cat.name;
+                option.textContent = cat.name;
                 select.appendChild(option);
             });
             
@@ -861,6 +1645,7 @@ async function populateCategoryDropdowns(selectElementIds, selectedValue) {
 
 
 window.showManageCategoryModal = async function() {
+    if (!requirePermission('manageProducts')) return;
     (document.getElementById('manageCategoryModal')).classList.remove('hidden');
     await loadCategoriesForManagement();
 }
@@ -1088,6 +1873,7 @@ window.loadProductsList = async function() {
 }
 
 window.increaseStock = async function(productId) {
+    if (!requirePermission('manageProducts')) return;
     try {
         const product = await getFromDB('products', productId);
         if (!product) {
@@ -1099,7 +1885,7 @@ window.increaseStock = async function(productId) {
         product.updatedAt = new Date().toISOString();
 
         await putToDB('products', product);
-        await queueSyncAction('UPDATE_PRODUCT', product);
+        await queueStockAdjustment(product, 1, 'manual');
 
         // Smart UI refresh
         if (currentPage === 'produk') {
@@ -1116,6 +1902,7 @@ window.increaseStock = async function(productId) {
 }
 
 window.decreaseStock = async function(productId) {
+    if (!requirePermission('manageProducts')) return;
     try {
         const product = await getFromDB('products', productId);
         if (!product) {
@@ -1131,7 +1918,7 @@ window.decreaseStock = async function(productId) {
         product.updatedAt = new Date().toISOString();
 
         await putToDB('products', product);
-        await queueSyncAction('UPDATE_PRODUCT', product);
+        await queueStockAdjustment(product, -1, 'manual');
 
         // Smart UI refresh
         if (currentPage === 'produk') {
@@ -1150,6 +1937,7 @@ window.decreaseStock = async function(productId) {
 
 // Add Product Modal
 window.showAddProductModal = function() {
+    if (!requirePermission('manageProducts')) return;
     (document.getElementById('addProductModal')).classList.remove('hidden');
     populateCategoryDropdowns(['productCategory']);
 }
@@ -1231,6 +2019,7 @@ window.addProduct = async function() {
 
 // Edit Product Modal
 window.editProduct = async function(id) {
+    if (!requirePermission('manageProducts')) return;
     try {
         const product = await getFromDB('products', id);
         if (product) {
@@ -1303,6 +2092,7 @@ window.updateProduct = async function() {
     try {
         const product = await getFromDB('products', id);
         if (product) {
+            const oldStock = product.stock;
             product.name = name;
             product.barcode = barcode;
             product.price = price;
@@ -1315,6 +2105,9 @@ window.updateProduct = async function() {
             
             await putToDB('products', product);
             await queueSyncAction('UPDATE_PRODUCT', product);
+            if (stock !== oldStock) {
+                await queueStockAdjustment(product, stock - oldStock, 'correction');
+            }
             showToast('Produk berhasil diperbarui');
             closeEditProductModal();
             window.loadProductsList();
@@ -1327,6 +2120,7 @@ window.updateProduct = async function() {
 }
 
 window.deleteProduct = function(id) {
+    if (!requirePermission('manageProducts')) return;
     showConfirmationModal(
         'Hapus Produk',
         'Apakah Anda yakin ingin menghapus produk ini? Tindakan ini tidak dapat dibatalkan.',
@@ -1437,6 +2231,38 @@ window.closeScanModal = async function() {
 
 
 // --- CART MANAGEMENT ---
+/**
+ * Adds up to `quantity` of a product to the cart, never beyond its stock.
+ * @returns {number} The quantity actually added.
+ */
+function putProductInCart(product, quantity) {
+    const existingItem = cart.items.find(item => item.id === product.id);
+    const available = product.stock - (existingItem ? existingItem.quantity : 0);
+    const added = Math.min(quantity, available);
+    if (added <= 0) return 0;
+
+    if (existingItem) {
+        existingItem.quantity += added;
+        existingItem.stock = product.stock;
+    } else {
+        const hasDiscount = product.discountPercentage && product.discountPercentage > 0;
+        const price = hasDiscount ? product.price * (1 - product.discountPercentage / 100) : product.price;
+
+        cart.items.push({ 
+            id: product.id, 
+            name: product.name, 
+            category: product.category, // Matched by happy hour promotions
+            barcode: product.barcode || null, // Matched by product-scoped fees
+            price: product.price, // Original price
+            effectivePrice: price, // Price after discount
+            discountPercentage: product.discountPercentage || 0,
+            quantity: added, 
+            stock: product.stock 
+        });
+    }
+    return added;
+}
+
 async function addToCart(productId) {
     try {
         const product = await getFromDB('products', productId);
@@ -1445,28 +2271,9 @@ async function addToCart(productId) {
             return;
         }
 
-        const existingItem = cart.items.find(item => item.id === productId);
-        
-        if (existingItem) {
-            if (existingItem.quantity < product.stock) {
-                existingItem.quantity++;
-            } else {
-                showToast(`Stok ${product.name} tidak mencukupi.`);
-                return;
-            }
-        } else {
-            const hasDiscount = product.discountPercentage && product.discountPercentage > 0;
-            const price = hasDiscount ? product.price * (1 - product.discountPercentage / 100) : product.price;
-
-            cart.items.push({ 
-                id: product.id, 
-                name: product.name, 
-                price: product.price, // Original price
-                effectivePrice: price, // Price after discount
-                discountPercentage: product.discountPercentage || 0,
-                quantity: 1, 
-                stock: product.stock 
-            });
+        if (putProductInCart(product, 1) === 0) {
+            showToast(`Stok ${product.name} tidak mencukupi.`);
+            return;
         }
         
         playTone(1200, 0.1, 0.3, 'square');
@@ -1510,7 +2317,10 @@ function updateCartDisplay() {
             <div class="cart-item flex items-center justify-between">
                 <div>
                     <p class="font-semibold">${item.name}</p>
-                    <p class="text-sm text-gray-600">Rp ${formatCurrency(item.effectivePrice)}</p>
+                    <p class="text-sm text-gray-600 clickable" onclick="showPriceOverrideModal(${item.id})">
+                        ${item.priceOverridden ? `<s class="text-xs text-gray-400">Rp ${formatCurrency(item.price)}</s>` : ''}
+                        Rp ${formatCurrency(item.effectivePrice)} <i class="fas fa-pen text-xs text-gray-400"></i>
+                    </p>
                 </div>
                 <div class="flex items-center gap-2">
                     <button onclick="updateCartItemQuantity(${item.id}, -1)" class="w-6 h-6 rounded-full bg-gray-200 flex items-center justify-center clickable"><i class="fas fa-minus text-xs"></i></button>
@@ -1523,31 +2333,39 @@ function updateCartDisplay() {
         paymentButton.classList.remove('opacity-50', 'cursor-not-allowed');
     }
     
-    const subtotal = cart.items.reduce((sum, item) => sum + (item.effectivePrice * item.quantity), 0);
+    const { itemsTotal, promotions, cartDiscount, fees, total } = calculateCartTotals();
+
+    renderCartCustomer();
+    document.getElementById('cartPromotions').innerHTML = promotions.map(promotion => `
+        <div class="flex justify-between text-green-600">
+            <span><i class="fas fa-gift"></i> ${promotion.name}:</span>
+            <span>- Rp ${formatCurrency(promotion.amount)}</span>
+        </div>
+    `).join('');
+
+    const discountRowEl = document.getElementById('cartDiscountRow');
+    discountRowEl.classList.toggle('hidden', !cartDiscount);
+    if (cartDiscount) {
+        document.getElementById('cartDiscountLabel').textContent = `${cartDiscount.name}:`;
+        document.getElementById('cartDiscountAmount').textContent = `- Rp ${formatCurrency(cartDiscount.amount)}`;
+        document.getElementById('cartDiscountWarning').textContent = cartDiscount.meetsMinSpend
+            ? ''
+            : `Min. belanja Rp ${formatCurrency(cartDiscount.minSpend)} belum terpenuhi`;
+    }
     
-    let totalFees = 0;
     cartFeesEl.innerHTML = '';
-    cart.fees.forEach(fee => {
-        let feeAmount = 0;
-        if (fee.type === 'percentage') {
-            feeAmount = subtotal * (fee.value / 100);
-        } else {
-            feeAmount = fee.value;
-        }
-        totalFees += feeAmount;
-        
+    fees.forEach(fee => {
+        const feeAmount = fee.amount;
         const feeElement = document.createElement('div');
-        feeElement.className = 'flex justify-between';
+        feeElement.className = fee.included ? 'flex justify-between text-gray-500' : 'flex justify-between';
         feeElement.innerHTML = `
-            <span>${fee.name} (${fee.type === 'percentage' ? `${fee.value}%` : `Rp ${formatCurrency(fee.value)}`}):</span>
+            <span>${escapeHtml(getFeeLabel(fee))} (${formatFeeValue(fee)}):</span>
             <span>Rp ${formatCurrency(feeAmount)}</span>
         `;
         cartFeesEl.appendChild(feeElement);
     });
-    
-    const total = subtotal + totalFees;
 
-    cartSubtotalEl.textContent = `Rp ${formatCurrency(subtotal)}`;
+    cartSubtotalEl.textContent = `Rp ${formatCurrency(itemsTotal)}`;
     cartTotalEl.textContent = `Rp ${formatCurrency(total)}`;
     updateCartFabBadge();
 }
@@ -1556,1248 +2374,4210 @@ window.clearCart = function() {
     if (cart.items.length === 0) return;
     showConfirmationModal('Kosongkan Keranjang', 'Apakah Anda yakin ingin mengosongkan keranjang?', () => {
         cart.items = [];
+        cart.discount = null;
+        cart.orderId = null; // The self-order stays in the queue
+        cart.customer = null;
         applyDefaultFees(); // Re-apply default fees which will be 0 on an empty cart
         updateCartDisplay();
         showToast('Keranjang dikosongkan.');
     });
 }
 
-// --- TAXES & FEES ---
-async function addFee() {
-    const nameInput = document.getElementById('feeName');
-    const typeInput = document.getElementById('feeType');
-    const valueInput = document.getElementById('feeValue');
-    const isDefaultInput = document.getElementById('feeIsDefault');
+// --- CART PRICING & DISCOUNTS ---
+
+/**
+ * Prices the cart: item prices (after product discounts and price overrides),
+ * then running promotions, then the cart discount, then the fee engine on what is left.
+ * Used by the cart, the payment modal, checkout and the receipt preview so they
+ * always agree.
+ * @returns {{subtotal: number, itemsTotal: number, promotions: object[],
+ *   promotionTotal: number, cartDiscount: object | null, totalDiscount: number,
+ *   fees: object[], totalFees: number, includedTax: number, total: number}}
+ */
+function calculateCartTotals() {
+    // subtotal is at list prices; totalDiscount covers item, promotion and cart discounts
+    const subtotal = cart.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+    const itemsTotal = cart.items.reduce((sum, item) => sum + item.effectivePrice * item.quantity, 0);
+    const promotions = evaluatePromotions(cart.items, promotionRules, new Date());
+    const promotionTotal = promotions.reduce((sum, promotion) => sum + promotion.amount, 0);
+    const cartDiscount = calculateCartDiscount(cart.discount, itemsTotal - promotionTotal);
+    const discountedTotal = itemsTotal - promotionTotal - (cartDiscount ? cartDiscount.amount : 0);
+
+    // Promotions and the cart discount are spread over the lines by value, so scoped fees see their share
+    const discountRatio = itemsTotal > 0 ? discountedTotal / itemsTotal : 0;
+    const lines = cart.items.map(item => ({
+        id: item.id,
+        category: item.category,
+        barcode: item.barcode,
+        amount: item.effectivePrice * item.quantity * discountRatio
+    }));
+    const { fees, totalFees, includedTax, total } = calculateFees(lines, cart.fees, feeSettings);
+
+    return {
+        subtotal,
+        itemsTotal,
+        promotions,
+        promotionTotal,
+        cartDiscount,
+        totalDiscount: subtotal - discountedTotal,
+        fees,
+        totalFees,
+        includedTax,
+        total
+    };
+}
+
+/**
+ * Works out a cart discount ({type, value, name, promoCode, minSpend}) against
+ * the items total after promotions. A promo whose minimum spend is no longer
+ * met gives nothing.
+ * @returns {object | null} The discount with `amount` and `meetsMinSpend`.
+ */
+function calculateCartDiscount(discount, itemsTotal) {
+    if (!discount) return null;
+    const meetsMinSpend = itemsTotal >= (discount.minSpend || 0);
+    const amount = discount.type === 'percentage' ? itemsTotal * (discount.value / 100) : discount.value;
+    return { ...discount, amount: meetsMinSpend ? Math.min(amount, itemsTotal) : 0, meetsMinSpend };
+}
+
+window.showCartDiscountModal = function() {
+    if (cart.items.length === 0) {
+        showToast('Keranjang kosong.');
+        return;
+    }
+    document.getElementById('promoCodeInput').value = cart.discount?.promoCode || '';
+    const isManualDiscount = cart.discount && !cart.discount.promoCode && !cart.discount.points;
+    document.getElementById('cartDiscountType').value = isManualDiscount ? cart.discount.type : 'percentage';
+    document.getElementById('cartDiscountValue').value = isManualDiscount ? cart.discount.value : '';
+    renderRedeemPointsSection();
+    document.getElementById('cartDiscountModal').classList.remove('hidden');
+}
+
+window.closeCartDiscountModal = function() {
+    document.getElementById('cartDiscountModal').classList.add('hidden');
+}
+
+function setCartDiscount(discount) {
+    cart.discount = discount;
+    updateCartDisplay();
+    closeCartDiscountModal();
+}
+
+window.applyManualCartDiscount = function() {
+    const type = document.getElementById('cartDiscountType').value;
+    const value = parseFloat(document.getElementById('cartDiscountValue').value);
+    if (isNaN(value) || value <= 0 || (type === 'percentage' && value > 100)) {
+        showToast('Nilai diskon tidak valid.');
+        return;
+    }
+    const name = type === 'percentage' ? `Diskon ${value}%` : 'Diskon';
+    setCartDiscount({ type, value, name, promoCode: null, minSpend: 0 });
+    showToast('Diskon diterapkan.');
+}
+
+window.applyPromoCode = async function() {
+    const code = document.getElementById('promoCodeInput').value.trim().toUpperCase();
+    if (!code) {
+        showToast('Masukkan kode promo.');
+        return;
+    }
+
+    try {
+        const promos = await getAllFromDB('promo_codes');
+        const promo = promos.find(p => p.code === code);
+        if (!promo) {
+            showToast('Kode promo tidak ditemukan.');
+            return;
+        }
+        if (!isWithinValidDates(promo, new Date())) {
+            showToast('Kode promo tidak berlaku hari ini.');
+            return;
+        }
+        const { itemsTotal, promotionTotal } = calculateCartTotals();
+        if (itemsTotal - promotionTotal < (promo.minSpend || 0)) {
+            showToast(`Kode promo ini butuh minimal belanja Rp ${formatCurrency(promo.minSpend)}.`);
+            return;
+        }
+
+        setCartDiscount({
+            type: promo.type,
+            value: promo.value,
+            name: `Promo ${promo.code}`,
+            promoCode: promo.code,
+            minSpend: promo.minSpend || 0
+        });
+        showToast(`Kode promo ${promo.code} diterapkan.`);
+    } catch (error) {
+        console.error('Failed to apply promo code:', error);
+        showToast('Gagal menerapkan kode promo.');
+    }
+}
+
+window.removeCartDiscount = function() {
+    setCartDiscount(null);
+    showToast('Diskon dihapus.');
+}
+
+// Price overrides need the supervisor PIN; going back to the normal price does not
+window.showPriceOverrideModal = function(productId) {
+    const item = cart.items.find(i => i.id === productId);
+    if (!item) return;
+    document.getElementById('priceOverrideProductName').textContent = `${item.name} (harga normal Rp ${formatCurrency(item.price)})`;
+    const input = document.getElementById('priceOverrideInput');
+    input.value = item.effectivePrice;
+    input.dataset.productId = productId;
+    document.getElementById('priceOverrideModal').classList.remove('hidden');
+    input.focus();
+}
+
+window.closePriceOverrideModal = function() {
+    document.getElementById('priceOverrideModal').classList.add('hidden');
+}
+
+window.applyPriceOverride = function() {
+    const input = document.getElementById('priceOverrideInput');
+    const productId = parseInt(input.dataset.productId, 10);
+    const newPrice = parseFloat(input.value);
+    if (isNaN(newPrice) || newPrice < 0) {
+        showToast('Harga tidak valid.');
+        return;
+    }
+
+    closePriceOverrideModal();
+    requestManagerPin('PIN Supervisor', () => {
+        const item = cart.items.find(i => i.id === productId);
+        if (!item) return;
+        item.effectivePrice = newPrice;
+        item.priceOverridden = true;
+        updateCartDisplay();
+        showToast(`Harga ${item.name} diubah.`);
+    });
+}
 
-    const name = nameInput.value.trim();
+window.resetPriceOverride = function() {
+    const productId = parseInt(document.getElementById('priceOverrideInput').dataset.productId, 10);
+    const item = cart.items.find(i => i.id === productId);
+    if (item) {
+        item.effectivePrice = item.price * (1 - item.discountPercentage / 100);
+        delete item.priceOverridden;
+        updateCartDisplay();
+    }
+    closePriceOverrideModal();
+}
+
+// --- PROMO CODES ---
+async function addPromoCode() {
+    if (!requirePermission('manageProducts')) return;
+    const codeInput = document.getElementById('promoCode');
+    const typeInput = document.getElementById('promoType');
+    const valueInput = document.getElementById('promoValue');
+    const minSpendInput = document.getElementById('promoMinSpend');
+    const validFromInput = document.getElementById('promoValidFrom');
+    const validUntilInput = document.getElementById('promoValidUntil');
+
+    const code = codeInput.value.trim().toUpperCase();
     const type = typeInput.value;
     const value = parseFloat(valueInput.value);
-    const isDefault = isDefaultInput.checked;
 
-    if (!name || isNaN(value) || value < 0) {
-        showToast('Nama dan Nilai Biaya harus diisi dengan benar.');
+    if (!code || isNaN(value) || value <= 0 || (type === 'percentage' && value > 100)) {
+        showToast('Kode dan Nilai Promo harus diisi dengan benar.');
+        return;
+    }
+    if (validFromInput.value && validUntilInput.value && validFromInput.value > validUntilInput.value) {
+        showToast('Tanggal berakhir harus setelah tanggal mulai.');
         return;
     }
 
-    const newFee = {
-        name,
+    const existing = (await getAllFromDB('promo_codes')).find(p => p.code === code);
+    if (existing) {
+        showToast(`Kode promo ${code} sudah ada.`);
+        return;
+    }
+
+    const newPromo = {
+        code,
         type,
         value,
-        isDefault,
-        isTax: name.toLowerCase().includes('pajak') || name.toLowerCase().includes('ppn'),
+        minSpend: parseFloat(minSpendInput.value) || 0,
+        validFrom: validFromInput.value || null,
+        validUntil: validUntilInput.value || null,
         createdAt: new Date().toISOString()
     };
 
     try {
-        const addedId = await putToDB('fees', newFee);
-        await queueSyncAction('CREATE_FEE', { ...newFee, id: addedId });
-        showToast('Biaya berhasil ditambahkan.');
-        nameInput.value = '';
-        valueInput.value = '';
-        isDefaultInput.checked = false;
-        await loadFees();
+        const addedId = await putToDB('promo_codes', newPromo);
+        await queueSyncAction('CREATE_PROMO_CODE', { ...newPromo, id: addedId });
+        showToast('Kode promo berhasil ditambahkan.');
+        [codeInput, valueInput, minSpendInput, validFromInput, validUntilInput].forEach(input => input.value = '');
+        await loadPromoCodes();
     } catch (error) {
-        console.error('Failed to add fee:', error);
-        showToast('Gagal menambahkan biaya.');
+        console.error('Failed to add promo code:', error);
+        showToast('Gagal menambahkan kode promo.');
     }
 }
-window.addFee = addFee;
+window.addPromoCode = addPromoCode;
 
-async function loadFees() {
-    const feesListEl = document.getElementById('feesList');
-    const fees = await getAllFromDB('fees');
-    
-    if (fees.length === 0) {
-        feesListEl.innerHTML = '<p class="text-gray-500 text-center py-2">Belum ada pajak atau biaya.</p>';
+async function loadPromoCodes() {
+    const listEl = document.getElementById('promoCodesList');
+    const promos = await getAllFromDB('promo_codes');
+    promos.sort((a, b) => a.code.localeCompare(b.code));
+
+    if (promos.length === 0) {
+        listEl.innerHTML = `<p class="text-gray-500 text-center py-2">Belum ada kode promo</p>`;
         return;
     }
 
-    feesListEl.innerHTML = fees.map(fee => {
-        const valueDisplay = fee.type === 'percentage'
-            ? `${fee.value}%`
-            : `Rp ${formatCurrency(fee.value)}`;
-        
-        const defaultBadge = fee.isDefault ? '<span class="text-xs bg-blue-100 text-blue-800 px-2 py-1 rounded-full">Otomatis</span>' : '';
-
+    const formatDate = (date) => new Date(`${date}T00:00:00`).toLocaleDateString('id-ID');
+    listEl.innerHTML = promos.map(promo => {
+        const validity = promo.validFrom || promo.validUntil
+            ? `${promo.validFrom ? formatDate(promo.validFrom) : '...'} - ${promo.validUntil ? formatDate(promo.validUntil) : '...'}`
+            : 'Tanpa batas waktu';
         return `
             <div class="flex justify-between items-center bg-gray-100 p-2 rounded-lg">
                 <div>
-                    <p class="font-semibold">${fee.name}</p>
-                    <p class="text-sm text-gray-600">${valueDisplay}</p>
-                </div>
-                <div class="flex items-center gap-2">
-                    ${defaultBadge}
-                    <button onclick="deleteFee(${fee.id})" class="text-red-500 clickable"><i class="fas fa-trash"></i></button>
+                    <p class="font-semibold">${promo.code}</p>
+                    <p class="text-sm text-gray-600">
+                        ${promo.type === 'percentage' ? `${promo.value}%` : `Rp ${formatCurrency(promo.value)}`}
+                        ${promo.minSpend > 0 ? `&middot; Min. Rp ${formatCurrency(promo.minSpend)}` : ''}
+                    </p>
+                    <p class="text-xs text-gray-500">${validity}</p>
                 </div>
+                <button onclick="deletePromoCode(${promo.id})" class="text-red-500 clickable"><i class="fas fa-trash"></i></button>
             </div>
         `;
     }).join('');
 }
 
+window.deletePromoCode = function(id) {
+    if (!requirePermission('manageProducts')) return;
+    showConfirmationModal(
+        'Hapus Kode Promo',
+        'Apakah Anda yakin ingin menghapus kode promo ini?',
+        async () => {
+            try {
+                const promoToDelete = await getFromDB('promo_codes', id);
+                await deleteFromDB('promo_codes', id);
+                await queueSyncAction('DELETE_PROMO_CODE', promoToDelete);
+                showToast('Kode promo berhasil dihapus.');
+                await loadPromoCodes();
+            } catch (error) {
+                console.error('Failed to delete promo code:', error);
+                showToast('Gagal menghapus kode promo.');
+            }
+        },
+        'Ya, Hapus',
+        'bg-red-500'
+    );
+}
 
-async function deleteFee(id) {
-    showConfirmationModal('Hapus Biaya', 'Yakin ingin menghapus biaya ini?', async () => {
-         try {
-            const feeToDelete = await getFromDB('fees', id);
-            const tx = db.transaction('fees', 'readwrite');
-            tx.objectStore('fees').delete(id);
-            tx.oncomplete = async () => {
-                await queueSyncAction('DELETE_FEE', feeToDelete);
-                showToast('Biaya berhasil dihapus.');
-                loadFees();
-            };
-        } catch (error) {
-            console.error('Failed to delete fee:', error);
-            showToast('Gagal menghapus biaya.');
-        }
-    });
+// --- PROMOTIONS ---
+// Promotions run by themselves on every cart change, before any cart discount.
+// Rules point at products by their local id, so they stay on this device and
+// are not synced; export/import carries them to another device.
+// The rules themselves are evaluated in promotion-engine.js.
+
+const PROMOTION_TYPES = {
+    buy_x_get_y: 'Beli X Gratis Y',
+    bundle: 'Harga Paket',
+    happy_hour: 'Happy Hour'
+};
+
+const PROMOTION_DAY_LABELS = ['Min', 'Sen', 'Sel', 'Rab', 'Kam', 'Jum', 'Sab'];
+
+async function loadPromotionRules() {
+    try {
+        promotionRules = await getAllFromDB('promotions');
+    } catch (error) {
+        console.error('Failed to load promotions:', error);
+        promotionRules = [];
+    }
+}
+
+function describePromotion(promotion, productMap) {
+    const productName = (id) => productMap.get(id)?.name || 'Produk terhapus';
+    if (promotion.type === 'buy_x_get_y') {
+        return `Beli ${promotion.buyQuantity} gratis ${promotion.freeQuantity} ${productName(promotion.productId)}`;
+    }
+    if (promotion.type === 'bundle') {
+        const parts = promotion.bundleItems.map(part => `${part.quantity}x ${productName(part.productId)}`).join(' + ');
+        return `${parts} = Rp ${formatCurrency(promotion.bundlePrice)}`;
+    }
+    const days = promotion.days && promotion.days.length > 0
+        ? promotion.days.map(day => PROMOTION_DAY_LABELS[day]).join(', ')
+        : 'Setiap hari';
+    return `${promotion.percentage}% ${promotion.category || 'semua produk'}, ${promotion.startTime}-${promotion.endTime} (${days})`;
 }
-window.deleteFee = deleteFee;
 
+async function loadPromotionsList() {
+    const listEl = document.getElementById('promotionsList');
+    try {
+        const [promotions, products] = await Promise.all([getAllFromDB('promotions'), getAllFromDB('products')]);
+        const productMap = new Map(products.map(p => [p.id, p]));
+        promotions.sort((a, b) => a.name.localeCompare(b.name));
 
-window.showFeeSelectionModal = async function() {
-    const feeSelectionList = document.getElementById('feeSelectionList');
-    const fees = await getAllFromDB('fees');
-    
-    if (fees.length === 0) {
-        feeSelectionList.innerHTML = '<p class="text-gray-500 text-center py-4">Tidak ada pajak atau biaya yang dapat dipilih. Tambahkan terlebih dahulu di halaman Pengaturan.</p>';
-    } else {
-        feeSelectionList.innerHTML = fees.map(fee => {
-            const isChecked = cart.fees.some(cartFee => cartFee.id === fee.id);
-            return `
-                <label class="flex items-center justify-between p-3 bg-gray-50 rounded-lg cursor-pointer">
+        if (promotions.length === 0) {
+            listEl.innerHTML = `<p class="text-gray-500 text-center py-4">Belum ada promosi</p>`;
+            return;
+        }
+
+        const now = new Date();
+        listEl.innerHTML = promotions.map(promotion => `
+            <div class="card p-4 ${promotion.active ? '' : 'opacity-60'}">
+                <div class="flex justify-between items-start gap-2">
                     <div>
-                        <span class="font-semibold">${fee.name}</span>
-                        <p class="text-sm text-gray-500">${fee.type === 'percentage' ? `${fee.value}%` : `Rp ${formatCurrency(fee.value)}`}</p>
+                        <p class="font-semibold">${promotion.name}</p>
+                        <p class="text-xs text-gray-500">${PROMOTION_TYPES[promotion.type]}${isPromotionRunning(promotion, now) ? ' &middot; <span class="text-green-600">Berlaku sekarang</span>' : ''}</p>
+                        <p class="text-sm text-gray-600 mt-1">${describePromotion(promotion, productMap)}</p>
                     </div>
-                    <input type="checkbox" data-fee-id="${fee.id}" class="h-5 w-5 rounded text-blue-600 border-gray-300 focus:ring-blue-500" ${isChecked ? 'checked' : ''}>
-                </label>
-            `;
-        }).join('');
+                    <label class="relative inline-flex items-center cursor-pointer flex-shrink-0">
+                        <input type="checkbox" class="sr-only peer" ${promotion.active ? 'checked' : ''} onchange="togglePromotion(${promotion.id}, this.checked)">
+                        <div class="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
+                    </label>
+                </div>
+                <div class="flex justify-end gap-4 mt-2 text-sm">
+                    <button onclick="showPromotionModal(${promotion.id})" class="text-blue-500 clickable"><i class="fas fa-edit"></i> Ubah</button>
+                    <button onclick="deletePromotion(${promotion.id})" class="text-red-500 clickable"><i class="fas fa-trash"></i> Hapus</button>
+                </div>
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Failed to load promotions list:', error);
+        listEl.innerHTML = `<p class="text-red-500 text-center py-4">Gagal memuat promosi</p>`;
     }
-    (document.getElementById('feeSelectionModal')).classList.remove('hidden');
-}
-
-window.closeFeeSelectionModal = function() {
-    (document.getElementById('feeSelectionModal')).classList.add('hidden');
 }
 
-window.applySelectedFees = async function() {
-    const checkboxes = document.querySelectorAll('#feeSelectionList input[type="checkbox"]');
-    const allFees = await getAllFromDB('fees');
-    
-    const selectedFeeIds = Array.from(checkboxes)
-        .filter(cb => cb.checked)
-        .map(cb => parseInt(cb.dataset.feeId));
+window.showPromotionModal = async function(promotionId = null) {
+    try {
+        const [products, categories] = await Promise.all([getAllFromDB('products'), getAllFromDB('categories')]);
+        products.sort((a, b) => a.name.localeCompare(b.name));
+        categories.sort((a, b) => a.name.localeCompare(b.name));
+        const promotion = promotionId ? await getFromDB('promotions', promotionId) : null;
+
+        document.getElementById('promotionModalTitle').textContent = promotion ? 'Ubah Promosi' : 'Tambah Promosi';
+        document.getElementById('promotionId').value = promotion ? promotion.id : '';
+        document.getElementById('promotionName').value = promotion ? promotion.name : '';
+        document.getElementById('promotionType').value = promotion ? promotion.type : 'buy_x_get_y';
+        document.getElementById('promotionValidFrom').value = promotion?.validFrom || '';
+        document.getElementById('promotionValidUntil').value = promotion?.validUntil || '';
+
+        // Beli X Gratis Y
+        document.getElementById('promotionProduct').innerHTML = products
+            .map(p => `<option value="${p.id}">${p.name}</option>`).join('');
+        if (promotion?.type === 'buy_x_get_y') document.getElementById('promotionProduct').value = promotion.productId;
+        document.getElementById('promotionBuyQuantity').value = promotion?.buyQuantity || 2;
+        document.getElementById('promotionFreeQuantity').value = promotion?.freeQuantity || 1;
+
+        // Harga Paket
+        const bundleQuantities = new Map((promotion?.bundleItems || []).map(part => [part.productId, part.quantity]));
+        document.getElementById('promotionBundleProducts').innerHTML = products.map(p => `
+            <div class="flex items-center justify-between gap-2">
+                <label class="flex items-center gap-2 text-sm">
+                    <input type="checkbox" class="promotion-bundle-product" value="${p.id}" ${bundleQuantities.has(p.id) ? 'checked' : ''}>
+                    ${p.name}
+                </label>
+                <input type="number" id="promotionBundleQuantity-${p.id}" class="input-field w-16 py-1 text-sm" min="1" value="${bundleQuantities.get(p.id) || 1}">
+            </div>
+        `).join('') || `<p class="text-gray-500 text-sm">Belum ada produk</p>`;
+        document.getElementById('promotionBundlePrice').value = promotion?.bundlePrice ?? '';
+
+        // Happy Hour
+        document.getElementById('promotionCategory').innerHTML = `<option value="">Semua Produk</option>` + categories
+            .map(c => `<option value="${c.name}">${c.name}</option>`).join('');
+        document.getElementById('promotionCategory').value = promotion?.category || '';
+        document.getElementById('promotionPercentage').value = promotion?.percentage ?? '';
+        document.getElementById('promotionStartTime').value = promotion?.startTime || '15:00';
+        document.getElementById('promotionEndTime').value = promotion?.endTime || '17:00';
+        document.querySelectorAll('.promotion-day').forEach(checkbox => {
+            checkbox.checked = (promotion?.days || []).includes(parseInt(checkbox.value, 10));
+        });
 
-    cart.fees = allFees.filter(fee => selectedFeeIds.includes(fee.id));
-    
-    updateCartDisplay();
-    closeFeeSelectionModal();
-    showToast('Pajak & biaya berhasil diperbarui.');
+        updatePromotionForm();
+        document.getElementById('promotionModal').classList.remove('hidden');
+    } catch (error) {
+        console.error('Failed to open promotion form:', error);
+        showToast('Gagal membuka form promosi.');
+    }
 }
 
+window.closePromotionModal = function() {
+    document.getElementById('promotionModal').classList.add('hidden');
+}
 
-async function applyDefaultFees() {
-    const allFees = await getAllFromDB('fees');
-    cart.fees = allFees.filter(fee => fee.isDefault);
+function updatePromotionForm() {
+    const type = document.getElementById('promotionType').value;
+    document.getElementById('promotionBuyXGetYFields').classList.toggle('hidden', type !== 'buy_x_get_y');
+    document.getElementById('promotionBundleFields').classList.toggle('hidden', type !== 'bundle');
+    document.getElementById('promotionHappyHourFields').classList.toggle('hidden', type !== 'happy_hour');
 }
+window.updatePromotionForm = updatePromotionForm;
 
 /**
- * Synchronizes the cart's fees with the master list in the database.
- * This ensures deletions, edits, and new default fees from settings are reflected.
+ * Reads the rule fields of the promotion form for the selected type.
+ * @returns {object | null} The rule fields, or null after showing what is wrong.
  */
-async function reconcileCartFees() {
-    const allFees = await getAllFromDB('fees');
-    const allFeesMap = new Map(allFees.map(f => [f.id, f]));
-
-    // Create the new list of fees for the cart
-    const reconciledFees = [];
-    const addedFeeIds = new Set();
-
-    // 1. Add all current, valid cart fees first, using the latest data from the DB.
-    // This preserves manually selected fees.
-    cart.fees.forEach(cartFee => {
-        if (allFeesMap.has(cartFee.id)) {
-            reconciledFees.push(allFeesMap.get(cartFee.id));
-            addedFeeIds.add(cartFee.id);
+function readPromotionRule(type) {
+    if (type === 'buy_x_get_y') {
+        const productId = parseInt(document.getElementById('promotionProduct').value, 10);
+        const buyQuantity = parseInt(document.getElementById('promotionBuyQuantity').value, 10);
+        const freeQuantity = parseInt(document.getElementById('promotionFreeQuantity').value, 10);
+        if (isNaN(productId) || !(buyQuantity > 0) || !(freeQuantity > 0)) {
+            showToast('Pilih produk dan isi jumlah beli dan gratis.');
+            return null;
         }
-    });
+        return { productId, buyQuantity, freeQuantity };
+    }
 
-    // 2. Now, add any default fees from the DB that were not already in the cart.
-    allFees.forEach(dbFee => {
-        if (dbFee.isDefault && !addedFeeIds.has(dbFee.id)) {
-            reconciledFees.push(dbFee);
-            addedFeeIds.add(dbFee.id);
+    if (type === 'bundle') {
+        const bundleItems = Array.from(document.querySelectorAll('.promotion-bundle-product:checked')).map(checkbox => ({
+            productId: parseInt(checkbox.value, 10),
+            quantity: parseInt(document.getElementById(`promotionBundleQuantity-${checkbox.value}`).value, 10) || 1
+        }));
+        const bundlePrice = parseFloat(document.getElementById('promotionBundlePrice').value);
+        const unitCount = bundleItems.reduce((sum, part) => sum + part.quantity, 0);
+        if (unitCount < 2 || isNaN(bundlePrice) || bundlePrice < 0) {
+            showToast('Paket butuh minimal 2 barang dan harga paket.');
+            return null;
         }
-    });
-    
-    // 3. Update the global cart state.
-    cart.fees = reconciledFees;
+        return { bundleItems, bundlePrice };
+    }
+
+    const percentage = parseFloat(document.getElementById('promotionPercentage').value);
+    const startTime = document.getElementById('promotionStartTime').value;
+    const endTime = document.getElementById('promotionEndTime').value;
+    if (isNaN(percentage) || percentage <= 0 || percentage > 100 || !startTime || !endTime || startTime === endTime) {
+        showToast('Isi persentase dan jam mulai/selesai dengan benar.');
+        return null;
+    }
+    return {
+        category: document.getElementById('promotionCategory').value || null,
+        percentage,
+        startTime,
+        endTime,
+        days: Array.from(document.querySelectorAll('.promotion-day:checked')).map(checkbox => parseInt(checkbox.value, 10))
+    };
 }
 
-// --- CHECKOUT PROCESS ---
-window.showPaymentModal = function() {
-    if (cart.items.length === 0) {
-        showToast('Keranjang kosong. Tidak dapat melakukan pembayaran.');
+window.savePromotion = async function() {
+    const id = parseInt(document.getElementById('promotionId').value, 10);
+    const name = document.getElementById('promotionName').value.trim();
+    const type = document.getElementById('promotionType').value;
+    const validFrom = document.getElementById('promotionValidFrom').value || null;
+    const validUntil = document.getElementById('promotionValidUntil').value || null;
+
+    if (!name) {
+        showToast('Nama promosi harus diisi.');
         return;
     }
-    const total = cart.items.reduce((sum, item) => sum + (item.effectivePrice * item.quantity), 0);
-    const subtotal = cart.items.reduce((sum, item) => sum + (item.effectivePrice * item.quantity), 0);
-    let totalFees = 0;
-    cart.fees.forEach(fee => {
-        totalFees += fee.type === 'percentage' ? subtotal * (fee.value / 100) : fee.value;
-    });
-    const finalTotal = subtotal + totalFees;
+    if (validFrom && validUntil && validFrom > validUntil) {
+        showToast('Tanggal berakhir harus setelah tanggal mulai.');
+        return;
+    }
+    const rule = readPromotionRule(type);
+    if (!rule) return;
 
-    (document.getElementById('paymentTotal')).textContent = `Rp ${formatCurrency(finalTotal)}`;
-    (document.getElementById('paymentModal')).classList.remove('hidden');
-    
-    const cashInput = document.getElementById('cashPaidInput');
-    cashInput.value = ''; // Clear previous value
-    cashInput.focus();
+    try {
+        const existing = id ? await getFromDB('promotions', id) : null;
+        const promotion = {
+            name,
+            type,
+            ...rule,
+            validFrom,
+            validUntil,
+            active: existing ? existing.active : true,
+            createdAt: existing ? existing.createdAt : new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+        if (existing) promotion.id = existing.id;
+
+        await putToDB('promotions', promotion);
+        showToast(existing ? 'Promosi berhasil diperbarui.' : 'Promosi berhasil ditambahkan.');
+        closePromotionModal();
+        await loadPromotionRules();
+        await loadPromotionsList();
+    } catch (error) {
+        console.error('Failed to save promotion:', error);
+        showToast('Gagal menyimpan promosi.');
+    }
 }
 
-window.closePaymentModal = function() {
-    (document.getElementById('paymentModal')).classList.add('hidden');
+window.togglePromotion = async function(id, active) {
+    try {
+        const promotion = await getFromDB('promotions', id);
+        if (!promotion) return;
+        promotion.active = active;
+        promotion.updatedAt = new Date().toISOString();
+        await putToDB('promotions', promotion);
+        showToast(active ? `${promotion.name} diaktifkan.` : `${promotion.name} dinonaktifkan.`);
+        await loadPromotionRules();
+        await loadPromotionsList();
+    } catch (error) {
+        console.error('Failed to toggle promotion:', error);
+        showToast('Gagal mengubah status promosi.');
+    }
 }
 
-window.handleQuickCash = function(amount) {
-    const cashInput = document.getElementById('cashPaidInput');
-    cashInput.value = amount;
-    cashInput.dispatchEvent(new Event('input')); // Trigger input event to update change
+window.deletePromotion = function(id) {
+    showConfirmationModal(
+        'Hapus Promosi',
+        'Apakah Anda yakin ingin menghapus promosi ini?',
+        async () => {
+            try {
+                await deleteFromDB('promotions', id);
+                showToast('Promosi berhasil dihapus.');
+                await loadPromotionRules();
+                await loadPromotionsList();
+            } catch (error) {
+                console.error('Failed to delete promotion:', error);
+                showToast('Gagal menghapus promosi.');
+            }
+        },
+        'Ya, Hapus',
+        'bg-red-500'
+    );
 }
 
-document.getElementById('cashPaidInput')?.addEventListener('input', (e) => {
-    const cashPaid = parseFloat(e.target.value) || 0;
-    const subtotal = cart.items.reduce((sum, item) => sum + (item.effectivePrice * item.quantity), 0);
-    let totalFees = 0;
-    cart.fees.forEach(fee => {
-        totalFees += fee.type === 'percentage' ? subtotal * (fee.value / 100) : fee.value;
-    });
-    const total = subtotal + totalFees;
-    
-    const change = cashPaid - total;
-    
-    const changeEl = document.getElementById('paymentChange');
-    const changeLabelEl = document.getElementById('paymentChangeLabel');
-    const completeButton = document.getElementById('completeTransactionButton');
+// --- HELD CARTS ---
+// A held cart only keeps product ids and quantities; prices and stock are read
+// again when it is resumed, as they may have changed in the meantime.
 
-    if (change >= 0) {
-        changeEl.textContent = `Rp ${formatCurrency(change)}`;
-        changeEl.classList.remove('text-red-500');
-        changeEl.classList.add('text-green-500');
-        changeLabelEl.textContent = 'Kembalian:';
-        completeButton.disabled = false;
-        completeButton.classList.remove('disabled:bg-blue-300');
-    } else {
-        changeEl.textContent = `Rp ${formatCurrency(Math.abs(change))}`;
-        changeEl.classList.add('text-red-500');
-        changeEl.classList.remove('text-green-500');
-        changeLabelEl.textContent = 'Kurang:';
-        completeButton.disabled = true;
-        completeButton.classList.add('disabled:bg-blue-300');
+async function loadHeldCarts() {
+    const sectionEl = document.getElementById('heldCartsSection');
+    const listEl = document.getElementById('heldCartsList');
+    try {
+        const heldCarts = await getAllFromDB('held_carts');
+        sectionEl.classList.toggle('hidden', heldCarts.length === 0);
+        listEl.innerHTML = heldCarts.map(held => {
+            const itemCount = held.items.reduce((sum, item) => sum + item.quantity, 0);
+            const time = new Date(held.createdAt).toLocaleTimeString('id-ID', { hour: '2-digit', minute: '2-digit' });
+            return `
+                <div class="flex items-center gap-2 bg-yellow-100 text-yellow-800 rounded-lg px-3 py-2 flex-shrink-0">
+                    <button onclick="resumeHeldCart(${held.id})" class="text-left clickable">
+                        <p class="font-semibold text-sm">${escapeHtml(held.label)}</p>
+                        <p class="text-xs">${itemCount} item &middot; ${time}</p>
+                    </button>
+                    <button onclick="deleteHeldCart(${held.id})" class="text-yellow-700 clickable"><i class="fas fa-times"></i></button>
+                </div>
+            `;
+        }).join('');
+    } catch (error) {
+        console.error('Failed to load held carts:', error);
     }
-});
+}
 
+window.showHoldCartModal = function() {
+    if (cart.items.length === 0) {
+        showToast('Keranjang kosong. Tidak ada pesanan untuk ditahan.');
+        return;
+    }
+    const labelInput = document.getElementById('holdCartLabel');
+    labelInput.value = '';
+    document.getElementById('holdCartModal').classList.remove('hidden');
+    labelInput.focus();
+}
 
-window.completeTransaction = async function() {
-    const button = document.getElementById('completeTransactionButton');
-    const buttonText = button.querySelector('.payment-button-text');
-    const spinner = button.querySelector('.payment-button-spinner');
+window.closeHoldCartModal = function() {
+    document.getElementById('holdCartModal').classList.add('hidden');
+}
 
-    button.disabled = true;
-    buttonText.classList.add('hidden');
-    spinner.classList.remove('hidden');
+window.holdCart = async function() {
+    const now = new Date();
+    const label = document.getElementById('holdCartLabel').value.trim()
+        || `Pesanan ${now.toLocaleTimeString('id-ID', { hour: '2-digit', minute: '2-digit' })}`;
 
     try {
-        const cashPaid = parseFloat(document.getElementById('cashPaidInput').value) || 0;
-        const subtotal = cart.items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-        const totalDiscount = cart.items.reduce((sum, item) => {
-             const discountAmount = item.price * (item.discountPercentage / 100);
-             return sum + (discountAmount * item.quantity);
-        }, 0);
-
-        let calculatedFees = [];
-        let totalFeeAmount = 0;
-        const subtotalAfterDiscount = subtotal - totalDiscount;
-
-        cart.fees.forEach(fee => {
-            const feeAmount = fee.type === 'percentage' 
-                ? subtotalAfterDiscount * (fee.value / 100) 
-                : fee.value;
-            calculatedFees.push({ ...fee, amount: feeAmount });
-            totalFeeAmount += feeAmount;
-        });
-
-        const total = subtotalAfterDiscount + totalFeeAmount;
-        const change = cashPaid - total;
-
-        const transaction = {
+        await putToDB('held_carts', {
+            label,
             items: cart.items.map(item => ({
                 id: item.id,
                 name: item.name,
                 quantity: item.quantity,
-                price: item.price,
-                effectivePrice: item.effectivePrice,
-                discountPercentage: item.discountPercentage,
+                // An approved override is kept; other prices are read again on resume
+                overridePrice: item.priceOverridden ? item.effectivePrice : null
             })),
-            subtotal: subtotal,
-            totalDiscount: totalDiscount,
-            fees: calculatedFees,
-            total: total,
-            cashPaid: cashPaid,
-            change: change,
-            date: new Date().toISOString()
-        };
+            fees: cart.fees,
+            discount: cart.discount,
+            orderId: cart.orderId || null,
+            customer: cart.customer || null,
+            createdAt: now.toISOString()
+        });
 
-        const addedId = await putToDB('transactions', transaction);
-        await queueSyncAction('CREATE_TRANSACTION', { ...transaction, id: addedId });
+        cart = { items: [], fees: [], discount: null };
+        await applyDefaultFees();
+        updateCartDisplay();
+        closeHoldCartModal();
+        hideCartModal();
+        await loadHeldCarts();
+        showToast(`Pesanan "${label}" ditahan.`);
+    } catch (error) {
+        console.error('Failed to hold cart:', error);
+        showToast('Gagal menahan pesanan.');
+    }
+}
 
-        // Update stock
-        for (const item of cart.items) {
+/**
+ * Moves a held cart back into the cart. Items go through the same stock
+ * check as addToCart, so anything sold out in the meantime is left out.
+ */
+window.resumeHeldCart = async function(heldCartId) {
+    if (cart.items.length > 0) {
+        showToast('Tahan atau kosongkan keranjang saat ini terlebih dahulu.');
+        return;
+    }
+
+    try {
+        const held = await getFromDB('held_carts', heldCartId);
+        if (!held) {
+            await loadHeldCarts();
+            return;
+        }
+
+        const shortages = [];
+        for (const item of held.items) {
             const product = await getFromDB('products', item.id);
-            if (product) {
-                product.stock -= item.quantity;
-                product.updatedAt = new Date().toISOString();
-                await putToDB('products', product);
-                await queueSyncAction('UPDATE_PRODUCT', product);
+            const added = product ? putProductInCart(product, item.quantity) : 0;
+            if (added < item.quantity) {
+                shortages.push(`${item.name} (${added}/${item.quantity})`);
+            }
+            const cartItem = cart.items.find(i => i.id === item.id);
+            if (cartItem && item.overridePrice !== null && item.overridePrice !== undefined) {
+                cartItem.effectivePrice = item.overridePrice;
+                cartItem.priceOverridden = true;
             }
         }
-        
-        currentReceiptTransaction = { ...transaction, id: addedId };
+        cart.fees = held.fees;
+        cart.discount = held.discount || null;
+        cart.orderId = held.orderId || null;
+        cart.customer = held.customer || null;
 
-        showReceiptModal();
-        
+        await deleteFromDB('held_carts', heldCartId);
+        await reconcileCartFees();
+        updateCartDisplay();
+        await loadHeldCarts();
+        showCartModal();
+
+        if (shortages.length > 0) {
+            showToast(`Stok tidak mencukupi: ${shortages.join(', ')}`);
+        } else {
+            showToast(`Pesanan "${held.label}" dilanjutkan.`);
+        }
     } catch (error) {
-        console.error("Transaction failed:", error);
-        showToast('Transaksi gagal. Silakan coba lagi.');
-    } finally {
-        button.disabled = false;
-        buttonText.classList.remove('hidden');
-        spinner.classList.add('hidden');
+        console.error('Failed to resume held cart:', error);
+        showToast('Gagal melanjutkan pesanan.');
     }
 }
 
-function showReceiptModal() {
-    closePaymentModal();
-    hideCartModal();
-    (document.getElementById('receiptModal')).classList.remove('hidden');
-    generateReceiptContent(currentReceiptTransaction);
-    
-    const actionButton = document.getElementById('receiptActionButton');
-    actionButton.textContent = 'Transaksi Baru';
-    actionButton.onclick = startNewTransaction;
-
-    // Auto print if enabled
-    getSettingFromDB('autoPrintReceipt').then(autoPrint => {
-        if (autoPrint && isPrinterReady) {
-            printReceipt(true);
+window.deleteHeldCart = function(heldCartId) {
+    showConfirmationModal('Hapus Pesanan Ditahan', 'Pesanan ini akan dihapus dan tidak dapat dilanjutkan. Lanjutkan?', async () => {
+        try {
+            await deleteFromDB('held_carts', heldCartId);
+            await loadHeldCarts();
+            showToast('Pesanan ditahan dihapus.');
+        } catch (error) {
+            console.error('Failed to delete held cart:', error);
+            showToast('Gagal menghapus pesanan.');
         }
-    });
+    }, 'Ya, Hapus', 'bg-red-500');
 }
 
-function startNewTransaction() {
-    (document.getElementById('receiptModal')).classList.add('hidden');
-    cart = { items: [], fees: [] };
-    applyDefaultFees();
-    updateCartDisplay();
-    loadProductsGrid(); // Refresh grid for stock updates
-    if(currentPage === 'dashboard') loadDashboard();
-    currentReceiptTransaction = null;
-    showToast('Siap untuk transaksi berikutnya.');
-}
-window.startNewTransaction = startNewTransaction;
+// --- PENDING ORDERS ---
+// Orders placed on a self-order kiosk wait here until the customer pays at the
+// counter. Like held carts, they are rung up from the current products, so
+// prices, promotions and fees are worked out by the cashier's device.
 
+const PENDING_ORDERS_POLL_INTERVAL = 30 * 1000;
 
-// --- SETTINGS ---
-async function saveStoreSettings() {
-    const settings = [
-        { key: 'storeName', value: (document.getElementById('storeName')).value.trim() },
-        { key: 'storeAddress', value: (document.getElementById('storeAddress')).value.trim() },
-        { key: 'storeFeedbackPhone', value: (document.getElementById('storeFeedbackPhone')).value.trim() },
-        { key: 'storeFooterText', value: (document.getElementById('storeFooterText')).value.trim() },
-        { key: 'storeLogo', value: currentStoreLogoData },
-        { key: 'lowStockThreshold', value: parseInt((document.getElementById('lowStockThreshold')).value) || 5 },
-        { key: 'autoPrintReceipt', value: document.getElementById('autoPrintReceipt').checked },
-        { key: 'printerPaperSize', value: document.getElementById('printerPaperSize').value }
-    ];
-
+async function loadPendingOrders() {
+    const sectionEl = document.getElementById('pendingOrdersSection');
+    const listEl = document.getElementById('pendingOrdersList');
     try {
-        const transaction = db.transaction('settings', 'readwrite');
-        const store = transaction.objectStore('settings');
-        settings.forEach(setting => store.put(setting));
-        
-        transaction.oncomplete = () => {
-            lowStockThreshold = settings.find(s => s.key === 'lowStockThreshold').value;
-            showToast('Pengaturan berhasil disimpan');
-            loadDashboard(); // Refresh dashboard with new store name/address
-        };
-    } catch(error) {
-        console.error("Failed to save settings:", error);
-        showToast("Gagal menyimpan pengaturan.");
+        const orders = (await getAllFromDB('orders'))
+            .filter(order => order.status === 'pending')
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+        // Announce orders that came in since the list was last shown
+        const newOrders = knownPendingOrderIds ? orders.filter(order => !knownPendingOrderIds.has(order.id)) : [];
+        knownPendingOrderIds = new Set(orders.map(order => order.id));
+        if (newOrders.length > 0 && !isKioskModeActive) {
+            playTone(880, 0.15, 0.3, 'sine');
+            showToast(`Pesanan baru: ${newOrders.map(order => order.orderNumber).join(', ')}`, 3000);
+        }
+
+        sectionEl.classList.toggle('hidden', orders.length === 0);
+        listEl.innerHTML = orders.map(order => {
+            const itemCount = order.items.reduce((sum, item) => sum + item.quantity, 0);
+            const time = new Date(order.createdAt).toLocaleTimeString('id-ID', { hour: '2-digit', minute: '2-digit' });
+            return `
+                <div class="flex items-center gap-2 bg-blue-100 text-blue-800 rounded-lg px-3 py-2 flex-shrink-0">
+                    <button onclick="ringUpPendingOrder(${order.id})" class="text-left clickable">
+                        <p class="font-bold">${escapeHtml(order.orderNumber)}${order.customerName ? ` <span class="font-normal text-sm">${escapeHtml(order.customerName)}</span>` : ''}</p>
+                        <p class="text-xs">${itemCount} item &middot; Rp ${formatCurrency(order.total)} &middot; ${time}</p>
+                    </button>
+                    <button onclick="cancelPendingOrder(${order.id})" class="text-blue-700 clickable"><i class="fas fa-times"></i></button>
+                </div>
+            `;
+        }).join('');
+    } catch (error) {
+        console.error('Failed to load pending orders:', error);
     }
 }
-window.saveStoreSettings = saveStoreSettings;
 
+/**
+ * Finds the local product for a line of a self-order. Local ids only hold on
+ * the device that took the order; orders from another kiosk are matched on
+ * serverId, barcode and finally name.
+ */
+function findOrderProduct(products, item, isLocalOrder) {
+    return (item.serverId && products.find(p => p.serverId === item.serverId))
+        || (item.barcode && products.find(p => p.barcode === item.barcode))
+        || (isLocalOrder && products.find(p => p.id === item.id))
+        || products.find(p => p.name === item.name)
+        || null;
+}
 
-async function loadSettings() {
-    try {
-        const settings = await getAllFromDB('settings');
-        const settingsMap = new Map(settings.map(s => [s.key, s.value]));
+/**
+ * Saves a change to a self-order and sends it to the other devices.
+ */
+async function updatePendingOrder(orderId, changes) {
+    const order = await getFromDB('orders', orderId);
+    if (!order) return;
+    const updatedOrder = { ...order, ...changes, updatedAt: new Date().toISOString() };
+    await putToDB('orders', updatedOrder);
+    await queueSyncAction('UPDATE_ORDER', updatedOrder);
+}
 
-        (document.getElementById('storeName')).value = settingsMap.get('storeName') || '';
-        (document.getElementById('storeAddress')).value = settingsMap.get('storeAddress') || '';
-        (document.getElementById('storeFeedbackPhone')).value = settingsMap.get('storeFeedbackPhone') || '';
-        (document.getElementById('storeFooterText')).value = settingsMap.get('storeFooterText') || '';
-        (document.getElementById('lowStockThreshold')).value = settingsMap.get('lowStockThreshold') || 5;
-        document.getElementById('autoPrintReceipt').checked = settingsMap.get('autoPrintReceipt') || false;
-        document.getElementById('printerPaperSize').value = settingsMap.get('printerPaperSize') || '80mm';
+/**
+ * Moves a self-order into the cart for payment. The order stays pending until
+ * the sale is completed, so clearing the cart leaves it in the queue.
+ */
+window.ringUpPendingOrder = async function(orderId) {
+    if (cart.items.length > 0) {
+        showToast('Tahan atau kosongkan keranjang saat ini terlebih dahulu.');
+        return;
+    }
 
-        // Set Kiosk Mode toggle state
-        const kioskToggle = document.getElementById('kioskModeToggle');
-        if (kioskToggle) {
-            kioskToggle.checked = settingsMap.get('kioskModeEnabled') || false;
+    try {
+        const order = await getFromDB('orders', orderId);
+        if (!order || order.status !== 'pending') {
+            await loadPendingOrders();
+            return;
         }
 
-        lowStockThreshold = settingsMap.get('lowStockThreshold') || 5;
-        
-        currentStoreLogoData = settingsMap.get('storeLogo') || null;
-        if (currentStoreLogoData) {
-            (document.getElementById('storeLogoPreview')).innerHTML = `<img src="${currentStoreLogoData}" alt="Logo Preview" class="image-preview">`;
+        const products = await getAllFromDB('products');
+        const isLocalOrder = order.deviceId === await getDeviceId();
+        const shortages = [];
+        for (const item of order.items) {
+            const product = findOrderProduct(products, item, isLocalOrder);
+            const added = product ? putProductInCart(product, item.quantity) : 0;
+            if (added < item.quantity) {
+                shortages.push(`${item.name} (${added}/${item.quantity})`);
+            }
+        }
+        cart.orderId = order.id;
+
+        await reconcileCartFees();
+        updateCartDisplay();
+        showCartModal();
+
+        if (shortages.length > 0) {
+            showToast(`Stok tidak mencukupi: ${shortages.join(', ')}`);
+        } else {
+            showToast(`Pesanan ${order.orderNumber} siap dibayar.`);
         }
     } catch (error) {
-        console.error("Failed to load settings:", error);
+        console.error('Failed to ring up pending order:', error);
+        showToast('Gagal membuka pesanan.');
     }
 }
 
-window.previewStoreLogo = function(event) {
-    const file = event.target.files?.[0];
-    if (file) {
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            currentStoreLogoData = e.target?.result;
-            (document.getElementById('storeLogoPreview')).innerHTML = `<img src="${currentStoreLogoData}" alt="Logo Preview" class="image-preview">`;
-        };
-        reader.readAsDataURL(file);
-    }
+window.cancelPendingOrder = function(orderId) {
+    showConfirmationModal('Batalkan Pesanan', 'Pesanan ini akan dibatalkan dan dihapus dari antrean. Lanjutkan?', async () => {
+        try {
+            await updatePendingOrder(orderId, { status: 'cancelled' });
+            if (cart.orderId === orderId) cart.orderId = null;
+            await loadPendingOrders();
+            showToast('Pesanan dibatalkan.');
+        } catch (error) {
+            console.error('Failed to cancel pending order:', error);
+            showToast('Gagal membatalkan pesanan.');
+        }
+    }, 'Ya, Batalkan', 'bg-red-500');
 }
 
-// --- DATA MANAGEMENT ---
-async function exportData() {
+// --- CUSTOMERS & LOYALTY ---
+// Customers are found by name or phone number from the cart. With the points
+// program on, a sale to a known customer earns points on what was paid, and
+// points can be redeemed as the cart discount.
+
+const normalizePhone = (phone) => phone.replace(/[^0-9]/g, '');
+
+function renderLoyaltySettings() {
+    document.getElementById('loyaltyEnabled').checked = loyaltySettings.enabled;
+    document.getElementById('loyaltyEarnAmount').value = loyaltySettings.earnAmount;
+    document.getElementById('loyaltyPointValue').value = loyaltySettings.pointValue;
+}
+
+window.saveLoyaltySettings = async function() {
+    if (!requirePermission('manageProducts')) {
+        renderLoyaltySettings();
+        return;
+    }
+    const earnAmount = parseFloat(document.getElementById('loyaltyEarnAmount').value);
+    const pointValue = parseFloat(document.getElementById('loyaltyPointValue').value);
+    if (isNaN(earnAmount) || earnAmount <= 0 || isNaN(pointValue) || pointValue <= 0) {
+        showToast('Nilai program poin tidak valid.');
+        return;
+    }
+
+    const settings = { enabled: document.getElementById('loyaltyEnabled').checked, earnAmount, pointValue };
     try {
-        const products = await getAllFromDB('products');
-        const transactions = await getAllFromDB('transactions');
-        const settings = await getAllFromDB('settings');
-        const categories = await getAllFromDB('categories');
-        const fees = await getAllFromDB('fees');
-        
-        const data = {
-            products,
-            transactions,
-            settings,
-            categories,
-            fees,
-            exportDate: new Date().toISOString()
-        };
-        
-        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        const date = new Date().toISOString().split('T')[0];
-        a.href = url;
-        a.download = `pos_backup_${date}.json`;
-        a.click();
-        URL.revokeObjectURL(url);
-        showToast('Data berhasil diexport.');
+        await putSettingToDB({ key: 'loyaltyProgram', value: settings });
+        loyaltySettings = settings;
+        updateCartDisplay();
+        showToast('Program poin disimpan.');
     } catch (error) {
-        console.error('Export failed:', error);
-        showToast('Gagal mengexport data.');
+        console.error('Failed to save loyalty settings:', error);
+        showToast('Gagal menyimpan program poin.');
     }
 }
-window.exportData = exportData;
 
-window.importData = function() {
-    (document.getElementById('importFile')).click();
+/** Points earned on a sale: one for every full earnAmount paid. */
+function getPointsEarned(amount) {
+    if (!loyaltySettings.enabled) return 0;
+    return Math.max(Math.floor(amount / loyaltySettings.earnAmount), 0);
 }
 
-window.handleImport = function(event) {
-    const file = event.target.files?.[0];
-    if (file) {
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            try {
-                const data = JSON.parse(e.target.result);
-                showConfirmationModal(
-                    'Import Data',
-                    'Ini akan menimpa semua data saat ini. Apakah Anda yakin ingin melanjutkan?',
-                    async () => {
-                        await clearAllStores();
-                        const transaction = db.transaction(['products', 'transactions', 'settings', 'categories', 'fees'], 'readwrite');
-                        
-                        if (data.products) transaction.objectStore('products').clear();
-                        if (data.transactions) transaction.objectStore('transactions').clear();
-                        if (data.settings) transaction.objectStore('settings').clear();
-                        if (data.categories) transaction.objectStore('categories').clear();
-                        if (data.fees) transaction.objectStore('fees').clear();
+/**
+ * The part of a sale that earns points: the goods without fees or taxes, and
+ * only the share that was paid rather than put on kasbon.
+ */
+function getPointsEarningAmount(goodsAmount, total, payments) {
+    if (total <= 0) return 0;
+    const onCredit = payments.filter(p => p.method === 'credit').reduce((sum, p) => sum + p.amount, 0);
+    return goodsAmount * Math.max(total - onCredit, 0) / total;
+}
 
-                        if (data.products) data.products.forEach(p => transaction.objectStore('products').put(p));
-                        if (data.transactions) data.transactions.forEach(t => transaction.objectStore('transactions').put(t));
-                        if (data.settings) data.settings.forEach(s => transaction.objectStore('settings').put(s));
-                        if (data.categories) data.categories.forEach(c => transaction.objectStore('categories').put(c));
-                        if (data.fees) data.fees.forEach(f => transaction.objectStore('fees').put(f));
-                        
-                        transaction.oncomplete = () => {
-                            showToast('Data berhasil diimport. Aplikasi akan dimuat ulang.');
-                            setTimeout(() => location.reload(), 2000);
-                        };
-                    },
-                    'Ya, Import',
-                    'bg-purple-500'
-                );
-            } catch (error) {
-                console.error('Import parse error:', error);
-                showToast('Format file tidak valid.');
-            }
-        };
-        reader.readAsText(file);
-    }
+/**
+ * Applies a points change from a void or refund. Points the customer has
+ * already spent cannot be taken back, so the balance never drops below zero.
+ * @returns {Promise<number>} The change actually applied.
+ */
+async function applyPointsReversal(customerId, delta, reason, transactionId) {
+    const customer = customerId ? await getFromDB('customers', customerId) : null;
+    if (!customer) return 0;
+    const applied = Math.max(delta, -(customer.points || 0));
+    if (applied === 0) return 0;
+
+    customer.points = (customer.points || 0) + applied;
+    customer.updatedAt = new Date().toISOString();
+    await putToDB('customers', customer);
+    await queuePointsAdjustment(customer, applied, reason, transactionId);
+    return applied;
 }
 
-async function clearAllStores() {
-    return new Promise((resolve, reject) => {
-        const transaction = db.transaction(db.objectStoreNames, 'readwrite');
-        Array.from(db.objectStoreNames).forEach(storeName => {
-            transaction.objectStore(storeName).clear();
-        });
-        transaction.oncomplete = resolve;
-        transaction.onerror = reject;
-    });
+/**
+ * Points actually used by a points discount. The discount is capped at the
+ * items total, so a cart that shrank after redeeming uses fewer points.
+ */
+function getRedeemedPoints(cartDiscount) {
+    if (!cartDiscount || !cartDiscount.points) return 0;
+    return Math.min(cartDiscount.points, Math.ceil(cartDiscount.amount / cartDiscount.pointValue));
 }
 
-window.clearAllData = function() {
-    showConfirmationModal(
-        'Hapus Semua Data',
-        'PERINGATAN: Ini akan menghapus semua produk, transaksi, dan pengaturan secara permanen. Tindakan ini tidak dapat dibatalkan. Apakah Anda benar-benar yakin?',
-        async () => {
-            await clearAllStores();
-            showToast('Semua data berhasil dihapus. Aplikasi akan dimuat ulang.');
-            setTimeout(() => location.reload(), 2000);
-        },
-        'Ya, Hapus Semua',
-        'bg-red-500'
-    );
+function renderCartCustomer() {
+    const rowEl = document.getElementById('cartCustomerRow');
+    if (!cart.customer) {
+        rowEl.innerHTML = `
+            <button onclick="showCustomerModal()" class="btn bg-gray-100 text-gray-700 w-full py-2 text-sm">
+                <i class="fas fa-user-plus"></i> Pilih Pelanggan
+            </button>
+        `;
+        return;
+    }
+    const points = loyaltySettings.enabled ? ` &middot; ${cart.customer.points} poin` : '';
+    rowEl.innerHTML = `
+        <div class="flex justify-between items-center bg-blue-50 text-blue-800 rounded-lg px-3 py-2 text-sm">
+            <button onclick="showCustomerModal()" class="text-left clickable">
+                <i class="fas fa-user"></i> <span class="font-semibold">${escapeHtml(cart.customer.name)}</span>
+                <span class="text-xs">${escapeHtml(cart.customer.phone)}${points}</span>
+            </button>
+            <button onclick="removeCartCustomer()" class="text-blue-700 clickable"><i class="fas fa-times"></i></button>
+        </div>
+    `;
 }
 
-// --- MODALS ---
-function showConfirmationModal(title, message, onConfirm, confirmText = 'OK', confirmClass = 'bg-blue-500') {
-    (document.getElementById('confirmationTitle')).textContent = title;
-    (document.getElementById('confirmationMessage')).innerHTML = message;
-    
-    const confirmButton = document.getElementById('confirmButton');
-    confirmButton.textContent = confirmText;
-    confirmButton.className = `btn text-white flex-1 py-2 ${confirmClass}`;
-    
-    confirmCallback = onConfirm;
+window.showCustomerModal = function() {
+    document.getElementById('customerSearch').value = '';
+    document.getElementById('newCustomerName').value = '';
+    document.getElementById('newCustomerPhone').value = '';
+    document.getElementById('customerModal').classList.remove('hidden');
+    searchCustomers();
+    document.getElementById('customerSearch').focus();
+}
 
-    (document.getElementById('confirmationModal')).classList.remove('hidden');
+window.closeCustomerModal = function() {
+    document.getElementById('customerModal').classList.add('hidden');
 }
 
-function closeConfirmationModal() {
-    (document.getElementById('confirmationModal')).classList.add('hidden');
-    confirmCallback = null;
+async function searchCustomers() {
+    const term = document.getElementById('customerSearch').value.trim().toLowerCase();
+    const digits = normalizePhone(term);
+    const resultsEl = document.getElementById('customerResults');
+    try {
+        const customers = (await getAllFromDB('customers'))
+            .filter(c => c.name.toLowerCase().includes(term) || (digits && c.phone.includes(digits)))
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .slice(0, 20);
+
+        if (customers.length === 0) {
+            resultsEl.innerHTML = `<p class="text-gray-500 text-center text-sm py-2">Pelanggan tidak ditemukan.</p>`;
+            return;
+        }
+        resultsEl.innerHTML = customers.map(c => `
+            <div class="flex justify-between items-center bg-gray-100 p-2 rounded-lg">
+                <button onclick="selectCustomer(${c.id})" class="text-left flex-1 clickable">
+                    <p class="font-semibold text-sm">${escapeHtml(c.name)}</p>
+                    <p class="text-xs text-gray-500">${escapeHtml(c.phone)}${loyaltySettings.enabled ? ` &middot; ${c.points || 0} poin` : ''}</p>
+                </button>
+                <button onclick="showCustomerHistory(${c.id})" class="text-blue-500 clickable px-2" title="Riwayat Belanja">
+                    <i class="fas fa-history"></i>
+                </button>
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Failed to search customers:', error);
+    }
 }
+window.searchCustomers = searchCustomers;
 
-// --- REPORTS ---
-window.generateReport = async function() {
-    const dateFrom = (document.getElementById('dateFrom')).value;
-    const dateTo = (document.getElementById('dateTo')).value;
-    
-    if (!dateFrom || !dateTo) {
-        showToast('Silakan pilih rentang tanggal.');
-        return;
+window.selectCustomer = async function(customerId) {
+    try {
+        const customer = await getFromDB('customers', customerId);
+        if (!customer) return;
+        // Points redeemed for someone else can't be used for this customer
+        if (cart.discount?.points && cart.customer?.id !== customerId) cart.discount = null;
+        cart.customer = { id: customer.id, name: customer.name, phone: customer.phone, points: customer.points || 0 };
+        closeCustomerModal();
+        updateCartDisplay();
+    } catch (error) {
+        console.error('Failed to select customer:', error);
+        showToast('Gagal memilih pelanggan.');
     }
-    
-    const transactions = await getAllFromDB('transactions');
-    const products = await getAllFromDB('products'); // Get all products for cost calculation
-    
-    const filteredTransactions = transactions.filter(t => {
-        const date = t.date.split('T')[0];
-        return date >= dateFrom && date <= dateTo;
-    });
-    
-    currentReportData = filteredTransactions;
+}
 
-    if (filteredTransactions.length === 0) {
-        showToast('Tidak ada transaksi ditemukan pada rentang tanggal tersebut.');
-        document.getElementById('reportSummary').style.display = 'none';
-        document.getElementById('reportDetails').style.display = 'none';
-        document.getElementById('topSellingProductsCard').style.display = 'none';
-        document.getElementById('salesChartCard').style.display = 'none';
+window.removeCartCustomer = function() {
+    cart.customer = null;
+    if (cart.discount?.points) cart.discount = null;
+    updateCartDisplay();
+}
+
+window.quickAddCustomer = async function() {
+    const name = document.getElementById('newCustomerName').value.trim();
+    const phone = normalizePhone(document.getElementById('newCustomerPhone').value);
+    if (!name || phone.length < 8) {
+        showToast('Nama dan nomor HP (min. 8 digit) wajib diisi.');
         return;
     }
 
-    displayReportSummary(filteredTransactions, products);
-    displayReportDetails(filteredTransactions);
-    displayTopSellingProducts(filteredTransactions);
-    displaySalesReport(filteredTransactions, 'daily');
-
-    document.getElementById('reportSummary').style.display = 'block';
-    document.getElementById('reportDetails').style.display = 'block';
-    document.getElementById('topSellingProductsCard').style.display = 'block';
-    document.getElementById('salesChartCard').style.display = 'block';
+    try {
+        // The phone number links the same customer across devices, so it must be unique
+        const customers = await getAllFromDB('customers');
+        if (customers.some(c => c.phone === phone)) {
+            showToast('Nomor HP sudah terdaftar.');
+            return;
+        }
 
+        const now = new Date().toISOString();
+        const customer = { name, phone, points: 0, createdAt: now, updatedAt: now };
+        const customerId = await putToDB('customers', customer);
+        await queueSyncAction('CREATE_CUSTOMER', { ...customer, id: customerId });
+        await selectCustomer(customerId);
+        showToast(`Pelanggan ${name} ditambahkan.`);
+    } catch (error) {
+        console.error('Failed to add customer:', error);
+        showToast('Gagal menambahkan pelanggan.');
+    }
 }
 
-function displayReportSummary(transactions, products) {
-    // Create a lookup map for product costs for efficiency
-    const productMap = new Map(products.map(p => [p.id, p]));
-
-    let omzet = 0;
-    let hpp = 0;
-    let totalOperationalCost = 0;
+/**
+ * Shows the sales made to a customer on this device.
+ */
+window.showCustomerHistory = async function(customerId) {
+    try {
+        const customer = await getFromDB('customers', customerId);
+        if (!customer) return;
+        const transactions = (await getAllFromDB('transactions'))
+            .filter(t => t.customerId === customerId)
+            .sort((a, b) => new Date(b.date) - new Date(a.date));
+        const completed = transactions.filter(t => !t.voidedAt);
+        const totalSpent = completed.reduce((sum, t) => sum + t.total, 0);
+
+        document.getElementById('customerHistoryTitle').textContent = customer.name;
+        document.getElementById('customerHistorySummary').textContent =
+            `${customer.phone} - ${completed.length} transaksi - Rp ${formatCurrency(totalSpent)}` +
+            (loyaltySettings.enabled ? ` - ${customer.points || 0} poin` : '');
+        document.getElementById('customerHistoryList').innerHTML = transactions.length === 0
+            ? `<p class="text-gray-500 text-center py-4">Belum ada transaksi.</p>`
+            : transactions.map(t => {
+                const points = [
+                    t.pointsEarned ? `+${t.pointsEarned}` : '',
+                    t.pointsRedeemed ? `-${t.pointsRedeemed}` : ''
+                ].filter(Boolean).join(' / ');
+                return `
+                    <div class="flex justify-between items-center bg-gray-50 p-2 rounded-lg text-sm ${t.voidedAt ? 'opacity-60' : ''}">
+                        <div>
+                            <p class="font-semibold">No. ${t.id}${t.voidedAt ? ' <span class="text-xs text-red-500">VOID</span>' : ''}</p>
+                            <p class="text-xs text-gray-500">${new Date(t.date).toLocaleString('id-ID')} &middot; ${t.items.reduce((sum, item) => sum + item.quantity, 0)} item</p>
+                        </div>
+                        <div class="text-right">
+                            <p class="font-semibold">Rp ${formatCurrency(t.total)}</p>
+                            ${points ? `<p class="text-xs text-blue-600">${points} poin</p>` : ''}
+                        </div>
+                    </div>
+                `;
+            }).join('');
+        document.getElementById('customerHistoryModal').classList.remove('hidden');
+    } catch (error) {
+        console.error('Failed to load customer history:', error);
+        showToast('Gagal memuat riwayat pelanggan.');
+    }
+}
 
-    transactions.forEach(t => {
-        const subtotalAfterDiscount = t.subtotal - (t.totalDiscount || 0);
-        omzet += subtotalAfterDiscount;
+window.closeCustomerHistoryModal = function() {
+    document.getElementById('customerHistoryModal').classList.add('hidden');
+}
 
-        // Calculate HPP (COGS) for this transaction
-        t.items.forEach(item => {
-            const product = productMap.get(item.id);
-            // Use current purchasePrice. If product was deleted, its cost is 0.
-            const purchasePrice = product ? (product.purchasePrice || 0) : 0;
-            hpp += purchasePrice * item.quantity;
+function renderRedeemPointsSection() {
+    const sectionEl = document.getElementById('redeemPointsSection');
+    const canRedeem = Boolean(loyaltySettings.enabled && cart.customer && cart.customer.points > 0);
+    sectionEl.classList.toggle('hidden', !canRedeem);
+    if (!canRedeem) return;
+    document.getElementById('redeemPointsInfo').textContent =
+        `${cart.customer.name} punya ${cart.customer.points} poin (1 poin = Rp ${formatCurrency(loyaltySettings.pointValue)}).`;
+    document.getElementById('redeemPointsInput').value = cart.discount?.points || '';
+}
+
+/**
+ * Redeems points as the cart discount, in place of any promo code or manual
+ * discount. Points are only taken from the customer when the sale completes.
+ */
+window.applyPointsRedemption = function() {
+    const points = parseInt(document.getElementById('redeemPointsInput').value, 10);
+    if (!cart.customer || isNaN(points) || points <= 0 || points > cart.customer.points) {
+        showToast('Jumlah poin tidak valid.');
+        return;
+    }
+
+    // Never use more points than the items are worth
+    const { itemsTotal, promotionTotal } = calculateCartTotals();
+    const usedPoints = Math.min(points, Math.ceil((itemsTotal - promotionTotal) / loyaltySettings.pointValue));
+    if (usedPoints <= 0) {
+        showToast('Tidak ada yang bisa dibayar dengan poin.');
+        return;
+    }
+    setCartDiscount({
+        type: 'fixed',
+        value: usedPoints * loyaltySettings.pointValue,
+        name: `Tukar ${usedPoints} Poin`,
+        promoCode: null,
+        minSpend: 0,
+        points: usedPoints,
+        pointValue: loyaltySettings.pointValue
+    });
+    showToast(`${usedPoints} poin ditukar.`);
+}
+
+// --- RECEIVABLES ---
+// A sale paid partly or fully with Kasbon leaves that amount owed by its customer.
+// Repayments are their own records in credit_payments and pay off the oldest kasbon
+// first, so a balance ages by its oldest unpaid sale. Sales sync push-only, so the
+// receivables of a customer are the ones made on this device.
+
+const RECEIVABLE_AGING_BUCKETS = [
+    { label: '0-30 hari', maxDays: 30 },
+    { label: '31-60 hari', maxDays: 60 },
+    { label: '61-90 hari', maxDays: 90 },
+    { label: '> 90 hari', maxDays: Infinity }
+];
+
+const getAgeInDays = (date, now = new Date()) => Math.max(Math.floor((now - new Date(date)) / (24 * 60 * 60 * 1000)), 0);
+const getAgingBucketIndex = (days) => RECEIVABLE_AGING_BUCKETS.findIndex(bucket => days <= bucket.maxDays);
+
+/**
+ * Works out what every customer still owes. Voided sales owe nothing, and returns
+ * taken off the kasbon lower what their sale owes.
+ * @returns {Map<number, {customerId: number, customerName: string, sales: {transaction: object, owed: number, remaining: number}[], payments: object[], outstanding: number}>}
+ *   Sales oldest first; `remaining` is what is left of each after repayments.
+ */
+function calculateReceivables(transactions, refunds, creditPayments) {
+    const receivables = new Map();
+    const getEntry = (customerId, customerName) => {
+        if (!receivables.has(customerId)) {
+            receivables.set(customerId, { customerId, customerName, sales: [], payments: [], outstanding: 0 });
+        }
+        return receivables.get(customerId);
+    };
+
+    const creditRefunds = new Map();
+    refunds.filter(r => r.method === 'credit').forEach(r => {
+        creditRefunds.set(r.transactionId, (creditRefunds.get(r.transactionId) || 0) + r.total);
+    });
+
+    transactions
+        .filter(t => t.customerId && !t.voidedAt)
+        .sort((a, b) => new Date(a.date) - new Date(b.date))
+        .forEach(t => {
+            const credit = getTransactionPayments(t).filter(p => p.method === 'credit').reduce((sum, p) => sum + p.amount, 0);
+            const owed = Math.max(credit - (creditRefunds.get(t.id) || 0), 0);
+            if (owed > 0) getEntry(t.customerId, t.customerName).sales.push({ transaction: t, owed, remaining: owed });
         });
-        
-        // Calculate total fees for this transaction
-        (t.fees || []).forEach(fee => {
-            totalOperationalCost += fee.amount;
+    creditPayments.forEach(p => getEntry(p.customerId, p.customerName).payments.push(p));
+
+    receivables.forEach(entry => {
+        let unallocated = entry.payments.reduce((sum, p) => sum + p.amount, 0);
+        entry.sales.forEach(sale => {
+            const applied = Math.min(sale.owed, unallocated);
+            sale.remaining = sale.owed - applied;
+            unallocated -= applied;
         });
+        entry.outstanding = entry.sales.reduce((sum, sale) => sum + sale.remaining, 0);
     });
+    return receivables;
+}
 
-    const grossProfit = omzet - hpp;
-    const netProfit = grossProfit - totalOperationalCost;
-    const cashFlow = grossProfit; // In this cash-based system, operational cash flow is best represented by gross profit.
-    const totalTransactions = transactions.length;
-    const average = totalTransactions > 0 ? omzet / totalTransactions : 0;
-
-    // Update DOM elements
-    (document.getElementById('reportOmzet')).textContent = `Rp ${formatCurrency(omzet)}`;
-    (document.getElementById('reportHpp')).textContent = `Rp ${formatCurrency(hpp)}`;
-    (document.getElementById('reportGrossProfit')).textContent = `Rp ${formatCurrency(grossProfit)}`;
-    (document.getElementById('reportOperationalCost')).textContent = `Rp ${formatCurrency(totalOperationalCost)}`;
-    (document.getElementById('reportNetProfit')).textContent = `Rp ${formatCurrency(netProfit)}`;
-    (document.getElementById('reportCashFlow')).textContent = `Rp ${formatCurrency(cashFlow)}`;
-    (document.getElementById('reportTotalTransactions')).textContent = totalTransactions.toString();
-    (document.getElementById('reportAverage')).textContent = `Rp ${formatCurrency(average)}`;
+async function loadReceivables() {
+    const transactions = await getAllFromDB('transactions');
+    const refunds = await getAllFromDB('refunds');
+    const creditPayments = await getAllFromDB('credit_payments');
+    return calculateReceivables(transactions, refunds, creditPayments);
 }
 
-function displayReportDetails(transactions) {
-    const detailsEl = document.getElementById('reportTransactions');
-    detailsEl.innerHTML = transactions.sort((a,b) => new Date(b.date) - new Date(a.date)).map(t => {
-        const date = new Date(t.date);
-        const formattedDate = `${date.toLocaleDateString('id-ID')} ${date.toLocaleTimeString('id-ID')}`;
-        return `
-            <div class="border-t pt-2 mt-2">
-                <div class="flex justify-between text-sm">
-                    <span>${formattedDate}</span>
-                    <span class="font-semibold">Rp ${formatCurrency(t.total)}</span>
-                </div>
-                <ul class="text-xs text-gray-600 pl-4 mt-1">
-                    ${t.items.map(item => `<li>${item.quantity}x ${item.name}</li>`).join('')}
-                </ul>
+async function renderReceivablesPage() {
+    try {
+        const receivables = await loadReceivables();
+        const customers = new Map((await getAllFromDB('customers')).map(c => [c.id, c]));
+        const now = new Date();
+        const agingTotals = RECEIVABLE_AGING_BUCKETS.map(() => 0);
+
+        const openEntries = [...receivables.values()].filter(entry => entry.outstanding > 0);
+        const rows = openEntries.map(entry => {
+            const openSales = entry.sales.filter(sale => sale.remaining > 0);
+            openSales.forEach(sale => {
+                agingTotals[getAgingBucketIndex(getAgeInDays(sale.transaction.date, now))] += sale.remaining;
+            });
+            return { entry, oldestDays: getAgeInDays(openSales[0].transaction.date, now), openCount: openSales.length };
+        }).sort((a, b) => b.oldestDays - a.oldestDays);
+
+        const totalOutstanding = openEntries.reduce((sum, entry) => sum + entry.outstanding, 0);
+        document.getElementById('receivablesTotal').textContent = `Rp ${formatCurrency(totalOutstanding)}`;
+        document.getElementById('receivablesCustomerCount').textContent = `${openEntries.length} pelanggan`;
+        document.getElementById('receivablesAging').innerHTML = RECEIVABLE_AGING_BUCKETS.map((bucket, index) => `
+            <div class="bg-gray-50 rounded-lg p-2 text-center">
+                <p class="text-xs text-gray-500">${bucket.label}</p>
+                <p class="font-semibold text-sm ${index > 0 && agingTotals[index] > 0 ? 'text-red-500' : ''}">Rp ${formatCurrency(agingTotals[index])}</p>
             </div>
-        `;
-    }).join('');
-}
+        `).join('');
 
+        document.getElementById('receivablesList').innerHTML = rows.length === 0
+            ? `<p class="text-gray-500 text-center py-4">Tidak ada kasbon yang belum lunas.</p>`
+            : rows.map(({ entry, oldestDays, openCount }) => {
+                const customer = customers.get(entry.customerId);
+                return `
+                    <div class="card p-4 clickable" onclick="showReceivableModal(${entry.customerId})">
+                        <div class="flex justify-between items-start">
+                            <div class="min-w-0">
+                                <p class="font-semibold truncate">${escapeHtml(customer ? customer.name : entry.customerName)}</p>
+                                <p class="text-xs text-gray-500">${customer ? `${escapeHtml(customer.phone)} &middot; ` : ''}${openCount} nota belum lunas</p>
+                            </div>
+                            <div class="text-right flex-shrink-0">
+                                <p class="font-bold text-red-600">Rp ${formatCurrency(entry.outstanding)}</p>
+                                <p class="text-xs ${oldestDays > 30 ? 'text-red-500' : 'text-gray-500'}">Tertua ${oldestDays} hari</p>
+                            </div>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+    } catch (error) {
+        console.error('Failed to load receivables:', error);
+        showToast('Gagal memuat daftar kasbon.');
+    }
+}
 
-function displayTopSellingProducts(transactions) {
-    const productSales = {};
+async function updateDashboardReceivables() {
+    const receivables = await loadReceivables();
+    const totalOutstanding = [...receivables.values()].reduce((sum, entry) => sum + entry.outstanding, 0);
+    document.getElementById('dashboardReceivables').textContent = `Rp ${formatCurrency(totalOutstanding)}`;
+}
 
-    transactions.forEach(t => {
-        t.items.forEach(item => {
-            if (!productSales[item.name]) {
-                productSales[item.name] = { quantity: 0, revenue: 0 };
-            }
-            productSales[item.name].quantity += item.quantity;
-            productSales[item.name].revenue += item.effectivePrice * item.quantity;
-        });
-    });
+/**
+ * Opens a customer's kasbon: the sales still owed with their age, the repayments
+ * made so far and the form to record a new one.
+ */
+window.showReceivableModal = async function(customerId) {
+    try {
+        const entry = (await loadReceivables()).get(customerId);
+        if (!entry) return;
+        const customer = await getFromDB('customers', customerId);
+        currentReceivableCustomerId = customerId;
+
+        document.getElementById('receivableCustomerName').textContent = customer ? customer.name : entry.customerName;
+        document.getElementById('receivableOutstanding').textContent = `Rp ${formatCurrency(entry.outstanding)}`;
+        document.getElementById('receivableOutstanding').dataset.amount = entry.outstanding;
+
+        const openSales = entry.sales.filter(sale => sale.remaining > 0);
+        document.getElementById('receivableSales').innerHTML = openSales.length === 0
+            ? `<p class="text-sm text-gray-500 text-center py-2">Semua kasbon sudah lunas.</p>`
+            : openSales.map(sale => `
+                <div class="flex justify-between items-center bg-gray-50 p-2 rounded-lg text-sm">
+                    <div>
+                        <p class="font-semibold">No. ${sale.transaction.id}</p>
+                        <p class="text-xs text-gray-500">${new Date(sale.transaction.date).toLocaleDateString('id-ID')} &middot; ${getAgeInDays(sale.transaction.date)} hari</p>
+                    </div>
+                    <div class="text-right">
+                        <p class="font-semibold">Rp ${formatCurrency(sale.remaining)}</p>
+                        ${sale.remaining < sale.owed ? `<p class="text-xs text-gray-500">dari Rp ${formatCurrency(sale.owed)}</p>` : ''}
+                    </div>
+                </div>
+            `).join('');
 
-    const sortedProducts = Object.entries(productSales)
-        .sort(([,a], [,b]) => b.quantity - a.quantity)
-        .slice(0, 5);
-    
-    const listEl = document.getElementById('topSellingProductsList');
-    if (sortedProducts.length === 0) {
-        listEl.innerHTML = `<p class="text-gray-500 text-center py-2">Tidak ada produk terjual.</p>`;
-        return;
+        const payments = [...entry.payments].sort((a, b) => new Date(b.date) - new Date(a.date));
+        document.getElementById('receivablePayments').innerHTML = payments.length === 0
+            ? `<p class="text-sm text-gray-500 text-center py-2">Belum ada pelunasan.</p>`
+            : payments.map(p => `
+                <div class="flex justify-between items-center bg-green-50 p-2 rounded-lg text-sm">
+                    <div>
+                        <p class="font-semibold">${getPaymentMethodLabel(p.method)}</p>
+                        <p class="text-xs text-gray-500">${new Date(p.date).toLocaleString('id-ID')}${p.note ? ` - ${escapeHtml(p.note)}` : ''}</p>
+                    </div>
+                    <p class="font-semibold text-green-600">Rp ${formatCurrency(p.amount)}</p>
+                </div>
+            `).join('');
+
+        // Repayments come in as money, so Kasbon itself is not offered
+        document.getElementById('creditPaymentMethod').innerHTML = Object.entries(PAYMENT_METHODS)
+            .filter(([method]) => method !== 'credit')
+            .map(([method, { label }]) => `<option value="${method}">${label}</option>`).join('');
+        document.getElementById('creditPaymentAmount').value = '';
+        document.getElementById('creditPaymentNote').value = '';
+        document.getElementById('creditPaymentForm').classList.toggle('hidden', entry.outstanding <= 0);
+        document.getElementById('receivableModal').classList.remove('hidden');
+    } catch (error) {
+        console.error('Failed to load customer receivable:', error);
+        showToast('Gagal memuat kasbon pelanggan.');
     }
+}
 
-    listEl.innerHTML = sortedProducts.map(([name, data], index) => `
-        <div class="flex justify-between items-center text-sm">
-            <span>${index + 1}. ${name}</span>
-            <div class="text-right">
-                <span class="font-semibold">${data.quantity} terjual</span>
-                <p class="text-xs text-gray-500">Rp ${formatCurrency(data.revenue)}</p>
-            </div>
-        </div>
-    `).join('');
+window.closeReceivableModal = function() {
+    document.getElementById('receivableModal').classList.add('hidden');
+    currentReceivableCustomerId = null;
 }
 
+window.fillFullCreditPayment = function() {
+    document.getElementById('creditPaymentAmount').value = Math.ceil(parseFloat(document.getElementById('receivableOutstanding').dataset.amount) || 0);
+}
 
-function displaySalesReport(transactions, viewType) {
-    if (!isChartJsReady || !Chart) {
-        document.getElementById('salesChartCard').innerHTML = `<p class="text-center text-red-500">Grafik tidak dapat dimuat.</p>`;
+window.saveCreditPayment = async function() {
+    if (!currentReceivableCustomerId) return;
+    // Repayments land in a cash drawer count like sales do
+    if (!currentShift) {
+        showToast('Buka shift terlebih dahulu sebelum menerima pembayaran.');
+        return;
+    }
+    const outstanding = parseFloat(document.getElementById('receivableOutstanding').dataset.amount) || 0;
+    const amount = parseFloat(document.getElementById('creditPaymentAmount').value);
+    if (isNaN(amount) || amount <= 0) {
+        showToast('Masukkan jumlah pelunasan.');
+        return;
+    }
+    // Rounded up like non-cash tenders, as fees can leave fractions in what is owed
+    if (amount > Math.ceil(outstanding)) {
+        showToast(`Jumlah melebihi sisa kasbon (Rp ${formatCurrency(outstanding)}).`);
         return;
     }
-    
-    const salesData = {};
-    const getWeek = (d) => {
-        const date = new Date(d.getTime());
-        date.setHours(0, 0, 0, 0);
-        date.setDate(date.getDate() + 3 - (date.getDay() + 6) % 7);
-        const week1 = new Date(date.getFullYear(), 0, 4);
-        return 1 + Math.round(((date.getTime() - week1.getTime()) / 86400000 - 3 + (week1.getDay() + 6) % 7) / 7);
-    };
 
-    transactions.forEach(t => {
-        const date = new Date(t.date);
-        let key;
+    try {
+        const customer = await getFromDB('customers', currentReceivableCustomerId);
+        const payment = {
+            customerId: currentReceivableCustomerId,
+            customerName: customer ? customer.name : document.getElementById('receivableCustomerName').textContent,
+            amount,
+            method: document.getElementById('creditPaymentMethod').value,
+            note: document.getElementById('creditPaymentNote').value.trim(),
+            shiftId: currentShift.id,
+            ...getCashierStamp(),
+            date: new Date().toISOString()
+        };
+        const paymentId = await putToDB('credit_payments', payment);
+        await queueSyncAction('CREATE_CREDIT_PAYMENT', { ...payment, id: paymentId });
 
-        if (viewType === 'daily') {
-            key = date.toISOString().split('T')[0];
-        } else { // weekly
-            key = `${date.getFullYear()}-W${getWeek(date)}`;
-        }
+        showToast(`Pelunasan Rp ${formatCurrency(amount)} dicatat.`);
+        await showReceivableModal(currentReceivableCustomerId);
+        renderReceivablesPage();
+        renderShiftStatus();
+    } catch (error) {
+        console.error('Failed to save kasbon repayment:', error);
+        showToast('Gagal mencatat pelunasan.');
+    }
+}
 
-        if (!salesData[key]) {
-            salesData[key] = 0;
-        }
-        salesData[key] += t.total;
-    });
+// --- TAXES & FEES ---
+// Fee amounts are worked out by fee-engine.js; this section manages the fee records.
 
-    const sortedLabels = Object.keys(salesData).sort();
-    const dataPoints = sortedLabels.map(label => salesData[label]);
-    
-    const ctx = document.getElementById('salesChart').getContext('2d');
-    
-    if (salesChartInstance) {
-        salesChartInstance.destroy();
-    }
-    
-    salesChartInstance = new Chart(ctx, {
-        type: 'line',
-        data: {
-            labels: sortedLabels,
-            datasets: [{
-                label: 'Total Penjualan',
-                data: dataPoints,
-                borderColor: '#3b82f6',
-                backgroundColor: 'rgba(59, 130, 246, 0.1)',
-                fill: true,
-                tension: 0.3,
-            }]
-        },
-        options: {
-            responsive: true,
-            maintainAspectRatio: false,
-            scales: {
-                y: {
-                    beginAtZero: true,
-                    ticks: {
-                        callback: function(value, index, values) {
-                            return 'Rp ' + (value / 1000) + 'k';
-                        }
-                    }
-                }
-            },
-            plugins: {
-                tooltip: {
-                    callbacks: {
-                        label: function(context) {
-                            let label = context.dataset.label || '';
-                            if (label) {
-                                label += ': ';
-                            }
-                            if (context.parsed.y !== null) {
-                                label += new Intl.NumberFormat('id-ID', { style: 'currency', currency: 'IDR' }).format(context.parsed.y);
-                            }
-                            return label;
-                        }
-                    }
-                }
-            }
-        }
-    });
+const formatFeeValue = (fee) => fee.type === 'percentage' ? `${fee.value}%` : `Rp ${formatCurrency(fee.value)}`;
+
+// Taxes already inside the prices are marked so nobody adds them up again
+const getFeeLabel = (fee) => fee.included ? `${fee.name} (termasuk)` : fee.name;
+
+/**
+ * Reads who a fee applies to from the fee form.
+ * @returns {object | null | undefined} null for everything, the scope, or
+ *   undefined when a scope was picked without any category or product.
+ */
+function readFeeScope() {
+    const scopeType = document.getElementById('feeScope').value;
+    if (scopeType === 'all') return null;
+    const selected = Array.from(document.querySelectorAll('#feeScopeOptions input:checked')).map(cb => cb.value);
+    if (selected.length === 0) return undefined;
+    return scopeType === 'categories' ? { categories: selected } : { barcodes: selected };
 }
 
+async function renderFeeScopeOptions(scope = null) {
+    const optionsEl = document.getElementById('feeScopeOptions');
+    const scopeType = document.getElementById('feeScope').value;
+    optionsEl.classList.toggle('hidden', scopeType === 'all');
+    if (scopeType === 'all') return;
+
+    const records = await getAllFromDB(scopeType === 'categories' ? 'categories' : 'products');
+    records.sort((a, b) => a.name.localeCompare(b.name));
+    const selected = scopeType === 'categories' ? (scope?.categories || []) : (scope?.barcodes || []);
+    // Products are picked by barcode, the one name they share on every device
+    optionsEl.innerHTML = records.map(record => {
+        const value = scopeType === 'categories' ? record.name : record.barcode;
+        return `
+            <label class="flex items-center gap-2 text-sm ${value ? '' : 'text-gray-400'}">
+                <input type="checkbox" value="${escapeHtml(value || '')}" ${value && selected.includes(value) ? 'checked' : ''} ${value ? '' : 'disabled'}>
+                ${escapeHtml(record.name)}${value ? '' : ' (tanpa barcode)'}
+            </label>
+        `;
+    }).join('') || `<p class="text-gray-500 text-sm">Belum ada ${scopeType === 'categories' ? 'kategori' : 'produk'}</p>`;
+}
+window.renderFeeScopeOptions = () => renderFeeScopeOptions();
 
-function setupChartViewToggle() {
-    const dailyBtn = document.getElementById('dailyViewBtn');
-    const weeklyBtn = document.getElementById('weeklyViewBtn');
-    const glider = document.getElementById('chartViewGlider');
+function describeFeeScope(fee, productsByBarcode) {
+    if (!fee.scope) return 'semua produk';
+    if (fee.scope.categories) return `kategori ${fee.scope.categories.join(', ')}`;
+    return (fee.scope.barcodes || []).map(code => productsByBarcode.get(code)?.name || `barcode ${code}`).join(', ');
+}
 
-    dailyBtn.addEventListener('click', () => {
-        glider.style.transform = 'translateX(0%)';
-        dailyBtn.classList.remove('text-gray-500');
-        dailyBtn.classList.add('text-gray-800');
-        weeklyBtn.classList.add('text-gray-500');
-        weeklyBtn.classList.remove('text-gray-800');
-        displaySalesReport(currentReportData, 'daily');
-    });
+// Product-scoped fees used to name products by local id, which differs per device.
+// Each device moves them to barcodes with its own products on the first start after
+// the update; products without a barcode drop out of the scope.
+async function upgradeFeeProductScopes() {
+    try {
+        const fees = (await getAllFromDB('fees')).filter(fee => fee.scope?.productIds);
+        if (fees.length === 0) return;
+        const products = new Map((await getAllFromDB('products')).map(p => [p.id, p]));
+        for (const fee of fees) {
+            const { productIds, ...scope } = fee.scope;
+            const barcodes = productIds.map(id => products.get(id)?.barcode).filter(Boolean);
+            await putToDB('fees', { ...fee, scope: { ...scope, barcodes } });
+        }
+    } catch (error) {
+        console.error('Failed to upgrade fee scopes:', error);
+    }
+}
 
-    weeklyBtn.addEventListener('click', () => {
-        glider.style.transform = 'translateX(100%)';
-        weeklyBtn.classList.remove('text-gray-500');
-        weeklyBtn.classList.add('text-gray-800');
-        dailyBtn.classList.add('text-gray-500');
-        dailyBtn.classList.remove('text-gray-800');
-        displaySalesReport(currentReportData, 'weekly');
-    });
+function resetFeeForm() {
+    document.getElementById('feeId').value = '';
+    ['feeName', 'feeValue', 'feeOrder'].forEach(id => document.getElementById(id).value = '');
+    ['feeIsDefault', 'feeIsTax', 'feeCompound'].forEach(id => document.getElementById(id).checked = false);
+    document.getElementById('feeScope').value = 'all';
+    renderFeeScopeOptions();
+    document.getElementById('feeFormTitle').textContent = 'Tambah Biaya Baru';
+    document.getElementById('feeSaveButton').innerHTML = '<i class="fas fa-plus"></i> Tambah';
+    document.getElementById('feeCancelEditButton').classList.add('hidden');
 }
+window.resetFeeForm = resetFeeForm;
 
+async function saveFee() {
+    if (!requirePermission('manageFees')) return;
+    const id = parseInt(document.getElementById('feeId').value, 10);
+    const name = document.getElementById('feeName').value.trim();
+    const type = document.getElementById('feeType').value;
+    const value = parseFloat(document.getElementById('feeValue').value);
 
-async function exportReportToCSV() {
-    if (currentReportData.length === 0) {
-        showToast('Tidak ada data untuk diexport.');
+    if (!name || isNaN(value) || value < 0) {
+        showToast('Nama dan Nilai Biaya harus diisi dengan benar.');
+        return;
+    }
+    const scope = readFeeScope();
+    if (scope === undefined) {
+        showToast('Pilih minimal satu kategori atau produk.');
         return;
     }
 
-    // 1. Fetch all products to get purchase price and category info
-    const products = await getAllFromDB('products');
-    const productMap = new Map(products.map(p => [p.id, p]));
-
-    // 2. Recalculate summary metrics to ensure consistency with the UI
-    let omzet = 0;
-    let hpp = 0;
-    let totalOperationalCost = 0;
+    const fields = {
+        name,
+        type,
+        value,
+        isDefault: document.getElementById('feeIsDefault').checked,
+        isTax: document.getElementById('feeIsTax').checked,
+        order: parseInt(document.getElementById('feeOrder').value, 10) || 0,
+        compound: document.getElementById('feeCompound').checked,
+        scope
+    };
 
-    currentReportData.forEach(t => {
-        const subtotalAfterDiscount = t.subtotal - (t.totalDiscount || 0);
-        omzet += subtotalAfterDiscount;
-        t.items.forEach(item => {
-            const product = productMap.get(item.id);
-            const purchasePrice = product ? (product.purchasePrice || 0) : 0;
-            hpp += purchasePrice * item.quantity;
-        });
-        (t.fees || []).forEach(fee => {
-            totalOperationalCost += fee.amount;
-        });
-    });
-
-    const grossProfit = omzet - hpp;
-    const netProfit = grossProfit - totalOperationalCost;
-    const dateFrom = document.getElementById('dateFrom').value;
-    const dateTo = document.getElementById('dateTo').value;
+    try {
+        if (id) {
+            const existing = await getFromDB('fees', id);
+            if (!existing) {
+                showToast('Biaya tidak ditemukan.');
+                return;
+            }
+            const updatedFee = { ...existing, ...fields, updatedAt: new Date().toISOString() };
+            await putToDB('fees', updatedFee);
+            await queueSyncAction('UPDATE_FEE', updatedFee);
+            showToast('Biaya berhasil diperbarui.');
+        } else {
+            const newFee = { ...fields, enabled: true, createdAt: new Date().toISOString() };
+            const addedId = await putToDB('fees', newFee);
+            await queueSyncAction('CREATE_FEE', { ...newFee, id: addedId });
+            showToast('Biaya berhasil ditambahkan.');
+        }
+        resetFeeForm();
+        await loadFees();
+    } catch (error) {
+        console.error('Failed to save fee:', error);
+        showToast('Gagal menyimpan biaya.');
+    }
+}
+window.saveFee = saveFee;
+
+window.editFee = async function(id) {
+    if (!requirePermission('manageFees')) return;
+    const fee = await getFromDB('fees', id);
+    if (!fee) return;
+
+    document.getElementById('feeId').value = fee.id;
+    document.getElementById('feeName').value = fee.name;
+    document.getElementById('feeType').value = fee.type;
+    document.getElementById('feeValue').value = fee.value;
+    document.getElementById('feeOrder').value = fee.order || 0;
+    document.getElementById('feeIsDefault').checked = Boolean(fee.isDefault);
+    document.getElementById('feeIsTax').checked = Boolean(fee.isTax);
+    document.getElementById('feeCompound').checked = Boolean(fee.compound);
+    document.getElementById('feeScope').value = !fee.scope ? 'all' : (fee.scope.categories ? 'categories' : 'products');
+    await renderFeeScopeOptions(fee.scope);
+
+    document.getElementById('feeFormTitle').textContent = `Ubah ${fee.name}`;
+    document.getElementById('feeSaveButton').innerHTML = '<i class="fas fa-save"></i> Simpan';
+    document.getElementById('feeCancelEditButton').classList.remove('hidden');
+    document.getElementById('feeFormTitle').scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
 
-    let csvContent = "";
+window.toggleFee = async function(id, enabled) {
+    if (!requirePermission('manageFees')) {
+        loadFees(); // Puts the switch back
+        return;
+    }
+    try {
+        const fee = await getFromDB('fees', id);
+        if (!fee) return;
+        const updatedFee = { ...fee, enabled, updatedAt: new Date().toISOString() };
+        await putToDB('fees', updatedFee);
+        await queueSyncAction('UPDATE_FEE', updatedFee);
+        showToast(enabled ? `${fee.name} diaktifkan.` : `${fee.name} dinonaktifkan.`);
+        await loadFees();
+    } catch (error) {
+        console.error('Failed to toggle fee:', error);
+        showToast('Gagal mengubah status biaya.');
+    }
+}
 
-    // 3. Build Summary Block
-    csvContent += "Ringkasan Laporan\n";
-    csvContent += `Periode,"${dateFrom} s/d ${dateTo}"\n`;
-    csvContent += "\n";
-    csvContent += `Total Omzet (Penjualan Kotor),${omzet}\n`;
-    csvContent += `(-) Total Harga Pokok Penjualan (HPP),${hpp}\n`;
-    csvContent += `Laba Kotor,${grossProfit}\n`;
-    csvContent += `(-) Total Biaya Operasional (Pajak/Biaya),${totalOperationalCost}\n`;
-    csvContent += `Laba Bersih,${netProfit}\n`;
-    csvContent += "\n\n";
+async function loadFees() {
+    const feesListEl = document.getElementById('feesList');
+    const [fees, products] = await Promise.all([getAllFromDB('fees'), getAllFromDB('products')]);
+    const productsByBarcode = new Map(products.filter(p => p.barcode).map(p => [p.barcode, p]));
+    
+    if (fees.length === 0) {
+        feesListEl.innerHTML = '<p class="text-gray-500 text-center py-2">Belum ada pajak atau biaya.</p>';
+        return;
+    }
 
-    // 4. Build Detailed Transactions Block
-    const header = [
-        'ID Transaksi', 'Tanggal', 'Nama Produk', 'Kategori', 'Jumlah',
-        'Harga Jual (Satuan)', 'Total Omzet Item', 'Harga Beli (Satuan)',
-        'Total HPP Item', 'Laba Item'
-    ].join(',');
-    csvContent += header + '\n';
+    feesListEl.innerHTML = sortFees(fees).map(fee => {
+        const details = [
+            formatFeeValue(fee),
+            `Urutan ${fee.order || 0}`,
+            fee.compound ? 'dari subtotal + biaya sebelumnya' : 'dari subtotal'
+        ].join(' &middot; ');
+        
+        const defaultBadge = fee.isDefault ? '<span class="text-xs bg-blue-100 text-blue-800 px-2 py-1 rounded-full">Otomatis</span>' : '';
+        const taxBadge = fee.isTax ? '<span class="text-xs bg-yellow-100 text-yellow-800 px-2 py-1 rounded-full">Pajak</span>' : '';
+        const enabled = isFeeEnabled(fee);
 
-    currentReportData.forEach(t => {
-        const transactionDate = new Date(t.date).toLocaleString('id-ID');
-        t.items.forEach(item => {
-            const product = productMap.get(item.id);
-            const category = product ? product.category : 'N/A';
-            const purchasePrice = product ? (product.purchasePrice || 0) : 0;
+        return `
+            <div class="bg-gray-100 p-2 rounded-lg ${enabled ? '' : 'opacity-60'}">
+                <div class="flex justify-between items-center">
+                    <div>
+                        <p class="font-semibold">${escapeHtml(fee.name)}</p>
+                        <p class="text-sm text-gray-600">${details}</p>
+                        <p class="text-xs text-gray-500">Untuk ${escapeHtml(describeFeeScope(fee, productsByBarcode))}</p>
+                    </div>
+                    <label class="relative inline-flex items-center cursor-pointer flex-shrink-0">
+                        <input type="checkbox" class="sr-only peer" ${enabled ? 'checked' : ''} onchange="toggleFee(${fee.id}, this.checked)">
+                        <div class="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
+                    </label>
+                </div>
+                <div class="flex justify-end items-center gap-3 mt-1">
+                    ${taxBadge}
+                    ${defaultBadge}
+                    <button onclick="editFee(${fee.id})" class="text-blue-500 clickable"><i class="fas fa-edit"></i></button>
+                    <button onclick="deleteFee(${fee.id})" class="text-red-500 clickable"><i class="fas fa-trash"></i></button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
 
-            const totalOmzetItem = item.effectivePrice * item.quantity;
-            const totalHppItem = purchasePrice * item.quantity;
-            const labaItem = totalOmzetItem - totalHppItem;
 
-            // Helper to escape commas and quotes for CSV
-            const escapeCSV = (val) => {
-                if (val === null || val === undefined) return '';
-                let str = String(val);
-                if (str.includes(',') || str.includes('"') || str.includes('\n')) {
-                    return `"${str.replace(/"/g, '""')}"`;
-                }
-                return str;
+async function deleteFee(id) {
+    if (!requirePermission('manageFees')) return;
+    showConfirmationModal('Hapus Biaya', 'Yakin ingin menghapus biaya ini?', async () => {
+         try {
+            const feeToDelete = await getFromDB('fees', id);
+            const tx = db.transaction('fees', 'readwrite');
+            tx.objectStore('fees').delete(id);
+            tx.oncomplete = async () => {
+                await queueSyncAction('DELETE_FEE', feeToDelete);
+                showToast('Biaya berhasil dihapus.');
+                loadFees();
             };
-
-            const row = [
-                t.id,
-                transactionDate,
-                item.name,
-                category,
-                item.quantity,
-                item.effectivePrice,
-                totalOmzetItem,
-                purchasePrice,
-                totalHppItem,
-                labaItem
-            ].map(escapeCSV).join(',');
-            
-            csvContent += row + '\n';
-        });
+        } catch (error) {
+            console.error('Failed to delete fee:', error);
+            showToast('Gagal menghapus biaya.');
+        }
     });
+}
+window.deleteFee = deleteFee;
 
-    // 5. Assemble and Download CSV
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement("a");
-    link.setAttribute("href", url);
-    link.setAttribute("download", `laporan_penjualan_rinci_${dateFrom}_sd_${dateTo}.csv`);
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+function renderFeeSettings() {
+    document.getElementById('pricesIncludeTax').checked = feeSettings.pricesIncludeTax;
+    document.getElementById('feeRounding').innerHTML = Object.entries(FEE_ROUNDING_MODES)
+        .map(([mode, label]) => `<option value="${mode}">${label}</option>`).join('');
+    document.getElementById('feeRounding').value = feeSettings.rounding;
 }
-window.exportReportToCSV = exportReportToCSV;
 
-// --- RECEIPT PRINTING ---
-const receiptLine = (char, paperWidthChars) => char.repeat(paperWidthChars);
+window.saveFeeSettings = async function() {
+    if (!requirePermission('manageFees')) {
+        renderFeeSettings(); // Puts the controls back
+        return;
+    }
+    const pricesIncludeTax = document.getElementById('pricesIncludeTax').checked;
+    const rounding = document.getElementById('feeRounding').value;
+    try {
+        await putSettingToDB({ key: 'pricesIncludeTax', value: pricesIncludeTax });
+        await putSettingToDB({ key: 'feeRounding', value: rounding });
+        feeSettings = { pricesIncludeTax, rounding };
+        showToast('Pengaturan pajak disimpan.');
+    } catch (error) {
+        console.error('Failed to save fee settings:', error);
+        showToast('Gagal menyimpan pengaturan pajak.');
+    }
+}
 
-/**
- * A shared, robust function to generate receipt HTML for both preview and final transaction.
- * It handles dynamic paper widths, text centering, alignment, and word wrapping using CSS.
- * @param {object} data - The transaction or cart data.
- * @param {boolean} isPreview - Flag to determine if it's a preview.
- * @returns {Promise<string>} A promise that resolves with the generated HTML string.
- */
-async function _generateReceiptHTML(data, isPreview) {
-    const settings = await getAllFromDB('settings');
-    const settingsMap = new Map(settings.map(s => [s.key, s.value]));
 
-    const storeName = settingsMap.get('storeName') || 'Toko Anda';
-    const storeAddress = settingsMap.get('storeAddress') || '';
-    const feedbackPhone = settingsMap.get('storeFeedbackPhone') || '';
-    const footerText = settingsMap.get('storeFooterText') || 'Terima kasih telah berbelanja!';
-    const logoData = settingsMap.get('storeLogo') || null;
-    const paperSize = settingsMap.get('printerPaperSize') || '80mm';
+window.showFeeSelectionModal = async function() {
+    const feeSelectionList = document.getElementById('feeSelectionList');
+    const [allFees, products] = await Promise.all([getAllFromDB('fees'), getAllFromDB('products')]);
+    const fees = allFees.filter(isFeeEnabled);
+    const productsByBarcode = new Map(products.filter(p => p.barcode).map(p => [p.barcode, p]));
     
-    // Use pixel widths for better consistency in HTML/CSS rendering
-    const containerWidth = paperSize === '58mm' ? '210px' : '290px';
-    const paperWidthChars = paperSize === '58mm' ? 32 : 42;
-
-    const escapeHtml = (unsafe) => {
-        if (typeof unsafe !== 'string') return unsafe;
-        return unsafe
-             .replace(/&/g, "&amp;")
-             .replace(/</g, "&lt;")
-             .replace(/>/g, "&gt;")
-             .replace(/"/g, "&quot;")
-             .replace(/'/g, "&#039;");
-    };
-
-    let html = `
-      <style>
-        .receipt-container-wrapper {
-          width: ${containerWidth};
-          font-size: 10pt;
-          font-family: 'Courier New', Courier, monospace;
-          color: black;
-          margin: 0 auto;
-          padding: 5px;
-        }
-        .receipt-line {
-          width: 100%;
-          line-height: 1.4;
-          word-break: break-word; /* Ensure long text wraps */
-        }
-        .text-center { text-align: center; }
-        .text-right { text-align: right; }
-        .flex-between { display: flex; justify-content: space-between; gap: 8px; }
-        .divider {
-          letter-spacing: -1px;
-          overflow: hidden;
-          text-align: center;
-          margin: 4px 0;
-        }
-        .logo-container img {
-           max-width: 150px; 
-           max-height: 80px; 
-           display: block; /* Use block for margin auto to work */
-           margin: 0 auto 8px auto;
-           object-fit: contain;
-        }
-        .bold { font-weight: bold; }
-        .item-line { margin-bottom: 4px; }
-        .item-details-line {
-            font-size: 9pt;
-            padding-left: 10px; /* Indent details */
-        }
-        .total-line { margin-top: 2px; }
-      </style>
-      <div class="receipt-container-wrapper">
-    `;
-
-    // Logo
-    if (logoData) {
-        html += `<div class="receipt-line logo-container">
-                    <img src="${logoData}" alt="Logo">
-                 </div>`;
+    if (fees.length === 0) {
+        feeSelectionList.innerHTML = '<p class="text-gray-500 text-center py-4">Tidak ada pajak atau biaya yang dapat dipilih. Tambahkan terlebih dahulu di halaman Pengaturan.</p>';
+    } else {
+        feeSelectionList.innerHTML = sortFees(fees).map(fee => {
+            const isChecked = cart.fees.some(cartFee => cartFee.id === fee.id);
+            return `
+                <label class="flex items-center justify-between p-3 bg-gray-50 rounded-lg cursor-pointer">
+                    <div>
+                        <span class="font-semibold">${escapeHtml(fee.name)}</span>
+                        <p class="text-sm text-gray-500">${formatFeeValue(fee)} &middot; untuk ${escapeHtml(describeFeeScope(fee, productsByBarcode))}</p>
+                    </div>
+                    <input type="checkbox" data-fee-id="${fee.id}" class="h-5 w-5 rounded text-blue-600 border-gray-300 focus:ring-blue-500" ${isChecked ? 'checked' : ''}>
+                </label>
+            `;
+        }).join('');
     }
+    (document.getElementById('feeSelectionModal')).classList.remove('hidden');
+}
 
-    // Header
-    if (storeName) html += `<div class="receipt-line text-center bold">${escapeHtml(storeName)}</div>`;
-    if (storeAddress) html += `<div class="receipt-line text-center">${escapeHtml(storeAddress.replace(/\n/g, '<br>'))}</div>`;
-    if (feedbackPhone) html += `<div class="receipt-line text-center">Telp: ${escapeHtml(feedbackPhone)}</div>`;
-    
-    // Info Section
-    html += `<div class="divider">${'='.repeat(paperWidthChars)}</div>`;
-    html += `<div class="receipt-line flex-between"><span>No:</span><span>${isPreview ? 'PREVIEW' : data.id}</span></div>`;
-    html += `<div class="receipt-line flex-between"><span>Tgl:</span><span>${new Date(isPreview ? Date.now() : data.date).toLocaleString('id-ID')}</span></div>`;
-    
-    // Items Section
-    html += `<div class="divider">${'-'.repeat(paperWidthChars)}</div>`;
-    data.items.forEach(item => {
-        html += `<div class="receipt-line item-line">
-                    <div>${escapeHtml(item.name)}</div>`;
-        if (item.discountPercentage > 0) {
-            html += `<div class="item-details-line">Disc ${item.discountPercentage}% @ <s>Rp ${formatCurrency(item.price)}</s></div>`;
-        }
-        html += `<div class="item-details-line flex-between">
-                        <span>${item.quantity} x ${formatCurrency(item.effectivePrice)}</span>
-                        <span>Rp ${formatCurrency(item.effectivePrice * item.quantity)}</span>
-                    </div>
-                </div>`;
-    });
+window.closeFeeSelectionModal = function() {
+    (document.getElementById('feeSelectionModal')).classList.add('hidden');
+}
 
-    // Totals Section
-    html += `<div class="divider">${'-'.repeat(paperWidthChars)}</div>`;
-    const subtotal = data.subtotal - (data.totalDiscount || 0);
-    html += `<div class="receipt-line flex-between total-line"><span>Subtotal</span><span>Rp ${formatCurrency(subtotal)}</span></div>`;
+window.applySelectedFees = async function() {
+    const checkboxes = document.querySelectorAll('#feeSelectionList input[type="checkbox"]');
+    const allFees = await getAllFromDB('fees');
     
-    (data.fees || []).forEach(fee => {
-        html += `<div class="receipt-line flex-between total-line"><span>${escapeHtml(fee.name)}</span><span>Rp ${formatCurrency(fee.amount)}</span></div>`;
-    });
-
-    // Final Totals Section
-    html += `<div class="divider">${'-'.repeat(paperWidthChars)}</div>`;
-    html += `<div class="receipt-line flex-between total-line bold"><span>TOTAL</span><span>Rp ${formatCurrency(data.total)}</span></div>`;
-    if (!isPreview) {
-        html += `<div class="receipt-line flex-between total-line bold"><span>TUNAI</span><span>Rp ${formatCurrency(data.cashPaid)}</span></div>`;
-        html += `<div class="receipt-line flex-between total-line bold"><span>KEMBALI</span><span>Rp ${formatCurrency(data.change)}</span></div>`;
-    }
+    const selectedFeeIds = Array.from(checkboxes)
+        .filter(cb => cb.checked)
+        .map(cb => parseInt(cb.dataset.feeId));
 
-    // Footer
-    html += `<div class="divider">${'='.repeat(paperWidthChars)}</div>`;
-    if (footerText) html += `<div class="receipt-line text-center" style="margin-top: 8px;">${escapeHtml(footerText)}</div>`;
-    
-    html += `</div>`; // close wrapper
+    cart.fees = allFees.filter(fee => isFeeEnabled(fee) && selectedFeeIds.includes(fee.id));
     
-    return html;
+    updateCartDisplay();
+    closeFeeSelectionModal();
+    showToast('Pajak & biaya berhasil diperbarui.');
 }
 
 
-async function generateReceiptContent(transaction) {
-    const receiptContentEl = document.getElementById('receiptContent');
-    receiptContentEl.innerHTML = await _generateReceiptHTML(transaction, false);
+async function applyDefaultFees() {
+    const allFees = await getAllFromDB('fees');
+    cart.fees = allFees.filter(fee => fee.isDefault && isFeeEnabled(fee));
 }
 
+/**
+ * Synchronizes the cart's fees with the master list in the database.
+ * This ensures deletions, edits, disabled fees and new default fees from settings
+ * are reflected. Each fee keeps its latest scope; the fee engine then charges a
+ * scoped fee only on matching items, so a default "food only" fee stays on the
+ * cart and starts charging once food is added.
+ */
+async function reconcileCartFees() {
+    const allFees = (await getAllFromDB('fees')).filter(isFeeEnabled);
+    const allFeesMap = new Map(allFees.map(f => [f.id, f]));
 
-window.printReceipt = async function(isAutoPrint = false) {
-    if (isPrinterReady && bluetoothDevice && bluetoothCharacteristic) {
-        await printViaBluetooth();
-    } else {
-        if (!isAutoPrint) {
-            const printStyle = `
-                #receiptContent { 
-                    font-family: 'Courier New', monospace; 
-                    color: black; 
-                    font-size: 10pt;
-                    width: 300px;
-                }
-                #receiptLogoContainer img { display: block; margin: 0 auto; }
-            `;
-            document.getElementById('print-style-overrides').innerHTML = printStyle;
-            window.print();
-        } else {
-            console.warn("Auto-print skipped: Bluetooth printer not connected.");
-        }
-    }
-}
+    // Create the new list of fees for the cart
+    const reconciledFees = [];
+    const addedFeeIds = new Set();
 
+    // 1. Add all current, valid cart fees first, using the latest data from the DB.
+    // This preserves manually selected fees.
+    cart.fees.forEach(cartFee => {
+        if (allFeesMap.has(cartFee.id)) {
+            reconciledFees.push(allFeesMap.get(cartFee.id));
+            addedFeeIds.add(cartFee.id);
+        }
+    });
 
-// --- BARCODE/LABEL GENERATOR ---
-document.getElementById('generateBarcodeLabelBtn')?.addEventListener('click', () => {
-    const code = document.getElementById('barcode-code').value.trim();
-    const productName = document.getElementById('product-name').value.trim();
-    const productPrice = document.getElementById('product-price').value;
+    // 2. Now, add any default fees from the DB that were not already in the cart.
+    allFees.forEach(dbFee => {
+        if (dbFee.isDefault && !addedFeeIds.has(dbFee.id)) {
+            reconciledFees.push(dbFee);
+            addedFeeIds.add(dbFee.id);
+        }
+    });
+    
+    // 3. Update the global cart state.
+    cart.fees = reconciledFees;
+}
 
-    if (!code) {
-        showToast('Teks/Angka untuk Barcode wajib diisi.');
+// --- CHECKOUT PROCESS ---
+
+// Tenders accepted at checkout. Only cash can be overpaid and give change.
+// Kasbon is not paid at all: the customer owes it until it is repaid (see RECEIVABLES).
+const PAYMENT_METHODS = {
+    cash: { label: 'Tunai' },
+    qris: { label: 'QRIS' },
+    debit: { label: 'Debit' },
+    ewallet: { label: 'E-Wallet' },
+    credit: { label: 'Kasbon' }
+};
+
+const getPaymentMethodLabel = (method) => PAYMENT_METHODS[method]?.label || method;
+
+/**
+ * Returns the tenders of a transaction. Transactions saved before split
+ * payments existed only recorded the cash paid.
+ * @returns {{method: string, amount: number, reference: string | null}[]}
+ */
+function getTransactionPayments(transaction) {
+    if (Array.isArray(transaction.payments)) return transaction.payments;
+    return [{ method: 'cash', amount: transaction.cashPaid || 0, reference: null }];
+}
+
+/**
+ * Totals a list of tenders against the amount due.
+ * @returns {{paid: number, remaining: number, change: number, isNonCashOverpaid: boolean}}
+ */
+function summarizePayments(payments, amountDue) {
+    const paid = payments.reduce((sum, p) => sum + p.amount, 0);
+    const nonCashPaid = payments.filter(p => p.method !== 'cash').reduce((sum, p) => sum + p.amount, 0);
+    return {
+        paid,
+        remaining: Math.max(amountDue - paid, 0),
+        change: Math.max(paid - amountDue, 0),
+        // Change is handed out in cash, so cards and e-wallets can never cover more than
+        // the total (rounded up to whole rupiah, as fees can leave fractions)
+        isNonCashOverpaid: nonCashPaid > Math.ceil(amountDue)
+    };
+}
+
+// Cash rounding modes offered in settings, applied to multiples of the chosen unit
+const CASH_ROUNDING_MODES = {
+    nearest: Math.round,
+    up: Math.ceil,
+    down: Math.floor
+};
+
+/** Rounds a cash amount by a rounding rule, e.g. 26.530 to 26.500 (nearest Rp 500). */
+function roundCashAmount(amount, rule) {
+    if (!rule.unit) return amount;
+    const round = CASH_ROUNDING_MODES[rule.mode] || CASH_ROUNDING_MODES.nearest;
+    return round(amount / rule.unit) * rule.unit;
+}
+
+/**
+ * Rounding added to the bill when cash settles it: what is left for cash after
+ * the non-cash tenders is rounded by the store's rule. Cards, QRIS and e-wallets
+ * are charged to the rupiah, so they are never rounded.
+ * @param {number} total - Cart total before rounding.
+ * @returns {number} Negative when rounded down.
+ */
+function getCheckoutRounding(total) {
+    if (selectedPaymentMethod !== 'cash') return 0;
+    const nonCashPaid = checkoutPayments.filter(p => p.method !== 'cash').reduce((sum, p) => sum + p.amount, 0);
+    const cashDue = total - nonCashPaid;
+    return cashDue > 0 ? roundCashAmount(cashDue, cashRounding) - cashDue : 0;
+}
+
+const getCartAmountDue = () => calculateCartTotals().total;
+
+// What the customer pays in the payment modal, cash rounding included
+function getPaymentAmountDue() {
+    const total = getCartAmountDue();
+    return total + getCheckoutRounding(total);
+}
+
+// The tender being entered in the payment modal, or null if no amount is filled in
+function readCurrentPayment() {
+    const amount = parseFloat(document.getElementById('cashPaidInput').value) || 0;
+    if (amount <= 0) return null;
+    const reference = document.getElementById('paymentReferenceInput').value.trim();
+    const payment = {
+        method: selectedPaymentMethod,
+        amount,
+        reference: selectedPaymentMethod !== 'cash' && reference ? reference : null
+    };
+    // Kept so the same code can be printed on the receipt
+    if (selectedPaymentMethod === 'qris' && merchantQrisPayload) {
+        payment.qrisPayload = createDynamicQris(merchantQrisPayload, amount);
+    }
+    return payment;
+}
+
+function getCheckoutPayments() {
+    const current = readCurrentPayment();
+    return current ? [...checkoutPayments, current] : [...checkoutPayments];
+}
+
+window.showPaymentModal = function() {
+    if (cart.items.length === 0) {
+        showToast('Keranjang kosong. Tidak dapat melakukan pembayaran.');
+        return;
+    }
+    // Every sale has to land in a cash drawer count
+    if (!currentShift) {
+        showToast('Buka shift terlebih dahulu sebelum menerima pembayaran.');
+        showOpenShiftModal();
         return;
     }
+    checkoutPayments = [];
+    renderSplitPayments();
 
-    const outputContainer = document.getElementById('barcodeLabelOutput');
-    const nameEl = document.getElementById('output-product-name');
-    const priceEl = document.getElementById('output-product-price');
-    const textEl = document.getElementById('output-barcode-text');
-    const downloadButtons = document.getElementById('download-buttons');
+    (document.getElementById('paymentModal')).classList.remove('hidden');
 
-    nameEl.textContent = productName || '';
-    priceEl.textContent = productPrice ? `Rp ${formatCurrency(parseFloat(productPrice))}` : '';
-    textEl.textContent = code;
+    setPaymentKeypadVisible(isPaymentKeypadVisible);
+    selectPaymentMethod('cash');
+    document.getElementById('cashPaidInput').focus();
+}
 
-    try {
-        JsBarcode("#barcode", code, {
-            format: "CODE128",
-            lineColor: "#000",
-            width: 2,
-            height: 50,
-            displayValue: false // The value is displayed manually below
-        });
-        outputContainer.classList.remove('hidden');
-        downloadButtons.classList.remove('hidden');
-    } catch (e) {
-        showToast('Gagal membuat barcode. Coba kode yang berbeda.');
-        outputContainer.classList.add('hidden');
-        downloadButtons.classList.add('hidden');
-        console.error("Barcode generation error:", e);
+window.closePaymentModal = function() {
+    (document.getElementById('paymentModal')).classList.add('hidden');
+}
+
+/**
+ * Switches the tender being entered. Non-cash tenders are prefilled with the
+ * remaining amount, since they are charged exactly.
+ */
+function selectPaymentMethod(method) {
+    // Kasbon is owed by someone, so the sale needs a customer
+    if (method === 'credit' && !cart.customer) {
+        showToast('Pilih pelanggan di keranjang terlebih dahulu untuk mencatat kasbon.');
+        return;
     }
-});
+    selectedPaymentMethod = method;
+
+    document.querySelectorAll('#paymentMethodButtons [data-payment-method]').forEach(button => {
+        const isSelected = button.dataset.paymentMethod === method;
+        button.classList.toggle('bg-blue-500', isSelected);
+        button.classList.toggle('text-white', isSelected);
+        button.classList.toggle('bg-gray-200', !isSelected);
+        button.classList.toggle('text-gray-700', !isSelected);
+    });
 
-document.getElementById('downloadPngBtn')?.addEventListener('click', () => {
-    const productName = document.getElementById('product-name').value.trim() || 'label';
-    const code = document.getElementById('barcode-code').value.trim();
+    const isCash = method === 'cash';
+    document.getElementById('paymentAmountLabel').textContent = isCash ? 'Uang Dibayarkan' : `Jumlah Dibayar (${getPaymentMethodLabel(method)})`;
+    document.getElementById('paymentReferenceGroup').classList.toggle('hidden', isCash || method === 'credit');
+    document.getElementById('quickCashButtons').classList.toggle('hidden', !isCash);
+    document.getElementById('paymentReferenceInput').value = '';
 
-    // Create a canvas
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
+    const { remaining } = summarizePayments(checkoutPayments, getPaymentAmountDue());
+    document.getElementById('cashPaidInput').value = isCash ? '' : Math.ceil(remaining);
+    renderQuickCashButtons();
+    updatePaymentSummary();
+}
+window.selectPaymentMethod = selectPaymentMethod;
 
-    // Get SVG element and its XML
-    const svgElement = document.getElementById('barcode');
-    const svgXML = new XMLSerializer().serializeToString(svgElement);
-    const svgSize = svgElement.getBoundingClientRect();
+// Note sizes customers usually round up to when paying in cash
+const QUICK_CASH_STEPS = [5000, 10000, 50000, 100000];
 
-    // Define label dimensions, padding and spacing
-    const padding = 20;
-    const spacing = 4; // Consistent 4px spacing between elements
-    
-    const elementsToDraw = [
-        { el: document.getElementById('output-product-name'), isSvg: false },
-        { el: document.getElementById('output-product-price'), isSvg: false },
-        { el: svgElement, isSvg: true },
-        { el: document.getElementById('output-barcode-text'), isSvg: false },
-    ];
+/**
+ * Cash amounts a customer is likely to hand over for a bill: the exact amount,
+ * then the next multiple of each note size, e.g. 26.500 -> 26.500, 30.000, 50.000, 100.000.
+ * @returns {number[]} Distinct amounts, smallest first.
+ */
+function getQuickCashSuggestions(amount) {
+    const exact = Math.ceil(amount);
+    if (exact <= 0) return [];
+    const suggestions = [exact, ...QUICK_CASH_STEPS.map(step => Math.ceil(exact / step) * step)];
+    return [...new Set(suggestions)].sort((a, b) => a - b);
+}
 
-    let totalHeight = padding * 2;
-    let maxWidth = svgSize.width;
+// Quick-cash buttons for what is still left to pay; F6 picks the first one, F7 the next and so on
+function renderQuickCashButtons() {
+    const { remaining } = summarizePayments(checkoutPayments, getPaymentAmountDue());
+    document.getElementById('quickCashButtons').innerHTML = getQuickCashSuggestions(remaining).map((amount, index) => `
+        <button onclick="handleQuickCash(${amount})" class="btn bg-gray-200 text-gray-700 py-2 text-sm">
+            ${index === 0 ? 'Uang Pas' : `${formatCurrency(amount / 1000)}rb`}
+            <span class="shortcut-hint block text-[10px] text-gray-400">F${index + 6}</span>
+        </button>
+    `).join('');
+}
 
-    // Pre-calculate metrics for all elements
-    const elementMetrics = elementsToDraw.map(({ el, isSvg }) => {
-        if (isSvg) {
-            return { height: svgSize.height, width: svgSize.width };
-        }
-        if (!el.textContent) {
-            return { height: 0, width: 0 };
-        }
-        const style = window.getComputedStyle(el);
-        ctx.font = `${style.fontWeight} ${style.fontSize} ${style.fontFamily}`;
-        const metrics = ctx.measureText(el.textContent);
-        const height = parseInt(style.fontSize, 10) * 1.2; // Approximate line height
-        if (metrics.width > maxWidth) maxWidth = metrics.width;
-        return { height, width: metrics.width };
-    });
+window.handleQuickCash = function(amount) {
+    const cashInput = document.getElementById('cashPaidInput');
+    cashInput.value = amount;
+    cashInput.dispatchEvent(new Event('input')); // Trigger input event to update change
+}
 
-    // Calculate total height with consistent spacing
-    elementMetrics.forEach((m, i) => {
-        if (m.height > 0) {
-            totalHeight += m.height;
-            if (i < elementMetrics.length - 1) {
-                 // Check if next element also has height before adding spacer
-                 const nextMetric = elementMetrics[i+1];
-                 if (nextMetric && nextMetric.height > 0) {
-                    totalHeight += spacing;
-                 }
-            }
-        }
+// --- Payment keypad ---
+function setPaymentKeypadVisible(visible) {
+    isPaymentKeypadVisible = visible;
+    document.getElementById('paymentKeypad').classList.toggle('hidden', !visible);
+    // Keeps the device keyboard from covering the keypad when the amount field is focused
+    document.getElementById('cashPaidInput').inputMode = visible ? 'none' : 'decimal';
+}
+
+window.togglePaymentKeypad = function() {
+    setPaymentKeypadVisible(!isPaymentKeypadVisible);
+}
+
+/** Handles a keypad key: a digit group ('0'-'9', '00', '000'), 'back' or 'clear'. */
+window.pressPaymentKey = function(key) {
+    const cashInput = document.getElementById('cashPaidInput');
+    if (key === 'clear') {
+        cashInput.value = '';
+    } else if (key === 'back') {
+        cashInput.value = cashInput.value.slice(0, -1);
+    } else if (cashInput.value !== '' || !key.startsWith('0')) {
+        cashInput.value += key; // Leading zeros are dropped
+    }
+    cashInput.dispatchEvent(new Event('input'));
+}
+
+// Moves the tender being entered into the split payment list
+window.addSplitPayment = function() {
+    const payment = readCurrentPayment();
+    if (!payment) {
+        showToast('Masukkan jumlah pembayaran terlebih dahulu.');
+        return;
+    }
+    const { remaining } = summarizePayments(checkoutPayments, getPaymentAmountDue());
+    if (payment.amount >= remaining) {
+        showToast('Jumlah ini sudah menutup sisa tagihan. Silakan selesaikan transaksi.');
+        return;
+    }
+
+    checkoutPayments.push(payment);
+    renderSplitPayments();
+    selectPaymentMethod(selectedPaymentMethod);
+}
+
+window.removeSplitPayment = function(index) {
+    checkoutPayments.splice(index, 1);
+    renderSplitPayments();
+    renderQuickCashButtons();
+    updatePaymentSummary();
+}
+
+function renderSplitPayments() {
+    const listEl = document.getElementById('paymentSplitList');
+    listEl.innerHTML = checkoutPayments.map((payment, index) => `
+        <div class="flex justify-between items-center bg-gray-100 p-2 rounded-lg text-sm">
+            <div>
+                <span class="font-semibold">${getPaymentMethodLabel(payment.method)}</span>
+                ${payment.reference ? `<span class="text-xs text-gray-500 ml-1">Ref: ${payment.reference}</span>` : ''}
+            </div>
+            <div class="flex items-center gap-3">
+                <span>Rp ${formatCurrency(payment.amount)}</span>
+                <button onclick="removeSplitPayment(${index})" class="text-red-500 clickable"><i class="fas fa-times"></i></button>
+            </div>
+        </div>
+    `).join('');
+}
+
+// Shows the dynamic QRIS for the amount being entered, for the customer to scan
+function renderQrisDisplay() {
+    const displayEl = document.getElementById('qrisDisplay');
+    const codeEl = document.getElementById('qrisCode');
+    const infoEl = document.getElementById('qrisInfo');
+    codeEl.innerHTML = '';
+    displayEl.classList.toggle('hidden', selectedPaymentMethod !== 'qris');
+    if (selectedPaymentMethod !== 'qris') return;
+
+    if (!merchantQrisPayload) {
+        infoEl.textContent = 'QRIS toko belum diatur di Pengaturan.';
+        return;
+    }
+    const payment = readCurrentPayment();
+    if (!payment) {
+        infoEl.textContent = 'Masukkan jumlah untuk menampilkan QRIS.';
+        return;
+    }
+    if (typeof QRCode === 'undefined') {
+        infoEl.textContent = 'Pembuat kode QR belum siap. Coba lagi sebentar.';
+        return;
+    }
+
+    new QRCode(codeEl, {
+        text: payment.qrisPayload,
+        width: 200,
+        height: 200,
+        correctLevel: QRCode.CorrectLevel.M
     });
+    infoEl.textContent = `${getQrisMerchantName(merchantQrisPayload)} - Rp ${formatCurrency(Math.ceil(payment.amount))}`;
+}
 
-    // Set canvas size
-    canvas.width = maxWidth + padding * 2;
-    canvas.height = totalHeight;
+function updatePaymentSummary() {
+    const total = getCartAmountDue();
+    const rounding = getCheckoutRounding(total);
+    const { paid, remaining, change, isNonCashOverpaid } = summarizePayments(getCheckoutPayments(), total + rounding);
+    renderQrisDisplay();
 
-    // Fill background
-    ctx.fillStyle = 'white';
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    document.getElementById('paymentTotal').textContent = `Rp ${formatCurrency(total + rounding)}`;
+    document.getElementById('paymentRoundingRow').classList.toggle('hidden', rounding === 0);
+    document.getElementById('paymentRounding').textContent = formatSignedCurrency(rounding);
 
-    // Create an image from SVG to draw on canvas
-    const svgImage = new Image();
-    svgImage.src = 'data:image/svg+xml;base64,' + btoa(unescape(encodeURIComponent(svgXML)));
+    const changeEl = document.getElementById('paymentChange');
+    const changeLabelEl = document.getElementById('paymentChangeLabel');
+    const completeButton = document.getElementById('completeTransactionButton');
+    const canComplete = paid > 0 && remaining === 0 && !isNonCashOverpaid;
 
-    svgImage.onload = () => {
-        let currentY = padding;
+    if (isNonCashOverpaid) {
+        changeEl.textContent = `Rp ${formatCurrency(change)}`;
+        changeLabelEl.textContent = 'Lebih Bayar Non-Tunai:';
+    } else if (remaining === 0) {
+        changeEl.textContent = `Rp ${formatCurrency(change)}`;
+        changeLabelEl.textContent = 'Kembalian:';
+    } else {
+        changeEl.textContent = `Rp ${formatCurrency(remaining)}`;
+        changeLabelEl.textContent = 'Kurang:';
+    }
+    changeEl.classList.toggle('text-green-500', canComplete);
+    changeEl.classList.toggle('text-red-500', !canComplete);
 
-        elementsToDraw.forEach(({ el, isSvg }, i) => {
-            const metrics = elementMetrics[i];
-            if (metrics.height === 0) return;
+    completeButton.disabled = !canComplete;
+    completeButton.classList.toggle('disabled:bg-blue-300', !canComplete);
+}
 
-            if (isSvg) {
-                ctx.drawImage(svgImage, (canvas.width - svgSize.width) / 2, currentY);
-            } else {
-                const style = window.getComputedStyle(el);
-                ctx.font = `${style.fontWeight} ${style.fontSize} ${style.fontFamily}`;
-                ctx.fillStyle = 'black';
-                ctx.textAlign = 'center';
-                // Adjust Y position for text baseline
-                ctx.fillText(el.textContent, canvas.width / 2, currentY + parseInt(style.fontSize, 10));
-            }
-            
-            currentY += metrics.height;
-            // Add spacing if it's not the last element and the next element has content
-            if (i < elementMetrics.length - 1 && elementMetrics[i+1].height > 0) {
-                currentY += spacing;
-            }
-        });
+document.getElementById('cashPaidInput')?.addEventListener('input', updatePaymentSummary);
+
+// Keyboard shortcuts for desktop tills, active while the payment modal is open
+const PAYMENT_METHOD_KEYS = { F1: 'cash', F2: 'qris', F3: 'debit', F4: 'ewallet', F5: 'credit' };
+const QUICK_CASH_KEYS = ['F6', 'F7', 'F8', 'F9', 'F10'];
+
+function handlePaymentShortcut(event) {
+    if (document.getElementById('paymentModal').classList.contains('hidden')) return;
+
+    if (PAYMENT_METHOD_KEYS[event.key]) {
+        event.preventDefault();
+        selectPaymentMethod(PAYMENT_METHOD_KEYS[event.key]);
+        document.getElementById('cashPaidInput').focus();
+    } else if (QUICK_CASH_KEYS.includes(event.key)) {
+        event.preventDefault();
+        const button = document.querySelectorAll('#quickCashButtons button')[QUICK_CASH_KEYS.indexOf(event.key)];
+        if (selectedPaymentMethod === 'cash' && button) button.click();
+    } else if (event.key === 'Enter') {
+        event.preventDefault();
+        const completeButton = document.getElementById('completeTransactionButton');
+        if (!completeButton.disabled) completeTransaction();
+    } else if (event.key === 'Escape') {
+        event.preventDefault();
+        closePaymentModal();
+    }
+}
 
-        // Create download link
-        const link = document.createElement('a');
-        link.download = `${productName.replace(/ /g, '_')}-${code}.png`;
-        link.href = canvas.toDataURL('image/png');
-        link.click();
-        showToast('Label PNG berhasil diunduh.');
-    };
-     svgImage.onerror = () => {
-        showToast('Gagal memproses gambar barcode.');
-    };
-});
+document.addEventListener('keydown', handlePaymentShortcut);
 
-document.getElementById('printLabelBtn')?.addEventListener('click', () => {
-    const labelContent = document.getElementById('labelContent').innerHTML;
-    const printWindow = window.open('', '_blank');
-    printWindow.document.write(`
-        <html>
-            <head>
-                <title>Cetak Label</title>
-                <style>
-                    body { margin: 0; font-family: sans-serif; text-align: center; }
-                    #labelContent { display: inline-block; padding: 10px; border: 1px solid #ccc; }
-                    p { margin: 0; } /* Remove default paragraph margins for printing */
-                    #labelContent div { margin-top: 4px; margin-bottom: 4px; } /* Mimic my-1 */
-                    @media print {
-                        body { -webkit-print-color-adjust: exact; }
-                        #labelContent { border: none; }
-                    }
-                </style>
-            </head>
-            <body>
-                <div id="labelContent">${labelContent}</div>
-                <script>
-                    window.onload = function() { 
-                        // Re-generate JsBarcode in the new window
-                        const script = document.createElement('script');
-                        script.src = 'https://cdn.jsdelivr.net/npm/jsbarcode@3.11.5/dist/JsBarcode.all.min.js';
+
+window.completeTransaction = async function() {
+    const button = document.getElementById('completeTransactionButton');
+    const buttonText = button.querySelector('.payment-button-text');
+    const spinner = button.querySelector('.payment-button-spinner');
+
+    button.disabled = true;
+    buttonText.classList.add('hidden');
+    spinner.classList.remove('hidden');
+
+    try {
+        const payments = getCheckoutPayments();
+        const { subtotal, totalDiscount, promotions, cartDiscount, fees: calculatedFees, totalFees, includedTax, total: cartTotal } = calculateCartTotals();
+        const rounding = getCheckoutRounding(cartTotal);
+        const total = cartTotal + rounding;
+        const { change } = summarizePayments(payments, total);
+        // Kept next to payments for readers that predate split payments
+        const cashPaid = payments.filter(p => p.method === 'cash').reduce((sum, p) => sum + p.amount, 0);
+
+        // Read the balance again, as points may have been used on another device meanwhile
+        const customer = cart.customer ? await getFromDB('customers', cart.customer.id) : null;
+        const pointsRedeemed = getRedeemedPoints(cartDiscount);
+        if (pointsRedeemed > (customer ? customer.points : 0)) {
+            showToast('Poin pelanggan tidak mencukupi. Ubah penukaran poin.');
+            return;
+        }
+        // A code applied before midnight may have run out since, or been deleted on another device
+        if (cartDiscount && cartDiscount.promoCode) {
+            const promo = (await getAllFromDB('promo_codes')).find(p => p.code === cartDiscount.promoCode);
+            if (!promo || !isWithinValidDates(promo, new Date())) {
+                showToast(`Kode promo ${cartDiscount.promoCode} sudah tidak berlaku. Hapus diskon untuk melanjutkan.`);
+                return;
+            }
+        }
+        const pointsEarned = customer ? getPointsEarned(getPointsEarningAmount(cartTotal - totalFees - includedTax, total, payments)) : 0;
+        if (!customer && payments.some(p => p.method === 'credit')) {
+            showToast('Kasbon hanya bisa dicatat atas nama pelanggan.');
+            return;
+        }
+
+        const transaction = {
+            items: cart.items.map(item => ({
+                id: item.id,
+                name: item.name,
+                quantity: item.quantity,
+                price: item.price,
+                effectivePrice: item.effectivePrice,
+                discountPercentage: item.discountPercentage,
+                priceOverridden: Boolean(item.priceOverridden),
+            })),
+            subtotal: subtotal,
+            totalDiscount: totalDiscount,
+            promotions: promotions,
+            // Only kept when it actually took something off
+            cartDiscount: cartDiscount && cartDiscount.amount > 0
+                ? { type: cartDiscount.type, value: cartDiscount.value, name: cartDiscount.name, promoCode: cartDiscount.promoCode, amount: cartDiscount.amount }
+                : null,
+            fees: calculatedFees,
+            rounding: rounding, // Already in total, which is what the customer paid
+            total: total,
+            payments: payments,
+            cashPaid: cashPaid,
+            change: change,
+            shiftId: currentShift ? currentShift.id : null,
+            ...getCashierStamp(),
+            customerId: customer ? customer.id : null,
+            customerName: customer ? customer.name : null,
+            pointsEarned: pointsEarned,
+            pointsRedeemed: pointsRedeemed,
+            pointsBalance: customer ? customer.points + pointsEarned - pointsRedeemed : null,
+            date: new Date().toISOString()
+        };
+
+        const addedId = await putToDB('transactions', transaction);
+        await queueSyncAction('CREATE_TRANSACTION', { ...transaction, id: addedId });
+        if (cart.orderId) await updatePendingOrder(cart.orderId, { status: 'completed', transactionId: addedId });
+        if (customer && pointsEarned !== pointsRedeemed) {
+            customer.points = transaction.pointsBalance;
+            customer.updatedAt = new Date().toISOString();
+            await putToDB('customers', customer);
+            await queuePointsAdjustment(customer, pointsEarned - pointsRedeemed, 'sale', addedId);
+        }
+
+        // Update stock
+        for (const item of cart.items) {
+            const product = await getFromDB('products', item.id);
+            if (product) {
+                product.stock -= item.quantity;
+                product.updatedAt = new Date().toISOString();
+                await putToDB('products', product);
+                await queueStockAdjustment(product, -item.quantity, 'sale', addedId);
+            }
+        }
+        
+        currentReceiptTransaction = { ...transaction, id: addedId };
+
+        showReceiptModal();
+        
+    } catch (error) {
+        console.error("Transaction failed:", error);
+        showToast('Transaksi gagal. Silakan coba lagi.');
+    } finally {
+        button.disabled = false;
+        buttonText.classList.remove('hidden');
+        spinner.classList.add('hidden');
+    }
+}
+
+function showReceiptModal() {
+    closePaymentModal();
+    hideCartModal();
+    (document.getElementById('receiptModal')).classList.remove('hidden');
+    generateReceiptContent(currentReceiptTransaction);
+    
+    const actionButton = document.getElementById('receiptActionButton');
+    actionButton.textContent = 'Transaksi Baru';
+    actionButton.onclick = startNewTransaction;
+
+    // Auto print if enabled
+    getSettingFromDB('autoPrintReceipt').then(autoPrint => {
+        if (autoPrint && isPrinterReady) {
+            printReceipt(true);
+        }
+    });
+}
+
+function startNewTransaction() {
+    (document.getElementById('receiptModal')).classList.add('hidden');
+    cart = { items: [], fees: [], discount: null };
+    applyDefaultFees();
+    updateCartDisplay();
+    loadProductsGrid(); // Refresh grid for stock updates
+    loadPendingOrders();
+    if(currentPage === 'dashboard') loadDashboard();
+    currentReceiptTransaction = null;
+    showToast('Siap untuk transaksi berikutnya.');
+}
+window.startNewTransaction = startNewTransaction;
+
+
+// --- QRIS ---
+// A QRIS payload is an EMVCo merchant-presented QR: a string of ID(2) + LENGTH(2) + VALUE
+// fields, terminated by a CRC (tag 63). A dynamic QRIS is the merchant's static code with
+// the amount (tag 54) filled in, so the customer's app does not ask for it.
+
+/**
+ * Splits an EMVCo payload into its top-level fields.
+ * @returns {{id: string, value: string}[]}
+ */
+function parseEmvTlv(payload) {
+    const fields = [];
+    let position = 0;
+    while (position < payload.length) {
+        const id = payload.substr(position, 2);
+        const length = parseInt(payload.substr(position + 2, 2), 10);
+        if (!/^\d{2}$/.test(id) || !/^\d{2}$/.test(payload.substr(position + 2, 2)) || position + 4 + length > payload.length) {
+            throw new Error(`Invalid EMV field at position ${position}`);
+        }
+        fields.push({ id, value: payload.substr(position + 4, length) });
+        position += 4 + length;
+    }
+    return fields;
+}
+
+function buildEmvTlv(fields) {
+    return fields.map(({ id, value }) => `${id}${String(value.length).padStart(2, '0')}${value}`).join('');
+}
+
+// CRC-16/CCITT-FALSE as required by EMVCo, returned as 4 uppercase hex digits
+function crc16Ccitt(text) {
+    let crc = 0xFFFF;
+    for (let i = 0; i < text.length; i++) {
+        crc ^= text.charCodeAt(i) << 8;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x8000 ? (crc << 1) ^ 0x1021 : crc << 1;
+        }
+        crc &= 0xFFFF;
+    }
+    return crc.toString(16).toUpperCase().padStart(4, '0');
+}
+
+function isValidQris(payload) {
+    if (!payload || payload.length < 8) return false;
+    const body = payload.slice(0, -4);
+    if (!body.endsWith('6304') || crc16Ccitt(body) !== payload.slice(-4).toUpperCase()) return false;
+    try {
+        const fields = parseEmvTlv(payload);
+        return fields[0]?.id === '00' && fields[0].value === '01';
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Turns the store's static QRIS into a dynamic one for a fixed amount.
+ * QRIS amounts are whole rupiah, so fractions left by fees are rounded up.
+ */
+function createDynamicQris(staticPayload, amount) {
+    const fields = parseEmvTlv(staticPayload).filter(f => f.id !== '54' && f.id !== '63');
+    const pointOfInitiation = fields.find(f => f.id === '01');
+    if (pointOfInitiation) {
+        pointOfInitiation.value = '12'; // 11 = static, 12 = dynamic
+    } else {
+        fields.splice(1, 0, { id: '01', value: '12' });
+    }
+
+    // Fields are kept in ascending tag order
+    const amountField = { id: '54', value: String(Math.ceil(amount)) };
+    const insertAt = fields.findIndex(f => f.id > '54');
+    fields.splice(insertAt === -1 ? fields.length : insertAt, 0, amountField);
+
+    const body = `${buildEmvTlv(fields)}6304`;
+    return body + crc16Ccitt(body);
+}
+
+const getQrisMerchantName = (payload) => parseEmvTlv(payload).find(f => f.id === '59')?.value || '';
+
+/**
+ * ESC/POS commands that print a QR code (GS ( k, model 2, error correction M).
+ * @returns {number[]}
+ */
+function buildEscPosQrCode(data, moduleSize = 6) {
+    const GS = 29;
+    const storeLength = data.length + 3;
+    return [
+        GS, 40, 107, 4, 0, 49, 65, 50, 0,
+        GS, 40, 107, 3, 0, 49, 67, moduleSize,
+        GS, 40, 107, 3, 0, 49, 69, 49,
+        GS, 40, 107, storeLength % 256, Math.floor(storeLength / 256), 49, 80, 48,
+        ...Array.from(data, char => char.charCodeAt(0)),
+        GS, 40, 107, 3, 0, 49, 81, 48
+    ];
+}
+
+// --- SETTINGS ---
+async function saveStoreSettings() {
+    if (!requirePermission('manageSettings')) return;
+    const settings = [
+        { key: 'storeName', value: (document.getElementById('storeName')).value.trim() },
+        { key: 'storeAddress', value: (document.getElementById('storeAddress')).value.trim() },
+        { key: 'storeFeedbackPhone', value: (document.getElementById('storeFeedbackPhone')).value.trim() },
+        { key: 'storeFooterText', value: (document.getElementById('storeFooterText')).value.trim() },
+        { key: 'storeLogo', value: currentStoreLogoData },
+        { key: 'lowStockThreshold', value: parseInt((document.getElementById('lowStockThreshold')).value) || 5 },
+        { key: 'autoPrintReceipt', value: document.getElementById('autoPrintReceipt').checked },
+        { key: 'printerPaperSize', value: document.getElementById('printerPaperSize').value }
+    ];
+
+    try {
+        const transaction = db.transaction('settings', 'readwrite');
+        const store = transaction.objectStore('settings');
+        settings.forEach(setting => store.put(setting));
+        
+        transaction.oncomplete = () => {
+            lowStockThreshold = settings.find(s => s.key === 'lowStockThreshold').value;
+            showToast('Pengaturan berhasil disimpan');
+            loadDashboard(); // Refresh dashboard with new store name/address
+        };
+    } catch(error) {
+        console.error("Failed to save settings:", error);
+        showToast("Gagal menyimpan pengaturan.");
+    }
+}
+window.saveStoreSettings = saveStoreSettings;
+
+function renderMerchantQrisStatus() {
+    const statusEl = document.getElementById('merchantQrisStatus');
+    if (merchantQrisPayload) {
+        statusEl.textContent = `Aktif: ${getQrisMerchantName(merchantQrisPayload) || 'Merchant tanpa nama'}`;
+        statusEl.className = 'text-sm text-green-600';
+    } else {
+        statusEl.textContent = 'QRIS belum diatur.';
+        statusEl.className = 'text-sm text-gray-500';
+    }
+}
+
+window.saveQrisSettings = async function() {
+    if (!requirePermission('manageSettings')) return;
+    const payload = document.getElementById('merchantQris').value.replace(/\s+/g, '');
+    if (payload && !isValidQris(payload)) {
+        showToast('Kode QRIS tidak valid. Pastikan teks disalin utuh.');
+        return;
+    }
+
+    try {
+        await putSettingToDB({ key: 'merchantQris', value: payload || null });
+        merchantQrisPayload = payload || null;
+        document.getElementById('merchantQris').value = payload;
+        renderMerchantQrisStatus();
+        showToast(payload ? 'QRIS toko berhasil disimpan' : 'QRIS toko dihapus');
+    } catch (error) {
+        console.error('Failed to save QRIS:', error);
+        showToast('Gagal menyimpan QRIS.');
+    }
+}
+
+
+window.saveCashRoundingSettings = async function() {
+    if (!requirePermission('manageSettings')) {
+        document.getElementById('cashRoundingUnit').value = String(cashRounding.unit);
+        document.getElementById('cashRoundingMode').value = cashRounding.mode;
+        return;
+    }
+    const unit = parseInt(document.getElementById('cashRoundingUnit').value, 10) || 0;
+    const mode = document.getElementById('cashRoundingMode').value;
+    try {
+        await putSettingToDB({ key: 'cashRoundingUnit', value: unit });
+        await putSettingToDB({ key: 'cashRoundingMode', value: mode });
+        cashRounding = { unit, mode };
+        showToast(unit ? 'Pembulatan tunai disimpan.' : 'Pembulatan tunai dimatikan.');
+    } catch (error) {
+        console.error('Failed to save cash rounding:', error);
+        showToast('Gagal menyimpan pembulatan tunai.');
+    }
+}
+
+async function loadSettings() {
+    try {
+        const settings = await getAllFromDB('settings');
+        const settingsMap = new Map(settings.map(s => [s.key, s.value]));
+
+        (document.getElementById('storeName')).value = settingsMap.get('storeName') || '';
+        (document.getElementById('storeAddress')).value = settingsMap.get('storeAddress') || '';
+        (document.getElementById('storeFeedbackPhone')).value = settingsMap.get('storeFeedbackPhone') || '';
+        (document.getElementById('storeFooterText')).value = settingsMap.get('storeFooterText') || '';
+        (document.getElementById('lowStockThreshold')).value = settingsMap.get('lowStockThreshold') || 5;
+        document.getElementById('autoPrintReceipt').checked = settingsMap.get('autoPrintReceipt') || false;
+        document.getElementById('printerPaperSize').value = settingsMap.get('printerPaperSize') || '80mm';
+        document.getElementById('syncServerUrl').value = settingsMap.get('syncServerUrl') || '';
+        document.getElementById('syncAuthToken').value = settingsMap.get('syncAuthToken') || '';
+
+        renderManagerPinStatus();
+
+        feeSettings = {
+            pricesIncludeTax: settingsMap.get('pricesIncludeTax') || false,
+            rounding: settingsMap.get('feeRounding') || 'none'
+        };
+        renderFeeSettings();
+
+        cashRounding = {
+            unit: settingsMap.get('cashRoundingUnit') || 0,
+            mode: settingsMap.get('cashRoundingMode') || 'nearest'
+        };
+        document.getElementById('cashRoundingUnit').value = String(cashRounding.unit);
+        document.getElementById('cashRoundingMode').value = cashRounding.mode;
+
+        loyaltySettings = { ...loyaltySettings, ...settingsMap.get('loyaltyProgram') };
+        renderLoyaltySettings();
+
+        merchantQrisPayload = settingsMap.get('merchantQris') || null;
+        document.getElementById('merchantQris').value = merchantQrisPayload || '';
+        renderMerchantQrisStatus();
+
+        pinLockouts = settingsMap.get('pinLockouts') || {};
+
+        // Set Kiosk Mode toggle state
+        const kioskToggle = document.getElementById('kioskModeToggle');
+        if (kioskToggle) {
+            kioskToggle.checked = settingsMap.get('kioskModeEnabled') || false;
+        }
+        kioskType = settingsMap.get('kioskType') || 'cashier';
+        selfOrderPrefix = settingsMap.get('selfOrderPrefix') || '';
+        document.getElementById('kioskType').value = kioskType;
+        document.getElementById('selfOrderPrefix').value = selfOrderPrefix;
+        document.getElementById('selfOrderSettings').classList.toggle('hidden', kioskType !== 'selfOrder');
+
+        lowStockThreshold = settingsMap.get('lowStockThreshold') || 5;
+        
+        currentStoreLogoData = settingsMap.get('storeLogo') || null;
+        if (currentStoreLogoData) {
+            (document.getElementById('storeLogoPreview')).innerHTML = `<img src="${currentStoreLogoData}" alt="Logo Preview" class="image-preview">`;
+        }
+    } catch (error) {
+        console.error("Failed to load settings:", error);
+    }
+}
+
+window.previewStoreLogo = function(event) {
+    const file = event.target.files?.[0];
+    if (file) {
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            currentStoreLogoData = e.target?.result;
+            (document.getElementById('storeLogoPreview')).innerHTML = `<img src="${currentStoreLogoData}" alt="Logo Preview" class="image-preview">`;
+        };
+        reader.readAsDataURL(file);
+    }
+}
+
+// --- DATA MANAGEMENT ---
+async function exportData() {
+    if (!requirePermission('manageData')) return;
+    try {
+        const products = await getAllFromDB('products');
+        const transactions = await getAllFromDB('transactions');
+        const settings = await getAllFromDB('settings');
+        const categories = await getAllFromDB('categories');
+        const fees = await getAllFromDB('fees');
+        const refunds = await getAllFromDB('refunds');
+        const promoCodes = await getAllFromDB('promo_codes');
+        const promotions = await getAllFromDB('promotions');
+        const shifts = await getAllFromDB('shifts');
+        const users = await getAllFromDB('users');
+        const orders = await getAllFromDB('orders');
+        const customers = await getAllFromDB('customers');
+        const creditPayments = await getAllFromDB('credit_payments');
+        
+        const data = {
+            products,
+            transactions,
+            settings,
+            categories,
+            fees,
+            refunds,
+            promoCodes,
+            promotions,
+            shifts,
+            users,
+            orders,
+            customers,
+            creditPayments,
+            exportDate: new Date().toISOString()
+        };
+        
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        const date = new Date().toISOString().split('T')[0];
+        a.href = url;
+        a.download = `pos_backup_${date}.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+        showToast('Data berhasil diexport.');
+    } catch (error) {
+        console.error('Export failed:', error);
+        showToast('Gagal mengexport data.');
+    }
+}
+window.exportData = exportData;
+
+window.importData = function() {
+    if (!requirePermission('manageData')) return;
+    (document.getElementById('importFile')).click();
+}
+
+window.handleImport = function(event) {
+    const file = event.target.files?.[0];
+    if (file) {
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                const data = JSON.parse(e.target.result);
+                showConfirmationModal(
+                    'Import Data',
+                    'Ini akan menimpa semua data saat ini. Apakah Anda yakin ingin melanjutkan?',
+                    async () => {
+                        await clearAllStores();
+                        const transaction = db.transaction(['products', 'transactions', 'settings', 'categories', 'fees', 'refunds', 'promo_codes', 'promotions', 'shifts', 'users', 'orders', 'customers', 'credit_payments'], 'readwrite');
+                        
+                        if (data.products) transaction.objectStore('products').clear();
+                        if (data.transactions) transaction.objectStore('transactions').clear();
+                        if (data.settings) transaction.objectStore('settings').clear();
+                        if (data.categories) transaction.objectStore('categories').clear();
+                        if (data.fees) transaction.objectStore('fees').clear();
+                        if (data.refunds) transaction.objectStore('refunds').clear();
+                        if (data.promoCodes) transaction.objectStore('promo_codes').clear();
+                        if (data.promotions) transaction.objectStore('promotions').clear();
+                        if (data.shifts) transaction.objectStore('shifts').clear();
+                        if (data.users) transaction.objectStore('users').clear();
+                        if (data.orders) transaction.objectStore('orders').clear();
+                        if (data.customers) transaction.objectStore('customers').clear();
+                        if (data.creditPayments) transaction.objectStore('credit_payments').clear();
+
+                        if (data.products) data.products.forEach(p => transaction.objectStore('products').put(p));
+                        if (data.transactions) data.transactions.forEach(t => transaction.objectStore('transactions').put(t));
+                        if (data.settings) data.settings.forEach(s => transaction.objectStore('settings').put(s));
+                        if (data.categories) data.categories.forEach(c => transaction.objectStore('categories').put(c));
+                        if (data.fees) data.fees.forEach(f => transaction.objectStore('fees').put(f));
+                        if (data.refunds) data.refunds.forEach(r => transaction.objectStore('refunds').put(r));
+                        if (data.promoCodes) data.promoCodes.forEach(p => transaction.objectStore('promo_codes').put(p));
+                        if (data.promotions) data.promotions.forEach(p => transaction.objectStore('promotions').put(p));
+                        if (data.shifts) data.shifts.forEach(s => transaction.objectStore('shifts').put(s));
+                        if (data.users) data.users.forEach(u => transaction.objectStore('users').put(u));
+                        if (data.orders) data.orders.forEach(o => transaction.objectStore('orders').put(o));
+                        if (data.customers) data.customers.forEach(c => transaction.objectStore('customers').put(c));
+                        if (data.creditPayments) data.creditPayments.forEach(p => transaction.objectStore('credit_payments').put(p));
+                        
+                        transaction.oncomplete = () => {
+                            showToast('Data berhasil diimport. Aplikasi akan dimuat ulang.');
+                            setTimeout(() => location.reload(), 2000);
+                        };
+                    },
+                    'Ya, Import',
+                    'bg-purple-500'
+                );
+            } catch (error) {
+                console.error('Import parse error:', error);
+                showToast('Format file tidak valid.');
+            }
+        };
+        reader.readAsText(file);
+    }
+}
+
+async function clearAllStores() {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(db.objectStoreNames, 'readwrite');
+        Array.from(db.objectStoreNames).forEach(storeName => {
+            transaction.objectStore(storeName).clear();
+        });
+        transaction.oncomplete = resolve;
+        transaction.onerror = reject;
+    });
+}
+
+window.clearAllData = function() {
+    if (!requirePermission('clearData')) return;
+    showConfirmationModal(
+        'Hapus Semua Data',
+        'PERINGATAN: Ini akan menghapus semua produk, transaksi, dan pengaturan secara permanen. Tindakan ini tidak dapat dibatalkan. Apakah Anda benar-benar yakin?',
+        async () => {
+            await clearAllStores();
+            showToast('Semua data berhasil dihapus. Aplikasi akan dimuat ulang.');
+            setTimeout(() => location.reload(), 2000);
+        },
+        'Ya, Hapus Semua',
+        'bg-red-500'
+    );
+}
+
+// --- MODALS ---
+function showConfirmationModal(title, message, onConfirm, confirmText = 'OK', confirmClass = 'bg-blue-500') {
+    (document.getElementById('confirmationTitle')).textContent = title;
+    (document.getElementById('confirmationMessage')).innerHTML = message;
+    
+    const confirmButton = document.getElementById('confirmButton');
+    confirmButton.textContent = confirmText;
+    confirmButton.className = `btn text-white flex-1 py-2 ${confirmClass}`;
+    
+    confirmCallback = onConfirm;
+
+    (document.getElementById('confirmationModal')).classList.remove('hidden');
+}
+
+function closeConfirmationModal() {
+    (document.getElementById('confirmationModal')).classList.add('hidden');
+    confirmCallback = null;
+}
+
+// --- REPORTS ---
+window.generateReport = async function() {
+    const dateFrom = (document.getElementById('dateFrom')).value;
+    const dateTo = (document.getElementById('dateTo')).value;
+    
+    if (!dateFrom || !dateTo) {
+        showToast('Silakan pilih rentang tanggal.');
+        return;
+    }
+    
+    const transactions = await getAllFromDB('transactions');
+    const products = await getAllFromDB('products'); // Get all products for cost calculation
+    const refunds = await getAllFromDB('refunds');
+    const creditPayments = await getAllFromDB('credit_payments');
+    
+    const isInPeriod = (record) => {
+        const date = record.date.split('T')[0];
+        return date >= dateFrom && date <= dateTo;
+    };
+    const filteredTransactions = transactions.filter(isInPeriod);
+    // Refunds count in the period they were made, like the sales they reverse
+    const filteredRefunds = refunds.filter(isInPeriod);
+    const filteredCreditPayments = creditPayments.filter(isInPeriod);
+    
+    currentReportData = filteredTransactions;
+    currentReportRefunds = filteredRefunds;
+    currentReportCreditPayments = filteredCreditPayments;
+
+    if (filteredTransactions.length === 0 && filteredRefunds.length === 0 && filteredCreditPayments.length === 0) {
+        showToast('Tidak ada transaksi ditemukan pada rentang tanggal tersebut.');
+        document.getElementById('reportSummary').style.display = 'none';
+        document.getElementById('reportDetails').style.display = 'none';
+        document.getElementById('topSellingProductsCard').style.display = 'none';
+        document.getElementById('cashierSalesCard').style.display = 'none';
+        document.getElementById('salesChartCard').style.display = 'none';
+        return;
+    }
+
+    // Voided sales stay listed but count nowhere
+    const completedTransactions = filteredTransactions.filter(t => !t.voidedAt);
+    displayReportSummary(completedTransactions, products, filteredRefunds, filteredCreditPayments);
+    displayReportDetails(filteredTransactions, refunds);
+    displayTopSellingProducts(completedTransactions, filteredRefunds);
+    displaySalesByCashier(completedTransactions, filteredRefunds);
+    displaySalesReport(completedTransactions, 'daily', filteredRefunds);
+
+    document.getElementById('reportSummary').style.display = 'block';
+    document.getElementById('reportDetails').style.display = 'block';
+    document.getElementById('topSellingProductsCard').style.display = 'block';
+    document.getElementById('cashierSalesCard').style.display = 'block';
+    document.getElementById('salesChartCard').style.display = 'block';
+
+}
+
+/**
+ * Sums what was received per payment method. Change is handed out in cash,
+ * so it is taken off the cash tendered, and refunds off the method they were paid back with.
+ * @returns {Map<string, number>}
+ */
+function getPaymentTotalsByMethod(transactions, refunds = []) {
+    const totals = new Map();
+    transactions.forEach(t => {
+        getTransactionPayments(t).forEach(payment => {
+            totals.set(payment.method, (totals.get(payment.method) || 0) + payment.amount);
+        });
+        if (t.change > 0) totals.set('cash', (totals.get('cash') || 0) - t.change);
+    });
+    refunds.forEach(r => {
+        totals.set(r.method, (totals.get(r.method) || 0) - r.total);
+    });
+    return totals;
+}
+
+/**
+ * Separates the money taken in during a period from what was sold on kasbon.
+ * Kasbon sales (less returns taken off the kasbon) are owed, not received;
+ * repayments of kasbon from any period are money received now.
+ * @returns {{creditSales: number, salesReceived: number, repayments: number, totalReceived: number}}
+ */
+function summarizeCashReceipts(transactions, refunds, creditPayments) {
+    const paymentTotals = getPaymentTotalsByMethod(transactions, refunds);
+    const creditSales = paymentTotals.get('credit') || 0;
+    const salesReceived = [...paymentTotals.values()].reduce((sum, amount) => sum + amount, 0) - creditSales;
+    const repayments = creditPayments.reduce((sum, p) => sum + p.amount, 0);
+    return { creditSales, salesReceived, repayments, totalReceived: salesReceived + repayments };
+}
+
+/**
+ * Totals refunds the way reports total sales. Only restocked items take their
+ * cost off HPP; goods that were not put back are a loss the shop still carries.
+ * @returns {{omzet: number, hpp: number, fees: number, total: number}}
+ */
+function summarizeRefunds(refunds, productMap) {
+    const totals = { omzet: 0, hpp: 0, tax: 0, operationalCost: 0, rounding: 0, total: 0 };
+    refunds.forEach(r => {
+        const fees = summarizeFees(r.fees);
+        totals.omzet += r.subtotal - (r.totalDiscount || 0) - fees.includedTax;
+        totals.rounding += r.rounding || 0;
+        totals.total += r.total;
+        totals.tax += fees.tax;
+        totals.operationalCost += fees.operational;
+        if (r.restocked) {
+            r.items.forEach(item => {
+                const product = productMap.get(item.id);
+                totals.hpp += (product ? (product.purchasePrice || 0) : 0) * item.quantity;
+            });
+        }
+    });
+    return totals;
+}
+
+/**
+ * Profit and loss of a report period, shared by the summary card and the CSV.
+ * Omzet leaves out taxes, including those inside tax-inclusive prices. Taxes are
+ * collected for the state, so they are shown apart and do not lower the profit.
+ * Cash rounding is money actually gained or given away, so it counts in the profit.
+ * @param {object[]} transactions - Sales in the period, voided ones left out.
+ */
+function calculateReportTotals(transactions, refunds, productMap) {
+    let omzet = 0;
+    let hpp = 0;
+    let tax = 0;
+    let operationalCost = 0;
+    let rounding = 0;
+
+    transactions.forEach(t => {
+        const fees = summarizeFees(t.fees);
+        omzet += t.subtotal - (t.totalDiscount || 0) - fees.includedTax;
+        rounding += t.rounding || 0;
+        tax += fees.tax;
+        operationalCost += fees.operational;
+
+        t.items.forEach(item => {
+            const product = productMap.get(item.id);
+            // Use current purchasePrice. If product was deleted, its cost is 0.
+            const purchasePrice = product ? (product.purchasePrice || 0) : 0;
+            hpp += purchasePrice * item.quantity;
+        });
+    });
+
+    const refundTotals = summarizeRefunds(refunds, productMap);
+    omzet -= refundTotals.omzet;
+    hpp -= refundTotals.hpp;
+    tax -= refundTotals.tax;
+    operationalCost -= refundTotals.operationalCost;
+    rounding -= refundTotals.rounding;
+
+    const grossProfit = omzet - hpp;
+    return {
+        omzet,
+        hpp,
+        tax,
+        operationalCost,
+        rounding,
+        grossProfit,
+        netProfit: grossProfit - operationalCost + rounding,
+        refundTotals
+    };
+}
+
+// e.g. "Tunai + QRIS (Ref: 123456)"
+function formatTransactionPayments(transaction, withReferences = false) {
+    return getTransactionPayments(transaction).map(payment => {
+        const label = getPaymentMethodLabel(payment.method);
+        return withReferences && payment.reference ? `${label} (Ref: ${payment.reference})` : label;
+    }).join(' + ');
+}
+
+function displayReportSummary(transactions, products, refunds, creditPayments) {
+    // Create a lookup map for product costs for efficiency
+    const productMap = new Map(products.map(p => [p.id, p]));
+
+    const { omzet, hpp, tax, operationalCost, rounding, grossProfit, netProfit, refundTotals } =
+        calculateReportTotals(transactions, refunds, productMap);
+    const cashFlow = grossProfit; // In this cash-based system, operational cash flow is best represented by gross profit.
+    const totalTransactions = transactions.length;
+    const average = totalTransactions > 0 ? omzet / totalTransactions : 0;
+
+    // Update DOM elements
+    (document.getElementById('reportOmzet')).textContent = `Rp ${formatCurrency(omzet)}`;
+    (document.getElementById('reportHpp')).textContent = `Rp ${formatCurrency(hpp)}`;
+    (document.getElementById('reportGrossProfit')).textContent = `Rp ${formatCurrency(grossProfit)}`;
+    (document.getElementById('reportOperationalCost')).textContent = `Rp ${formatCurrency(operationalCost)}`;
+    (document.getElementById('reportTax')).textContent = `Rp ${formatCurrency(tax)}`;
+    (document.getElementById('reportRounding')).textContent = formatSignedCurrency(rounding);
+    (document.getElementById('reportNetProfit')).textContent = `Rp ${formatCurrency(netProfit)}`;
+    (document.getElementById('reportCashFlow')).textContent = `Rp ${formatCurrency(cashFlow)}`;
+    (document.getElementById('reportTotalTransactions')).textContent = totalTransactions.toString();
+    (document.getElementById('reportAverage')).textContent = `Rp ${formatCurrency(average)}`;
+    (document.getElementById('reportRefunds')).textContent = `${refunds.length}x / Rp ${formatCurrency(refundTotals.total)}`;
+
+    const receipts = summarizeCashReceipts(transactions, refunds, creditPayments);
+    (document.getElementById('reportSalesReceived')).textContent = `Rp ${formatCurrency(receipts.salesReceived)}`;
+    (document.getElementById('reportCreditSales')).textContent = `Rp ${formatCurrency(receipts.creditSales)}`;
+    (document.getElementById('reportCreditRepayments')).textContent = `${creditPayments.length}x / Rp ${formatCurrency(receipts.repayments)}`;
+    (document.getElementById('reportTotalReceived')).textContent = `Rp ${formatCurrency(receipts.totalReceived)}`;
+
+    const paymentTotals = getPaymentTotalsByMethod(transactions, refunds);
+    (document.getElementById('reportPaymentMethods')).innerHTML = [...paymentTotals.entries()].map(([method, amount]) => `
+        <div class="flex justify-between items-center">
+            <span class="text-gray-600">${getPaymentMethodLabel(method)}:</span>
+            <span class="font-semibold">Rp ${formatCurrency(amount)}</span>
+        </div>
+    `).join('');
+}
+
+function displayReportDetails(transactions, refunds) {
+    const refundedTransactionIds = new Set(refunds.map(r => r.transactionId));
+    const detailsEl = document.getElementById('reportTransactions');
+    detailsEl.innerHTML = transactions.sort((a,b) => new Date(b.date) - new Date(a.date)).map(t => {
+        const date = new Date(t.date);
+        const formattedDate = `${date.toLocaleDateString('id-ID')} ${date.toLocaleTimeString('id-ID')}`;
+        return `
+            <div class="border-t pt-2 mt-2 clickable ${t.voidedAt ? 'opacity-60' : ''}" onclick="showTransactionDetail(${t.id})">
+                <div class="flex justify-between text-sm">
+                    <span>${formattedDate}</span>
+                    <span class="font-semibold">
+                        ${t.voidedAt ? '<span class="text-xs text-red-500 mr-1">VOID</span>' : ''}
+                        ${refundedTransactionIds.has(t.id) ? '<span class="text-xs text-red-500 mr-1">Retur</span>' : ''}
+                        <span class="${t.voidedAt ? 'line-through' : ''}">Rp ${formatCurrency(t.total)}</span>
+                    </span>
+                </div>
+                <ul class="text-xs text-gray-600 pl-4 mt-1">
+                    ${t.items.map(item => `<li>${item.quantity}x ${item.name}</li>`).join('')}
+                </ul>
+                <p class="text-xs text-gray-500 pl-4 mt-1"><i class="fas fa-wallet mr-1"></i>${formatTransactionPayments(t)}</p>
+            </div>
+        `;
+    }).join('');
+}
+
+
+function displayTopSellingProducts(transactions, refunds) {
+    const productSales = {};
+
+    const addSale = (item, sign) => {
+        if (!productSales[item.name]) {
+            productSales[item.name] = { quantity: 0, revenue: 0 };
+        }
+        productSales[item.name].quantity += sign * item.quantity;
+        productSales[item.name].revenue += sign * item.effectivePrice * item.quantity;
+    };
+    transactions.forEach(t => t.items.forEach(item => addSale(item, 1)));
+    refunds.forEach(r => r.items.forEach(item => addSale(item, -1)));
+
+    const sortedProducts = Object.entries(productSales)
+        .filter(([, data]) => data.quantity > 0)
+        .sort(([,a], [,b]) => b.quantity - a.quantity)
+        .slice(0, 5);
+    
+    const listEl = document.getElementById('topSellingProductsList');
+    if (sortedProducts.length === 0) {
+        listEl.innerHTML = `<p class="text-gray-500 text-center py-2">Tidak ada produk terjual.</p>`;
+        return;
+    }
+
+    listEl.innerHTML = sortedProducts.map(([name, data], index) => `
+        <div class="flex justify-between items-center text-sm">
+            <span>${index + 1}. ${name}</span>
+            <div class="text-right">
+                <span class="font-semibold">${data.quantity} terjual</span>
+                <p class="text-xs text-gray-500">Rp ${formatCurrency(data.revenue)}</p>
+            </div>
+        </div>
+    `).join('');
+}
+
+
+/**
+ * Sales per staff member. Refunds count against whoever processed them.
+ * Sales made before accounts existed are grouped as "Tanpa akun".
+ * @returns {Map<string, {count: number, total: number, refunds: number}>}
+ */
+function getSalesByCashier(transactions, refunds) {
+    const totals = new Map();
+    const getEntry = (record) => {
+        const name = record.cashierName || 'Tanpa akun';
+        if (!totals.has(name)) totals.set(name, { count: 0, total: 0, refunds: 0 });
+        return totals.get(name);
+    };
+    transactions.forEach(t => {
+        const entry = getEntry(t);
+        entry.count++;
+        entry.total += t.total;
+    });
+    refunds.forEach(r => {
+        getEntry(r).refunds += r.total;
+    });
+    return totals;
+}
+
+function displaySalesByCashier(transactions, refunds) {
+    const listEl = document.getElementById('cashierSalesList');
+    const sortedCashiers = [...getSalesByCashier(transactions, refunds)]
+        .sort(([, a], [, b]) => (b.total - b.refunds) - (a.total - a.refunds));
+
+    listEl.innerHTML = sortedCashiers.map(([name, data]) => `
+        <div class="flex justify-between items-center text-sm">
+            <span>${escapeHtml(name)}</span>
+            <div class="text-right">
+                <span class="font-semibold">Rp ${formatCurrency(data.total - data.refunds)}</span>
+                <p class="text-xs text-gray-500">${data.count} transaksi${data.refunds > 0 ? ` &middot; retur Rp ${formatCurrency(data.refunds)}` : ''}</p>
+            </div>
+        </div>
+    `).join('');
+}
+
+function displaySalesReport(transactions, viewType, refunds = []) {
+    if (!isChartJsReady || !Chart) {
+        document.getElementById('salesChartCard').innerHTML = `<p class="text-center text-red-500">Grafik tidak dapat dimuat.</p>`;
+        return;
+    }
+    
+    const salesData = {};
+    const getWeek = (d) => {
+        const date = new Date(d.getTime());
+        date.setHours(0, 0, 0, 0);
+        date.setDate(date.getDate() + 3 - (date.getDay() + 6) % 7);
+        const week1 = new Date(date.getFullYear(), 0, 4);
+        return 1 + Math.round(((date.getTime() - week1.getTime()) / 86400000 - 3 + (week1.getDay() + 6) % 7) / 7);
+    };
+
+    const addToPeriod = (record, amount) => {
+        const date = new Date(record.date);
+        let key;
+
+        if (viewType === 'daily') {
+            key = date.toISOString().split('T')[0];
+        } else { // weekly
+            key = `${date.getFullYear()}-W${getWeek(date)}`;
+        }
+
+        if (!salesData[key]) {
+            salesData[key] = 0;
+        }
+        salesData[key] += amount;
+    };
+    transactions.forEach(t => addToPeriod(t, t.total));
+    refunds.forEach(r => addToPeriod(r, -r.total));
+
+    const sortedLabels = Object.keys(salesData).sort();
+    const dataPoints = sortedLabels.map(label => salesData[label]);
+    
+    const ctx = document.getElementById('salesChart').getContext('2d');
+    
+    if (salesChartInstance) {
+        salesChartInstance.destroy();
+    }
+    
+    salesChartInstance = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: sortedLabels,
+            datasets: [{
+                label: 'Total Penjualan',
+                data: dataPoints,
+                borderColor: '#3b82f6',
+                backgroundColor: 'rgba(59, 130, 246, 0.1)',
+                fill: true,
+                tension: 0.3,
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    ticks: {
+                        callback: function(value, index, values) {
+                            return 'Rp ' + (value / 1000) + 'k';
+                        }
+                    }
+                }
+            },
+            plugins: {
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            let label = context.dataset.label || '';
+                            if (label) {
+                                label += ': ';
+                            }
+                            if (context.parsed.y !== null) {
+                                label += new Intl.NumberFormat('id-ID', { style: 'currency', currency: 'IDR' }).format(context.parsed.y);
+                            }
+                            return label;
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
+
+function setupChartViewToggle() {
+    const dailyBtn = document.getElementById('dailyViewBtn');
+    const weeklyBtn = document.getElementById('weeklyViewBtn');
+    const glider = document.getElementById('chartViewGlider');
+
+    dailyBtn.addEventListener('click', () => {
+        glider.style.transform = 'translateX(0%)';
+        dailyBtn.classList.remove('text-gray-500');
+        dailyBtn.classList.add('text-gray-800');
+        weeklyBtn.classList.add('text-gray-500');
+        weeklyBtn.classList.remove('text-gray-800');
+        displaySalesReport(currentReportData.filter(t => !t.voidedAt), 'daily', currentReportRefunds);
+    });
+
+    weeklyBtn.addEventListener('click', () => {
+        glider.style.transform = 'translateX(100%)';
+        weeklyBtn.classList.remove('text-gray-500');
+        weeklyBtn.classList.add('text-gray-800');
+        dailyBtn.classList.add('text-gray-500');
+        dailyBtn.classList.remove('text-gray-800');
+        displaySalesReport(currentReportData.filter(t => !t.voidedAt), 'weekly', currentReportRefunds);
+    });
+}
+
+
+async function exportReportToCSV() {
+    if (currentReportData.length === 0 && currentReportRefunds.length === 0 && currentReportCreditPayments.length === 0) {
+        showToast('Tidak ada data untuk diexport.');
+        return;
+    }
+
+    // Helper to escape commas and quotes for CSV
+    const escapeCSV = (val) => {
+        if (val === null || val === undefined) return '';
+        let str = String(val);
+        if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+            return `"${str.replace(/"/g, '""')}"`;
+        }
+        return str;
+    };
+
+    // 1. Fetch all products to get purchase price and category info
+    const products = await getAllFromDB('products');
+    const productMap = new Map(products.map(p => [p.id, p]));
+
+    // 2. Recalculate summary metrics to ensure consistency with the UI
+    const completedTransactions = currentReportData.filter(t => !t.voidedAt);
+    const { omzet, hpp, tax, operationalCost, rounding, grossProfit, netProfit, refundTotals } =
+        calculateReportTotals(completedTransactions, currentReportRefunds, productMap);
+    const dateFrom = document.getElementById('dateFrom').value;
+    const dateTo = document.getElementById('dateTo').value;
+
+    let csvContent = "";
+
+    // 3. Build Summary Block
+    csvContent += "Ringkasan Laporan\n";
+    csvContent += `Periode,"${dateFrom} s/d ${dateTo}"\n`;
+    csvContent += "\n";
+    csvContent += `Total Omzet (Penjualan Kotor),${omzet}\n`;
+    csvContent += `(-) Total Harga Pokok Penjualan (HPP),${hpp}\n`;
+    csvContent += `Laba Kotor,${grossProfit}\n`;
+    csvContent += `(-) Total Biaya Operasional,${operationalCost}\n`;
+    csvContent += `(+/-) Pembulatan Tunai,${rounding}\n`;
+    csvContent += `Laba Bersih,${netProfit}\n`;
+    csvContent += `Pajak Terkumpul,${tax}\n`;
+    csvContent += `Total Retur (${currentReportRefunds.length}x),${refundTotals.total}\n`;
+    csvContent += "\n";
+    const receipts = summarizeCashReceipts(completedTransactions, currentReportRefunds, currentReportCreditPayments);
+    csvContent += "Uang Diterima & Kasbon\n";
+    csvContent += `Uang Diterima dari Penjualan,${receipts.salesReceived}\n`;
+    csvContent += `Penjualan Kasbon (belum dibayar),${receipts.creditSales}\n`;
+    csvContent += `Pelunasan Kasbon (${currentReportCreditPayments.length}x),${receipts.repayments}\n`;
+    csvContent += `Total Uang Diterima,${receipts.totalReceived}\n`;
+    csvContent += "\n";
+    csvContent += "Penerimaan per Metode Pembayaran\n";
+    getPaymentTotalsByMethod(completedTransactions, currentReportRefunds).forEach((amount, method) => {
+        csvContent += `${getPaymentMethodLabel(method)},${amount}\n`;
+    });
+    csvContent += "\n";
+    csvContent += "Penjualan per Kasir\n";
+    csvContent += "Kasir,Transaksi,Penjualan,Retur,Bersih\n";
+    getSalesByCashier(completedTransactions, currentReportRefunds).forEach((data, name) => {
+        csvContent += `${escapeCSV(name)},${data.count},${data.total},${data.refunds},${data.total - data.refunds}\n`;
+    });
+    csvContent += "\n\n";
+
+    // 4. Build Detailed Transactions Block
+    const header = [
+        'ID Transaksi', 'Tanggal', 'Nama Produk', 'Kategori', 'Jumlah',
+        'Harga Jual (Satuan)', 'Total Omzet Item', 'Harga Beli (Satuan)',
+        'Total HPP Item', 'Laba Item', 'Metode Pembayaran', 'Kasir', 'Pelanggan', 'Status'
+    ].join(',');
+    csvContent += header + '\n';
+
+    currentReportData.forEach(t => {
+        const transactionDate = new Date(t.date).toLocaleString('id-ID');
+        t.items.forEach(item => {
+            const product = productMap.get(item.id);
+            const category = product ? product.category : 'N/A';
+            const purchasePrice = product ? (product.purchasePrice || 0) : 0;
+
+            const totalOmzetItem = item.effectivePrice * item.quantity;
+            const totalHppItem = purchasePrice * item.quantity;
+            const labaItem = totalOmzetItem - totalHppItem;
+
+            const row = [
+                t.id,
+                transactionDate,
+                item.name,
+                category,
+                item.quantity,
+                item.effectivePrice,
+                totalOmzetItem,
+                purchasePrice,
+                totalHppItem,
+                labaItem,
+                formatTransactionPayments(t, true),
+                t.cashierName,
+                t.customerName,
+                t.voidedAt ? `VOID: ${t.voidReason}` : 'Selesai'
+            ].map(escapeCSV).join(',');
+            
+            csvContent += row + '\n';
+        });
+    });
+
+    // 5. Build Refunds Block
+    if (currentReportRefunds.length > 0) {
+        csvContent += "\n\nRetur\n";
+        csvContent += [
+            'ID Retur', 'ID Transaksi', 'Tanggal', 'Nama Produk', 'Jumlah',
+            'Harga Jual (Satuan)', 'Total Retur Item', 'Kembali ke Stok',
+            'Metode Pengembalian', 'Alasan'
+        ].join(',') + '\n';
+
+        currentReportRefunds.forEach(r => {
+            const refundDate = new Date(r.date).toLocaleString('id-ID');
+            r.items.forEach(item => {
+                csvContent += [
+                    r.id,
+                    r.transactionId,
+                    refundDate,
+                    item.name,
+                    item.quantity,
+                    item.effectivePrice,
+                    item.effectivePrice * item.quantity,
+                    r.restocked ? 'Ya' : 'Tidak',
+                    getPaymentMethodLabel(r.method),
+                    r.reason
+                ].map(escapeCSV).join(',') + '\n';
+            });
+        });
+    }
+
+    // 6. Build Kasbon Repayments Block
+    if (currentReportCreditPayments.length > 0) {
+        csvContent += "\n\nPelunasan Kasbon\n";
+        csvContent += ['ID Pelunasan', 'Tanggal', 'Pelanggan', 'Jumlah', 'Metode Pembayaran', 'Kasir', 'Catatan'].join(',') + '\n';
+        currentReportCreditPayments.forEach(p => {
+            csvContent += [
+                p.id,
+                new Date(p.date).toLocaleString('id-ID'),
+                p.customerName,
+                p.amount,
+                getPaymentMethodLabel(p.method),
+                p.cashierName,
+                p.note
+            ].map(escapeCSV).join(',') + '\n';
+        });
+    }
+
+    // 7. Assemble and Download CSV
+    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.setAttribute("href", url);
+    link.setAttribute("download", `laporan_penjualan_rinci_${dateFrom}_sd_${dateTo}.csv`);
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+}
+window.exportReportToCSV = exportReportToCSV;
+
+// --- REFUNDS ---
+// A refund is its own record linked to the sale; the sale itself is never changed.
+// Refunds share the shape of transactions (items, subtotal, totalDiscount, fees,
+// total), so receipts and reports read them the same way.
+
+async function getTransactionRefunds(transactionId) {
+    const refunds = await getAllFromDB('refunds');
+    return refunds.filter(r => r.transactionId === transactionId);
+}
+
+/**
+ * Builds a refund for the given quantities of a sale. Promotions, the cart discount
+ * and fees are refunded in proportion to the goods returned; the refund that returns the
+ * last items takes whatever is left of them, so a sale never refunds more than it took.
+ * @param {object} transaction
+ * @param {Map<number, number>} quantities - Product id to quantity returned.
+ * @param {object[]} previousRefunds - Earlier refunds of the same sale.
+ */
+function buildRefund(transaction, quantities, previousRefunds) {
+    const items = transaction.items
+        .filter(item => (quantities.get(item.id) || 0) > 0)
+        .map(item => ({
+            id: item.id,
+            name: item.name,
+            quantity: quantities.get(item.id),
+            price: item.price,
+            effectivePrice: item.effectivePrice,
+            discountPercentage: item.discountPercentage,
+            priceOverridden: Boolean(item.priceOverridden)
+        }));
+
+    const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+    const itemsTotal = items.reduce((sum, item) => sum + item.effectivePrice * item.quantity, 0);
+
+    const refundedQuantities = getRefundedQuantities(previousRefunds);
+    const isFinalRefund = transaction.items.every(item =>
+        (refundedQuantities.get(item.id) || 0) + (quantities.get(item.id) || 0) >= item.quantity
+    );
+    const saleItemsTotal = transaction.items.reduce((sum, item) => sum + item.effectivePrice * item.quantity, 0);
+    const share = saleItemsTotal > 0 ? itemsTotal / saleItemsTotal : 0;
+    const refundPart = (saleAmount, alreadyRefunded) => isFinalRefund ? saleAmount - alreadyRefunded : saleAmount * share;
+
+    const promotions = (transaction.promotions || []).map((promotion, index) => {
+        const alreadyRefunded = previousRefunds.reduce((sum, r) => sum + (r.promotions?.[index]?.amount || 0), 0);
+        return { ...promotion, amount: refundPart(promotion.amount, alreadyRefunded) };
+    });
+    const promotionTotal = promotions.reduce((sum, promotion) => sum + promotion.amount, 0);
+
+    let cartDiscount = null;
+    if (transaction.cartDiscount) {
+        const alreadyRefunded = previousRefunds.reduce((sum, r) => sum + (r.cartDiscount?.amount || 0), 0);
+        cartDiscount = { ...transaction.cartDiscount, amount: refundPart(transaction.cartDiscount.amount, alreadyRefunded) };
+    }
+
+    const fees = (transaction.fees || []).map((fee, index) => {
+        const alreadyRefunded = previousRefunds.reduce((sum, r) => sum + (r.fees[index]?.amount || 0), 0);
+        return { ...fee, amount: refundPart(fee.amount, alreadyRefunded) };
+    });
+    // Taxes already inside the prices were refunded with the items
+    const totalFees = fees.filter(fee => !fee.included).reduce((sum, fee) => sum + fee.amount, 0);
+    const cartDiscountAmount = cartDiscount ? cartDiscount.amount : 0;
+    // The sale's cash rounding goes back with the last items, so a full return repays exactly what was paid
+    const rounding = isFinalRefund ? (transaction.rounding || 0) : 0;
+
+    // Points follow the returned goods: earned ones are taken back, redeemed ones returned
+    const refundPoints = (salePoints, field) => {
+        const alreadyRefunded = previousRefunds.reduce((sum, r) => sum + (r[field] || 0), 0);
+        return Math.min(Math.round(refundPart(salePoints, alreadyRefunded)), salePoints - alreadyRefunded);
+    };
+    const pointsTakenBack = refundPoints(transaction.pointsEarned || 0, 'pointsTakenBack');
+    const pointsReturned = refundPoints(transaction.pointsRedeemed || 0, 'pointsReturned');
+
+    return {
+        type: 'refund',
+        transactionId: transaction.id,
+        items,
+        subtotal,
+        totalDiscount: subtotal - itemsTotal + promotionTotal + cartDiscountAmount,
+        promotions,
+        cartDiscount,
+        fees,
+        rounding,
+        total: itemsTotal - promotionTotal - cartDiscountAmount + totalFees + rounding,
+        pointsTakenBack,
+        pointsReturned
+    };
+}
+
+// Product id to quantity already returned
+function getRefundedQuantities(refunds) {
+    const quantities = new Map();
+    refunds.forEach(r => r.items.forEach(item => {
+        quantities.set(item.id, (quantities.get(item.id) || 0) + item.quantity);
+    }));
+    return quantities;
+}
+
+window.showTransactionDetail = async function(transactionId) {
+    try {
+        const transaction = await getFromDB('transactions', transactionId);
+        if (!transaction) {
+            showToast('Transaksi tidak ditemukan.');
+            return;
+        }
+        const refunds = await getTransactionRefunds(transactionId);
+        const refundedQuantities = getRefundedQuantities(refunds);
+        currentDetailTransaction = { transaction, refunds };
+
+        const date = new Date(transaction.date);
+        document.getElementById('transactionDetailInfo').textContent =
+            `No. ${transaction.id} - ${date.toLocaleDateString('id-ID')} ${date.toLocaleTimeString('id-ID')} - ${formatTransactionPayments(transaction)}` +
+            (transaction.cashierName ? ` - Kasir: ${transaction.cashierName}` : '') +
+            (transaction.customerName ? ` - Pelanggan: ${transaction.customerName}` : '');
+
+        document.getElementById('transactionDetailItems').innerHTML = transaction.items.map(item => {
+            const remaining = item.quantity - (refundedQuantities.get(item.id) || 0);
+            return `
+                <div class="flex justify-between items-center bg-gray-50 p-2 rounded-lg text-sm">
+                    <div>
+                        <p class="font-semibold">${item.name}</p>
+                        <p class="text-xs text-gray-500">${item.quantity}x Rp ${formatCurrency(item.effectivePrice)}</p>
+                        ${remaining < item.quantity ? `<p class="text-xs text-red-500">Diretur: ${item.quantity - remaining}</p>` : ''}
+                    </div>
+                    ${remaining > 0 && !transaction.voidedAt
+                        ? `<input type="number" data-refund-item-id="${item.id}" min="0" max="${remaining}" value="0" class="input-field w-16 text-center p-1" oninput="updateRefundSummary()">`
+                        : '<span class="text-xs text-gray-400">Sudah diretur</span>'}
+                </div>
+            `;
+        }).join('');
+
+        const isVoided = Boolean(transaction.voidedAt);
+        const voidInfoEl = document.getElementById('transactionVoidInfo');
+        voidInfoEl.classList.toggle('hidden', !isVoided);
+        if (isVoided) {
+            voidInfoEl.textContent = `VOID ${new Date(transaction.voidedAt).toLocaleString('id-ID')} - ${transaction.voidReason}`;
+        }
+        document.getElementById('voidReason').value = '';
+        document.getElementById('transactionVoidSection').classList.toggle('hidden', isVoided || refunds.length > 0);
+
+        const hasRemaining = !isVoided && transaction.items.some(item => item.quantity > (refundedQuantities.get(item.id) || 0));
+        document.getElementById('transactionRefundForm').classList.toggle('hidden', !hasRemaining);
+        document.getElementById('refundSubmitButton').classList.toggle('hidden', !hasRemaining);
+
+        // Pay back with the method the customer paid with, if there was only one
+        const paidMethods = [...new Set(getTransactionPayments(transaction).map(p => p.method))];
+        const methodSelect = document.getElementById('refundMethod');
+        // Taking a return off the kasbon only makes sense if the sale was put on it
+        methodSelect.innerHTML = Object.entries(PAYMENT_METHODS)
+            .filter(([method]) => method !== 'credit' || paidMethods.includes('credit'))
+            .map(([method, { label }]) => `<option value="${method}">${label}</option>`).join('');
+        methodSelect.value = paidMethods.length === 1 ? paidMethods[0] : 'cash';
+        document.getElementById('refundReason').value = '';
+        document.getElementById('refundRestock').checked = true;
+
+        document.getElementById('transactionRefundHistory').innerHTML = refunds.map(r => `
+            <div class="flex justify-between items-center bg-red-50 p-2 rounded-lg text-sm">
+                <div>
+                    <p class="font-semibold">Retur #${r.id} - Rp ${formatCurrency(r.total)}</p>
+                    <p class="text-xs text-gray-500">${new Date(r.date).toLocaleString('id-ID')} - ${getPaymentMethodLabel(r.method)}${r.reason ? ` - ${r.reason}` : ''}</p>
+                </div>
+                <button onclick="showRefundSlip(${r.id})" class="text-gray-600 clickable"><i class="fas fa-print"></i></button>
+            </div>
+        `).join('');
+
+        updateRefundSummary();
+        document.getElementById('transactionDetailModal').classList.remove('hidden');
+    } catch (error) {
+        console.error('Failed to load transaction detail:', error);
+        showToast('Gagal memuat detail transaksi.');
+    }
+}
+
+window.closeTransactionDetailModal = function() {
+    document.getElementById('transactionDetailModal').classList.add('hidden');
+    currentDetailTransaction = null;
+}
+
+// Reads the quantities entered in the detail view, clamped to what can still be returned
+function readRefundQuantities() {
+    const quantities = new Map();
+    document.querySelectorAll('#transactionDetailItems [data-refund-item-id]').forEach(input => {
+        const quantity = Math.min(Math.max(parseInt(input.value, 10) || 0, 0), parseInt(input.max, 10));
+        if (quantity > 0) quantities.set(parseInt(input.dataset.refundItemId, 10), quantity);
+    });
+    return quantities;
+}
+
+function updateRefundSummary() {
+    if (!currentDetailTransaction) return;
+    const { transaction, refunds } = currentDetailTransaction;
+    const quantities = readRefundQuantities();
+    const refund = buildRefund(transaction, quantities, refunds);
+
+    document.getElementById('refundTotal').textContent = `Rp ${formatCurrency(refund.total)}`;
+    document.getElementById('refundSubmitButton').disabled = quantities.size === 0;
+}
+window.updateRefundSummary = updateRefundSummary;
+
+window.fillFullRefund = function() {
+    document.querySelectorAll('#transactionDetailItems [data-refund-item-id]').forEach(input => {
+        input.value = input.max;
+    });
+    updateRefundSummary();
+}
+
+window.processRefund = async function() {
+    if (!currentDetailTransaction) return;
+    const { transaction, refunds } = currentDetailTransaction;
+    const quantities = readRefundQuantities();
+    if (quantities.size === 0) {
+        showToast('Masukkan jumlah barang yang diretur.');
+        return;
+    }
+
+    const refund = {
+        ...buildRefund(transaction, quantities, refunds),
+        method: document.getElementById('refundMethod').value,
+        reason: document.getElementById('refundReason').value.trim(),
+        restocked: document.getElementById('refundRestock').checked,
+        // Cash refunds come out of the drawer of the shift that is open now
+        shiftId: currentShift ? currentShift.id : null,
+        ...getCashierStamp(),
+        date: new Date().toISOString()
+    };
+
+    // Kasbon that was already repaid cannot be cancelled; that money goes back another way
+    if (refund.method === 'credit') {
+        const receivable = (await loadReceivables()).get(transaction.customerId);
+        const sale = receivable ? receivable.sales.find(s => s.transaction.id === transaction.id) : null;
+        const remaining = sale ? sale.remaining : 0;
+        if (Math.round(refund.total) > Math.round(remaining)) {
+            showToast(`Sisa kasbon transaksi ini hanya Rp ${formatCurrency(remaining)}. Kembalikan retur lewat metode lain.`);
+            return;
+        }
+    }
+
+    showConfirmationModal(
+        'Proses Retur',
+        refund.method === 'credit'
+            ? `Kurangi kasbon pelanggan sebesar <b>Rp ${formatCurrency(refund.total)}</b>?`
+            : `Kembalikan <b>Rp ${formatCurrency(refund.total)}</b> (${getPaymentMethodLabel(refund.method)}) kepada pelanggan?`,
+        // Money leaves the drawer or the customer's tab, so a supervisor approves it like a void
+        () => requestManagerPin('PIN Supervisor', async () => {
+            try {
+                const refundId = await putToDB('refunds', refund);
+                await queueSyncAction('CREATE_REFUND', { ...refund, id: refundId });
+                await applyPointsReversal(transaction.customerId, refund.pointsReturned - refund.pointsTakenBack, 'refund', transaction.id);
+
+                if (refund.restocked) {
+                    for (const item of refund.items) {
+                        const product = await getFromDB('products', item.id);
+                        if (product) {
+                            product.stock += item.quantity;
+                            product.updatedAt = new Date().toISOString();
+                            await putToDB('products', product);
+                            await queueStockAdjustment(product, item.quantity, 'refund', transaction.id);
+                        }
+                    }
+                }
+
+                closeTransactionDetailModal();
+                showToast('Retur berhasil diproses.');
+                if (document.getElementById('reportSummary').style.display !== 'none') {
+                    await generateReport();
+                }
+                await showRefundSlip(refundId);
+            } catch (error) {
+                console.error('Refund failed:', error);
+                showToast('Gagal memproses retur.');
+            }
+        }),
+        'Ya, Proses',
+        'bg-red-500'
+    );
+}
+
+// Shows a refund slip in the receipt modal, where it can be printed like a receipt
+window.showRefundSlip = async function(refundId) {
+    const refund = await getFromDB('refunds', refundId);
+    if (!refund) return;
+
+    currentReceiptTransaction = refund;
+    await generateReceiptContent(refund);
+    document.getElementById('receiptModal').classList.remove('hidden');
+
+    const actionButton = document.getElementById('receiptActionButton');
+    actionButton.textContent = 'Tutup';
+    actionButton.onclick = () => {
+        document.getElementById('receiptModal').classList.add('hidden');
+        currentReceiptTransaction = null;
+    };
+}
+
+// --- VOID ---
+// A voided sale stays in the transactions store, marked with voidedAt and
+// voidReason, so it remains visible in reports without counting in any total.
+
+window.voidCurrentTransaction = function() {
+    if (!currentDetailTransaction) return;
+    const { transaction, refunds } = currentDetailTransaction;
+    const reason = document.getElementById('voidReason').value.trim();
+
+    if (refunds.length > 0) {
+        showToast('Transaksi yang sudah diretur tidak dapat di-void.');
+        return;
+    }
+    if (!reason) {
+        showToast('Alasan void wajib diisi.');
+        return;
+    }
+
+    requestManagerPin('PIN Supervisor', () => voidTransaction(transaction.id, reason));
+}
+
+async function voidTransaction(transactionId, reason) {
+    try {
+        const transaction = await getFromDB('transactions', transactionId);
+        if (!transaction || transaction.voidedAt) return;
+
+        transaction.voidedAt = new Date().toISOString();
+        transaction.voidReason = reason;
+        // The cash goes back out of the drawer of the shift that is open now
+        transaction.voidShiftId = currentShift ? currentShift.id : null;
+        await putToDB('transactions', transaction);
+        await queueSyncAction('VOID_TRANSACTION', {
+            id: transaction.id,
+            serverId: transaction.serverId,
+            voidedAt: transaction.voidedAt,
+            voidReason: reason
+        });
+
+        // Put the goods back, as if the sale never happened
+        for (const item of transaction.items) {
+            const product = await getFromDB('products', item.id);
+            if (product) {
+                product.stock += item.quantity;
+                product.updatedAt = new Date().toISOString();
+                await putToDB('products', product);
+                await queueStockAdjustment(product, item.quantity, 'void', transaction.id);
+            }
+        }
+
+        // Take back the points earned and return the points used
+        const pointsDelta = (transaction.pointsRedeemed || 0) - (transaction.pointsEarned || 0);
+        await applyPointsReversal(transaction.customerId, pointsDelta, 'void', transaction.id);
+
+        closeTransactionDetailModal();
+        showToast('Transaksi berhasil di-void.');
+        if (document.getElementById('reportSummary').style.display !== 'none') {
+            await generateReport();
+        }
+        loadDashboard();
+    } catch (error) {
+        console.error('Void failed:', error);
+        showToast('Gagal melakukan void transaksi.');
+    }
+}
+
+// --- RECEIPT TEMPLATE ---
+// Receipts are laid out once, by a template: an ordered list of blocks the store can
+// switch off, reorder and adjust under Pengaturan → Desain Struk. buildReceiptRows
+// turns a sale or refund into rows that do not depend on the output, and both the
+// HTML receipt (screen, browser print, shared image) and the ESC/POS printer draw them.
+//
+// A row is one of:
+//   {type: 'logo', src}
+//   {type: 'text', text, align?, bold?, large?, indent?, struck?} - struck is shown crossed out after text
+//   {type: 'pair', label, value, bold?, indent?} - label on the left, value on the right
+//   {type: 'divider', char}
+//   {type: 'qr', data} / {type: 'barcode', data}
+
+// Each block's name in the designer, the divider printed above it and its options.
+// Options are checkboxes, unless they have a `type` of 'text', 'textarea' or 'select'.
+const RECEIPT_BLOCKS = {
+    header: {
+        label: 'Kepala Struk',
+        divider: null,
+        options: [
+            { key: 'showLogo', label: 'Logo (tidak dicetak printer Bluetooth)' },
+            { key: 'showAddress', label: 'Alamat' },
+            { key: 'showPhone', label: 'Telepon kritik & saran' },
+            { key: 'extraText', label: 'Teks tambahan, mis. NPWP', type: 'textarea' }
+        ]
+    },
+    info: {
+        label: 'Info Transaksi',
+        divider: '=',
+        options: [
+            { key: 'showCashier', label: 'Nama kasir' },
+            { key: 'showCustomer', label: 'Nama pelanggan' }
+        ]
+    },
+    items: {
+        label: 'Daftar Barang',
+        divider: '-',
+        options: [
+            { key: 'showItemDiscounts', label: 'Diskon & harga khusus per barang' }
+        ]
+    },
+    totals: {
+        label: 'Total & Pembayaran',
+        divider: '-',
+        options: [
+            { key: 'showReferences', label: 'No. referensi pembayaran' },
+            { key: 'showQris', label: 'Kode QRIS yang dibayar' }
+        ]
+    },
+    points: {
+        label: 'Poin Pelanggan',
+        divider: '-',
+        options: []
+    },
+    promo: {
+        label: 'Pesan Promo',
+        divider: '-',
+        options: [
+            { key: 'text', label: 'Contoh: Diskon 10% untuk kunjungan berikutnya!', type: 'textarea' }
+        ]
+    },
+    code: {
+        label: 'QR / Barcode',
+        divider: '-',
+        options: [
+            { key: 'format', type: 'select', choices: { qr: 'Kode QR', barcode: 'Barcode' } },
+            { key: 'content', type: 'select', choices: { transaction: 'Nomor transaksi', custom: 'Teks atau tautan sendiri' } },
+            { key: 'text', label: 'Contoh: https://instagram.com/tokoanda', type: 'text' }
+        ]
+    },
+    footer: {
+        label: 'Catatan Kaki',
+        divider: '=',
+        options: []
+    }
+};
+
+// Matches the receipt as it was before templates existed
+const DEFAULT_RECEIPT_TEMPLATE = [
+    { type: 'header', enabled: true, showLogo: true, showAddress: true, showPhone: true, extraText: '' },
+    { type: 'info', enabled: true, showCashier: true, showCustomer: true },
+    { type: 'items', enabled: true, showItemDiscounts: true },
+    { type: 'totals', enabled: true, showReferences: true, showQris: true },
+    { type: 'points', enabled: true },
+    { type: 'promo', enabled: false, text: '' },
+    { type: 'code', enabled: false, format: 'qr', content: 'transaction', text: '' },
+    { type: 'footer', enabled: true }
+];
+
+/**
+ * Fills a saved template up to the current set of blocks: unknown blocks are
+ * dropped, missing blocks and options get their defaults.
+ * @param {object[]|null|undefined} saved - The 'receiptTemplate' setting.
+ */
+function normalizeReceiptTemplate(saved) {
+    const blocks = Array.isArray(saved) ? saved.filter(block => RECEIPT_BLOCKS[block.type]) : [];
+    DEFAULT_RECEIPT_TEMPLATE.forEach(defaults => {
+        if (!blocks.some(block => block.type === defaults.type)) blocks.push(defaults);
+    });
+    return blocks.map(block => ({ ...DEFAULT_RECEIPT_TEMPLATE.find(d => d.type === block.type), ...block }));
+}
+
+// Store details shown on receipts, from the settings
+function getReceiptStore(settingsMap) {
+    return {
+        name: settingsMap.get('storeName') || 'Toko Anda',
+        address: settingsMap.get('storeAddress') || '',
+        feedbackPhone: settingsMap.get('storeFeedbackPhone') || '',
+        footerText: settingsMap.get('storeFooterText') || 'Terima kasih telah berbelanja!',
+        logoData: settingsMap.get('storeLogo') || null
+    };
+}
+
+const toCenteredTextRows = (text) => text.split('\n').filter(line => line.trim()).map(line => ({ type: 'text', text: line, align: 'center' }));
+
+// The rows of one block for a sale or refund; an empty list leaves the block out
+function buildReceiptBlockRows(block, data, store, isPreview) {
+    const isRefund = data.type === 'refund';
+    const rows = [];
+
+    if (block.type === 'header') {
+        if (block.showLogo && store.logoData) rows.push({ type: 'logo', src: store.logoData });
+        rows.push({ type: 'text', text: store.name, align: 'center', bold: true, large: true });
+        if (block.showAddress && store.address) rows.push(...toCenteredTextRows(store.address));
+        if (block.showPhone && store.feedbackPhone) rows.push({ type: 'text', text: `Telp: ${store.feedbackPhone}`, align: 'center' });
+        if (block.extraText) rows.push(...toCenteredTextRows(block.extraText));
+    } else if (block.type === 'info') {
+        if (isRefund) rows.push({ type: 'text', text: 'STRUK RETUR', align: 'center', bold: true });
+        rows.push({ type: 'pair', label: 'No:', value: isPreview ? 'PREVIEW' : String(data.id) });
+        if (isRefund) rows.push({ type: 'pair', label: 'No. Transaksi:', value: String(data.transactionId) });
+        rows.push({ type: 'pair', label: 'Tgl:', value: new Date(isPreview ? Date.now() : data.date).toLocaleString('id-ID') });
+        if (block.showCashier && data.cashierName) rows.push({ type: 'pair', label: 'Kasir:', value: data.cashierName });
+        if (block.showCustomer && data.customerName) rows.push({ type: 'pair', label: 'Pelanggan:', value: data.customerName });
+    } else if (block.type === 'items') {
+        data.items.forEach(item => {
+            rows.push({ type: 'text', text: item.name });
+            if (block.showItemDiscounts && item.priceOverridden) {
+                rows.push({ type: 'text', text: 'Harga khusus @', struck: `Rp ${formatCurrency(item.price)}`, indent: true });
+            } else if (block.showItemDiscounts && item.discountPercentage > 0) {
+                rows.push({ type: 'text', text: `Disc ${item.discountPercentage}% @`, struck: `Rp ${formatCurrency(item.price)}`, indent: true });
+            }
+            rows.push({ type: 'pair', label: `${item.quantity} x ${formatCurrency(item.effectivePrice)}`, value: `Rp ${formatCurrency(item.effectivePrice * item.quantity)}`, indent: true });
+        });
+    } else if (block.type === 'totals') {
+        // Subtotal of the item lines; promotions and the cart discount are listed under it
+        const promotions = data.promotions || [];
+        const promotionTotal = promotions.reduce((sum, promotion) => sum + promotion.amount, 0);
+        const cartDiscountAmount = data.cartDiscount ? data.cartDiscount.amount : 0;
+        const subtotal = data.subtotal - (data.totalDiscount || 0) + promotionTotal + cartDiscountAmount;
+        rows.push({ type: 'pair', label: 'Subtotal', value: `Rp ${formatCurrency(subtotal)}` });
+        promotions.forEach(promotion => {
+            rows.push({ type: 'pair', label: `Promo: ${promotion.name}`, value: `- Rp ${formatCurrency(promotion.amount)}` });
+        });
+        if (data.cartDiscount) rows.push({ type: 'pair', label: data.cartDiscount.name, value: `- Rp ${formatCurrency(cartDiscountAmount)}` });
+        (data.fees || []).forEach(fee => rows.push({ type: 'pair', label: getFeeLabel(fee), value: `Rp ${formatCurrency(fee.amount)}` }));
+        if (data.rounding) rows.push({ type: 'pair', label: 'Pembulatan', value: formatSignedCurrency(data.rounding) });
+
+        rows.push({ type: 'divider', char: '-' });
+        rows.push({ type: 'pair', label: isRefund ? 'TOTAL RETUR' : 'TOTAL', value: `Rp ${formatCurrency(data.total)}`, bold: true });
+        if (isRefund) {
+            // A refund has no tenders, only the method the money went back with
+            rows.push({ type: 'pair', label: 'Dikembalikan via', value: getPaymentMethodLabel(data.method) });
+            if (data.reason) rows.push({ type: 'text', text: `Alasan: ${data.reason}`, indent: true });
+        } else if (!isPreview) {
+            const payments = getTransactionPayments(data);
+            payments.forEach(payment => {
+                rows.push({ type: 'pair', label: getPaymentMethodLabel(payment.method).toUpperCase(), value: `Rp ${formatCurrency(payment.amount)}`, bold: true });
+                if (block.showReferences && payment.reference) rows.push({ type: 'text', text: `Ref: ${payment.reference}`, indent: true });
+            });
+            if (payments.some(p => p.method === 'cash')) {
+                rows.push({ type: 'pair', label: 'KEMBALI', value: `Rp ${formatCurrency(data.change)}`, bold: true });
+            }
+            // The QRIS that was paid, so the payment can be traced on the receipt
+            if (block.showQris) payments.filter(p => p.qrisPayload).forEach(payment => rows.push({ type: 'qr', data: payment.qrisPayload }));
+        }
+    } else if (block.type === 'points') {
+        if (!isRefund && !isPreview && data.customerId && data.pointsBalance !== null && data.pointsBalance !== undefined) {
+            if (data.pointsRedeemed) rows.push({ type: 'pair', label: 'Poin ditukar', value: `-${data.pointsRedeemed}` });
+            rows.push({ type: 'pair', label: 'Poin didapat', value: `+${data.pointsEarned || 0}` });
+            rows.push({ type: 'pair', label: 'Saldo poin', value: String(data.pointsBalance), bold: true });
+        }
+    } else if (block.type === 'promo') {
+        if (block.text) rows.push(...toCenteredTextRows(block.text));
+    } else if (block.type === 'code') {
+        // A refund's own number is never looked up, so it gets no transaction code
+        const content = block.content === 'custom' ? block.text.trim() : (isRefund ? '' : (isPreview ? 'PREVIEW' : String(data.id)));
+        if (content) rows.push({ type: block.format === 'barcode' ? 'barcode' : 'qr', data: content });
+    } else if (block.type === 'footer') {
+        if (store.footerText) rows.push(...toCenteredTextRows(store.footerText));
+    }
+    return rows;
+}
+
+/**
+ * Lays out a sale or refund by a receipt template.
+ * @param {object[]} template - Normalized template blocks.
+ * @param {object} data - The transaction, refund or cart preview data.
+ * @param {object} store - From getReceiptStore.
+ * @param {boolean} isPreview - The cart preview has no number, date or payments yet.
+ * @returns {object[]} Rows as described at the top of this section.
+ */
+function buildReceiptRows(template, data, store, isPreview) {
+    const rows = [];
+    template.filter(block => block.enabled).forEach(block => {
+        const blockRows = buildReceiptBlockRows(block, data, store, isPreview);
+        if (blockRows.length === 0) return;
+        const { divider } = RECEIPT_BLOCKS[block.type];
+        if (rows.length > 0 && divider) rows.push({ type: 'divider', char: divider });
+        rows.push(...blockRows);
+    });
+    return rows;
+}
+
+// --- RECEIPT PRINTING ---
+const receiptLine = (char, paperWidthChars) => char.repeat(paperWidthChars);
+
+const escapeHtml = (unsafe) => {
+    if (typeof unsafe !== 'string') return unsafe;
+    return unsafe
+         .replace(/&/g, "&amp;")
+         .replace(/</g, "&lt;")
+         .replace(/>/g, "&gt;")
+         .replace(/"/g, "&quot;")
+         .replace(/'/g, "&#039;");
+};
+
+// QR and barcode rows are drawn on a canvas and shown as images, so they also work
+// in the printed page and the shared receipt image. Null if the library is not loaded yet.
+function createReceiptCodeImage(row) {
+    if (row.type === 'qr') {
+        if (typeof QRCode === 'undefined') return null;
+        const holder = document.createElement('div');
+        new QRCode(holder, { text: row.data, width: 128, height: 128, correctLevel: QRCode.CorrectLevel.M });
+        const canvas = holder.querySelector('canvas');
+        return canvas ? canvas.toDataURL('image/png') : null;
+    }
+    if (typeof JsBarcode === 'undefined') return null;
+    const canvas = document.createElement('canvas');
+    JsBarcode(canvas, row.data, { format: 'CODE128', width: 2, height: 50, fontSize: 14, margin: 0 });
+    return canvas.toDataURL('image/png');
+}
+
+/**
+ * Generates receipt HTML for both the cart preview and saved sales and refunds.
+ * It handles paper widths, text centering, alignment and word wrapping using CSS.
+ * @param {object} data - The transaction or cart data.
+ * @param {boolean} isPreview - Flag to determine if it's a preview.
+ * @param {object[]} [template] - Template to use instead of the saved one, e.g. while designing.
+ * @returns {Promise<string>} A promise that resolves with the generated HTML string.
+ */
+async function _generateReceiptHTML(data, isPreview, template = null) {
+    const settings = await getAllFromDB('settings');
+    const settingsMap = new Map(settings.map(s => [s.key, s.value]));
+    const paperSize = settingsMap.get('printerPaperSize') || '80mm';
+    const rows = buildReceiptRows(template || normalizeReceiptTemplate(settingsMap.get('receiptTemplate')), data, getReceiptStore(settingsMap), isPreview);
+
+    // Use pixel widths for better consistency in HTML/CSS rendering
+    const containerWidth = paperSize === '58mm' ? '210px' : '290px';
+    const paperWidthChars = paperSize === '58mm' ? 32 : 42;
+
+    let html = `
+      <style>
+        .receipt-container-wrapper {
+          width: ${containerWidth};
+          font-size: 10pt;
+          font-family: 'Courier New', Courier, monospace;
+          color: black;
+          margin: 0 auto;
+          padding: 5px;
+        }
+        .receipt-line {
+          width: 100%;
+          line-height: 1.4;
+          word-break: break-word; /* Ensure long text wraps */
+        }
+        .text-center { text-align: center; }
+        .text-right { text-align: right; }
+        .flex-between { display: flex; justify-content: space-between; gap: 8px; }
+        .divider {
+          letter-spacing: -1px;
+          overflow: hidden;
+          text-align: center;
+          margin: 4px 0;
+        }
+        .logo-container img {
+           max-width: 150px; 
+           max-height: 80px; 
+           display: block; /* Use block for margin auto to work */
+           margin: 0 auto 8px auto;
+           object-fit: contain;
+        }
+        .code-container img {
+           display: block;
+           max-width: 100%;
+           margin: 6px auto;
+        }
+        .bold { font-weight: bold; }
+        .large { font-size: 12pt; }
+        .item-details-line {
+            font-size: 9pt;
+            padding-left: 10px; /* Indent details */
+        }
+      </style>
+      <div class="receipt-container-wrapper">
+    `;
+
+    rows.forEach(row => {
+        const classes = ['receipt-line'];
+        if (row.align === 'center') classes.push('text-center');
+        if (row.bold) classes.push('bold');
+        if (row.large) classes.push('large');
+        if (row.indent) classes.push('item-details-line');
+
+        if (row.type === 'logo') {
+            html += `<div class="receipt-line logo-container"><img src="${row.src}" alt="Logo"></div>`;
+        } else if (row.type === 'divider') {
+            html += `<div class="divider">${receiptLine(row.char, paperWidthChars)}</div>`;
+        } else if (row.type === 'pair') {
+            html += `<div class="${classes.join(' ')} flex-between"><span>${escapeHtml(row.label)}</span><span>${escapeHtml(row.value)}</span></div>`;
+        } else if (row.type === 'qr' || row.type === 'barcode') {
+            try {
+                const src = createReceiptCodeImage(row);
+                if (src) html += `<div class="receipt-line code-container"><img src="${src}" alt="${row.type === 'qr' ? 'QR' : 'Barcode'}"></div>`;
+            } catch (error) {
+                // e.g. characters a barcode cannot hold; the receipt is still usable without it
+                console.error('Failed to draw receipt code:', error);
+            }
+        } else {
+            const struck = row.struck ? ` <s>${escapeHtml(row.struck)}</s>` : '';
+            html += `<div class="${classes.join(' ')}">${escapeHtml(row.text)}${struck}</div>`;
+        }
+    });
+
+    html += `</div>`; // close wrapper
+    
+    return html;
+}
+
+
+async function generateReceiptContent(transaction) {
+    const receiptContentEl = document.getElementById('receiptContent');
+    receiptContentEl.innerHTML = await _generateReceiptHTML(transaction, false);
+    prepareReceiptShare(transaction);
+}
+
+
+window.printReceipt = async function(isAutoPrint = false) {
+    if (isPrinterReady && bluetoothDevice && bluetoothCharacteristic) {
+        await printViaBluetooth();
+    } else {
+        if (!isAutoPrint) {
+            const printStyle = `
+                #receiptContent { 
+                    font-family: 'Courier New', monospace; 
+                    color: black; 
+                    font-size: 10pt;
+                    width: 300px;
+                }
+                #receiptLogoContainer img { display: block; margin: 0 auto; }
+            `;
+            document.getElementById('print-style-overrides').innerHTML = printStyle;
+            window.print();
+        } else {
+            console.warn("Auto-print skipped: Bluetooth printer not connected.");
+        }
+    }
+}
+
+
+// --- DIGITAL RECEIPTS ---
+// "Kirim Struk" shares the receipt as a PNG through the Web Share API, e.g. straight
+// into WhatsApp on a phone. Where files cannot be shared, a wa.me link opens a chat
+// with the receipt as text, addressed to the customer if the sale has one.
+// Browsers only open a share sheet or a new tab straight from a tap, so both are
+// built while the receipt is on screen and the tap itself awaits nothing.
+
+/**
+ * Draws the receipt HTML onto a canvas. The markup is placed in an SVG
+ * foreignObject, which the browser renders like a page; the logo is a data URL,
+ * so nothing has to be fetched.
+ * @returns {Promise<Blob>} The receipt as a PNG.
+ */
+async function renderReceiptImage(data) {
+    const scale = 2; // Sharp on high-density screens
+    const container = document.createElement('div');
+    container.style.cssText = 'position: fixed; left: -10000px; top: 0; background: white; color: black; display: inline-block;';
+    container.innerHTML = await _generateReceiptHTML(data, false);
+    document.body.appendChild(container);
+    const { width, height } = container.getBoundingClientRect();
+    container.style.position = 'static'; // Only off-screen while being measured
+    // Serialized as XHTML, which foreignObject requires (e.g. <img/> instead of <img>)
+    const markup = new XMLSerializer().serializeToString(container);
+    document.body.removeChild(container);
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${Math.ceil(width)}" height="${Math.ceil(height)}">` +
+        `<foreignObject width="100%" height="100%">${markup}</foreignObject></svg>`;
+    const image = new Image();
+    await new Promise((resolve, reject) => {
+        image.onload = resolve;
+        image.onerror = () => reject(new Error('Receipt image could not be rendered'));
+        image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+    });
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(width) * scale;
+    canvas.height = Math.ceil(height) * scale;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.scale(scale, scale);
+    ctx.drawImage(image, 0, 0);
+
+    // Some browsers refuse to export a canvas that had a foreignObject drawn on it
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Receipt image could not be exported')), 'image/png');
+    });
+}
+
+/**
+ * A plain-text receipt for chat apps, laid out by the receipt template, with
+ * WhatsApp's *bold* markers. Codes and the logo cannot be sent as text.
+ */
+async function getReceiptText(data) {
+    const settings = await getAllFromDB('settings');
+    const settingsMap = new Map(settings.map(s => [s.key, s.value]));
+    const rows = buildReceiptRows(normalizeReceiptTemplate(settingsMap.get('receiptTemplate')), data, getReceiptStore(settingsMap), false);
+
+    const lines = [];
+    rows.forEach(row => {
+        if (row.type === 'divider') {
+            lines.push('');
+        } else if (row.type === 'pair' || row.type === 'text') {
+            const text = row.type === 'pair' ? `${row.label} ${row.value}` : `${row.text}${row.struck ? ` ${row.struck}` : ''}`;
+            lines.push(`${row.indent ? '  ' : ''}${row.bold ? `*${text}*` : text}`);
+        }
+    });
+    return lines.join('\n');
+}
+
+/**
+ * Turns a local phone number into the international form wa.me expects,
+ * e.g. "0812-3456-789" -> "628123456789". Numbers are assumed to be Indonesian.
+ */
+function toWhatsAppNumber(phone) {
+    const digits = normalizePhone(phone || '');
+    if (digits.startsWith('0')) return `62${digits.slice(1)}`;
+    if (digits.startsWith('8')) return `62${digits}`;
+    return digits;
+}
+
+async function getWhatsAppReceiptUrl(data) {
+    const customer = data.customerId ? await getFromDB('customers', data.customerId) : null;
+    const text = await getReceiptText(data);
+    // Without a number WhatsApp asks who to send it to
+    const number = customer ? toWhatsAppNumber(customer.phone) : '';
+    return `https://wa.me/${number}?text=${encodeURIComponent(text)}`;
+}
+
+/** Builds the PNG and the WhatsApp link for the receipt that was just opened. */
+async function prepareReceiptShare(data) {
+    preparedReceiptShare = null;
+    const prepared = { data, file: null, url: null };
+
+    if (navigator.canShare) {
+        try {
+            const blob = await renderReceiptImage(data);
+            const file = new File([blob], `struk-${data.type === 'refund' ? 'retur-' : ''}${data.id}.png`, { type: 'image/png' });
+            if (navigator.canShare({ files: [file] })) prepared.file = file;
+        } catch (error) {
+            console.error('Failed to render receipt image:', error);
+        }
+    }
+    try {
+        prepared.url = await getWhatsAppReceiptUrl(data);
+    } catch (error) {
+        console.error('Failed to build WhatsApp receipt:', error);
+    }
+
+    // Another receipt may have been opened meanwhile
+    if (currentReceiptTransaction === data) preparedReceiptShare = prepared;
+}
+
+window.shareReceipt = function() {
+    const prepared = preparedReceiptShare;
+    if (!prepared || prepared.data !== currentReceiptTransaction) {
+        showToast('Struk sedang disiapkan. Coba lagi sebentar.');
+        return;
+    }
+
+    if (prepared.file) {
+        navigator.share({ files: [prepared.file], title: `Struk No. ${prepared.data.id}` }).catch(error => {
+            if (error.name === 'AbortError') return; // The share sheet was closed
+            console.error('Failed to share receipt image:', error);
+            showToast('Gagal mengirim struk.');
+        });
+    } else if (prepared.url) {
+        window.open(prepared.url, '_blank');
+    } else {
+        showToast('Gagal mengirim struk.');
+    }
+}
+
+
+// --- BARCODE/LABEL GENERATOR ---
+document.getElementById('generateBarcodeLabelBtn')?.addEventListener('click', () => {
+    const code = document.getElementById('barcode-code').value.trim();
+    const productName = document.getElementById('product-name').value.trim();
+    const productPrice = document.getElementById('product-price').value;
+
+    if (!code) {
+        showToast('Teks/Angka untuk Barcode wajib diisi.');
+        return;
+    }
+
+    const outputContainer = document.getElementById('barcodeLabelOutput');
+    const nameEl = document.getElementById('output-product-name');
+    const priceEl = document.getElementById('output-product-price');
+    const textEl = document.getElementById('output-barcode-text');
+    const downloadButtons = document.getElementById('download-buttons');
+
+    nameEl.textContent = productName || '';
+    priceEl.textContent = productPrice ? `Rp ${formatCurrency(parseFloat(productPrice))}` : '';
+    textEl.textContent = code;
+
+    try {
+        JsBarcode("#barcode", code, {
+            format: "CODE128",
+            lineColor: "#000",
+            width: 2,
+            height: 50,
+            displayValue: false // The value is displayed manually below
+        });
+        outputContainer.classList.remove('hidden');
+        downloadButtons.classList.remove('hidden');
+    } catch (e) {
+        showToast('Gagal membuat barcode. Coba kode yang berbeda.');
+        outputContainer.classList.add('hidden');
+        downloadButtons.classList.add('hidden');
+        console.error("Barcode generation error:", e);
+    }
+});
+
+document.getElementById('downloadPngBtn')?.addEventListener('click', () => {
+    const productName = document.getElementById('product-name').value.trim() || 'label';
+    const code = document.getElementById('barcode-code').value.trim();
+
+    // Create a canvas
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+
+    // Get SVG element and its XML
+    const svgElement = document.getElementById('barcode');
+    const svgXML = new XMLSerializer().serializeToString(svgElement);
+    const svgSize = svgElement.getBoundingClientRect();
+
+    // Define label dimensions, padding and spacing
+    const padding = 20;
+    const spacing = 4; // Consistent 4px spacing between elements
+    
+    const elementsToDraw = [
+        { el: document.getElementById('output-product-name'), isSvg: false },
+        { el: document.getElementById('output-product-price'), isSvg: false },
+        { el: svgElement, isSvg: true },
+        { el: document.getElementById('output-barcode-text'), isSvg: false },
+    ];
+
+    let totalHeight = padding * 2;
+    let maxWidth = svgSize.width;
+
+    // Pre-calculate metrics for all elements
+    const elementMetrics = elementsToDraw.map(({ el, isSvg }) => {
+        if (isSvg) {
+            return { height: svgSize.height, width: svgSize.width };
+        }
+        if (!el.textContent) {
+            return { height: 0, width: 0 };
+        }
+        const style = window.getComputedStyle(el);
+        ctx.font = `${style.fontWeight} ${style.fontSize} ${style.fontFamily}`;
+        const metrics = ctx.measureText(el.textContent);
+        const height = parseInt(style.fontSize, 10) * 1.2; // Approximate line height
+        if (metrics.width > maxWidth) maxWidth = metrics.width;
+        return { height, width: metrics.width };
+    });
+
+    // Calculate total height with consistent spacing
+    elementMetrics.forEach((m, i) => {
+        if (m.height > 0) {
+            totalHeight += m.height;
+            if (i < elementMetrics.length - 1) {
+                 // Check if next element also has height before adding spacer
+                 const nextMetric = elementMetrics[i+1];
+                 if (nextMetric && nextMetric.height > 0) {
+                    totalHeight += spacing;
+                 }
+            }
+        }
+    });
+
+    // Set canvas size
+    canvas.width = maxWidth + padding * 2;
+    canvas.height = totalHeight;
+
+    // Fill background
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    // Create an image from SVG to draw on canvas
+    const svgImage = new Image();
+    svgImage.src = 'data:image/svg+xml;base64,' + btoa(unescape(encodeURIComponent(svgXML)));
+
+    svgImage.onload = () => {
+        let currentY = padding;
+
+        elementsToDraw.forEach(({ el, isSvg }, i) => {
+            const metrics = elementMetrics[i];
+            if (metrics.height === 0) return;
+
+            if (isSvg) {
+                ctx.drawImage(svgImage, (canvas.width - svgSize.width) / 2, currentY);
+            } else {
+                const style = window.getComputedStyle(el);
+                ctx.font = `${style.fontWeight} ${style.fontSize} ${style.fontFamily}`;
+                ctx.fillStyle = 'black';
+                ctx.textAlign = 'center';
+                // Adjust Y position for text baseline
+                ctx.fillText(el.textContent, canvas.width / 2, currentY + parseInt(style.fontSize, 10));
+            }
+            
+            currentY += metrics.height;
+            // Add spacing if it's not the last element and the next element has content
+            if (i < elementMetrics.length - 1 && elementMetrics[i+1].height > 0) {
+                currentY += spacing;
+            }
+        });
+
+        // Create download link
+        const link = document.createElement('a');
+        link.download = `${productName.replace(/ /g, '_')}-${code}.png`;
+        link.href = canvas.toDataURL('image/png');
+        link.click();
+        showToast('Label PNG berhasil diunduh.');
+    };
+     svgImage.onerror = () => {
+        showToast('Gagal memproses gambar barcode.');
+    };
+});
+
+document.getElementById('printLabelBtn')?.addEventListener('click', () => {
+    const labelContent = document.getElementById('labelContent').innerHTML;
+    const printWindow = window.open('', '_blank');
+    printWindow.document.write(`
+        <html>
+            <head>
+                <title>Cetak Label</title>
+                <style>
+                    body { margin: 0; font-family: sans-serif; text-align: center; }
+                    #labelContent { display: inline-block; padding: 10px; border: 1px solid #ccc; }
+                    p { margin: 0; } /* Remove default paragraph margins for printing */
+                    #labelContent div { margin-top: 4px; margin-bottom: 4px; } /* Mimic my-1 */
+                    @media print {
+                        body { -webkit-print-color-adjust: exact; }
+                        #labelContent { border: none; }
+                    }
+                </style>
+            </head>
+            <body>
+                <div id="labelContent">${labelContent}</div>
+                <script>
+                    window.onload = function() { 
+                        // Re-generate JsBarcode in the new window
+                        const script = document.createElement('script');
+                        script.src = 'https://cdn.jsdelivr.net/npm/jsbarcode@3.11.5/dist/JsBarcode.all.min.js';
                         script.onload = () => {
                             const code = document.querySelector('#output-barcode-text').textContent;
                              JsBarcode("#barcode", code, {
@@ -2823,463 +6603,1496 @@ document.getElementById('printLabelBtn')?.addEventListener('click', () => {
 });
 
 
-// --- BLUETOOTH PRINTING ---
+// --- BLUETOOTH PRINTING ---
+
+function showPrintHelpModal() {
+    document.getElementById('printHelpModal').classList.remove('hidden');
+}
+window.showPrintHelpModal = showPrintHelpModal;
+
+function closePrintHelpModal() {
+    document.getElementById('printHelpModal').classList.add('hidden');
+}
+window.closePrintHelpModal = closePrintHelpModal;
+
+
+async function connectToBluetoothPrinter() {
+    if (!navigator.bluetooth) {
+        showToast('Web Bluetooth API tidak didukung di browser ini.');
+        showPrintHelpModal();
+        return;
+    }
+
+    try {
+        showToast('Mencari printer Bluetooth...', 2000);
+        bluetoothDevice = await navigator.bluetooth.requestDevice({
+            filters: [{ services: ['000018f0-0000-1000-8000-00805f9b34fb'] }], // Generic Serial Port Service
+        });
+
+        const server = await bluetoothDevice.gatt.connect();
+        const service = await server.getPrimaryService('000018f0-0000-1000-8000-00805f9b34fb');
+        bluetoothCharacteristic = await service.getCharacteristic('00002af1-0000-1000-8000-00805f9b34fb');
+        
+        updateBluetoothUI(true);
+        showToast(`Terhubung ke ${bluetoothDevice.name}`);
+
+    } catch(error) {
+        // Check if the user cancelled the prompt. This is not a real "error".
+        if (error.name === 'NotFoundError') {
+            console.log('User cancelled the Bluetooth device chooser.');
+            showToast('Pencarian printer dibatalkan.', 2000);
+        } else {
+            console.error('Koneksi Bluetooth gagal:', error);
+            showToast('Gagal terhubung. Pastikan printer menyala.');
+        }
+        updateBluetoothUI(false);
+    }
+}
+window.connectToBluetoothPrinter = connectToBluetoothPrinter;
+
+function disconnectBluetoothPrinter() {
+    if (bluetoothDevice && bluetoothDevice.gatt.connected) {
+        bluetoothDevice.gatt.disconnect();
+        showToast(`Koneksi ke ${bluetoothDevice.name} diputus.`);
+    }
+    updateBluetoothUI(false);
+}
+window.disconnectBluetoothPrinter = disconnectBluetoothPrinter;
+
+function updateBluetoothUI(isConnected) {
+    const statusEl = document.getElementById('bluetoothStatus');
+    const connectBtn = document.getElementById('connectBluetoothBtn');
+    const disconnectBtn = document.getElementById('disconnectBluetoothBtn');
+    const testPrintBtn = document.getElementById('testPrintBtn');
+
+    if (isConnected) {
+        statusEl.textContent = `Terhubung ke: ${bluetoothDevice.name}`;
+        statusEl.classList.add('text-green-600');
+        connectBtn.classList.add('hidden');
+        disconnectBtn.classList.remove('hidden');
+        testPrintBtn.disabled = false;
+    } else {
+        statusEl.textContent = 'Status: Belum Terhubung';
+        statusEl.classList.remove('text-green-600');
+        connectBtn.classList.remove('hidden');
+        disconnectBtn.classList.add('hidden');
+        testPrintBtn.disabled = true;
+        bluetoothDevice = null;
+        bluetoothCharacteristic = null;
+    }
+}
+
+async function testPrint() {
+    if (!bluetoothCharacteristic) {
+        showToast('Printer tidak terhubung.');
+        return;
+    }
+    
+    try {
+        const encoder = new EscPosEncoder.default();
+        const settings = await getAllFromDB('settings');
+        const settingsMap = new Map(settings.map(s => [s.key, s.value]));
+        const storeName = settingsMap.get('storeName') || 'Toko Anda';
+
+        const encodedData = encoder
+            .initialize()
+            .align('center')
+            .width(2)
+            .height(2)
+            .line(storeName)
+            .width(1)
+            .height(1)
+            .line('Test Cetak Berhasil!')
+            .feed(3)
+            .cut()
+            .encode();
+            
+        await bluetoothCharacteristic.writeValue(encodedData);
+        showToast('Test cetak dikirim.');
+    } catch (error) {
+        console.error('Test print failed:', error);
+        showToast('Gagal mengirim test cetak.');
+    }
+}
+window.testPrint = testPrint;
+
+/**
+ * Wraps text to a given width for thermal printers.
+ * @param {string} text - The text to wrap.
+ * @param {number} maxWidth - The maximum character width.
+ * @returns {string[]} An array of wrapped lines.
+ */
+function wrapText(text, maxWidth) {
+    if (!text) return [];
+    const words = text.split(' ');
+    let lines = [];
+    let currentLine = '';
+
+    words.forEach(word => {
+        // If a single word is longer than the max width, it must be broken up
+        if (word.length > maxWidth) {
+            if (currentLine.length > 0) {
+                lines.push(currentLine);
+                currentLine = '';
+            }
+            let tempWord = word;
+            while (tempWord.length > maxWidth) {
+                lines.push(tempWord.slice(0, maxWidth));
+                tempWord = tempWord.slice(maxWidth);
+            }
+            currentLine = tempWord;
+        } else {
+            if ((currentLine + ' ' + word).trim().length <= maxWidth) {
+                currentLine = (currentLine + ' ' + word).trim();
+            } else {
+                lines.push(currentLine);
+                currentLine = word;
+            }
+        }
+    });
+    if (currentLine) {
+        lines.push(currentLine);
+    }
+    return lines;
+}
+
+/**
+ * ESC/POS bytes for a CODE128 barcode with its text printed below. Written out
+ * by hand like the QR code, as the encoder's barcode() does not send the data bytes.
+ */
+function buildEscPosBarcode(data) {
+    const GS = 29;
+    // Code set B ("{B") covers printable ASCII; anything else cannot be encoded
+    const bytes = Array.from(data.replace(/[^\x20-\x7E]/g, ''), char => char.charCodeAt(0)).slice(0, 253);
+    return [
+        GS, 119, 2, // Module width
+        GS, 104, 60, // Height in dots
+        GS, 72, 2, // Human-readable text below
+        GS, 107, 73, bytes.length + 2, 123, 66, ...bytes
+    ];
+}
+
+/**
+ * Prints receipt rows with an ESC/POS encoder. The printer cannot draw the logo
+ * or strike text through, so logos are skipped and struck text prints plainly.
+ */
+function encodeReceiptRows(encoder, rows, paperWidthChars) {
+    // Indented rows are wrapped narrower, as wrapText drops leading spaces
+    const wrapRow = (text, indent) => indent
+        ? wrapText(text, paperWidthChars - 2).map(line => `  ${line}`)
+        : wrapText(text, paperWidthChars);
+    const printPair = (label, value, indent) => {
+        const labelLines = wrapRow(label, indent);
+        const lastLine = labelLines.pop() || '';
+        labelLines.forEach(line => encoder.line(line));
+        if (lastLine.length + value.length + 1 <= paperWidthChars) {
+            encoder.line(`${lastLine}${' '.repeat(paperWidthChars - lastLine.length - value.length)}${value}`);
+        } else {
+            // Long values such as dates or names go on their own line, right-aligned
+            encoder.line(lastLine);
+            encoder.line(value.padStart(paperWidthChars).slice(-paperWidthChars));
+        }
+    };
+
+    rows.forEach(row => {
+        if (row.type === 'logo') return;
+        encoder.align(row.align === 'center' || row.type === 'qr' || row.type === 'barcode' ? 'center' : 'left');
+        if (row.bold) encoder.bold(true);
+
+        if (row.type === 'divider') {
+            encoder.line(receiptLine(row.char, paperWidthChars));
+        } else if (row.type === 'pair') {
+            printPair(row.label, row.value, row.indent);
+        } else if (row.type === 'qr') {
+            encoder.newline().raw(buildEscPosQrCode(row.data)).newline();
+        } else if (row.type === 'barcode') {
+            encoder.newline().raw(buildEscPosBarcode(row.data)).newline();
+        } else if (row.large) {
+            // Double-size characters take two columns each
+            encoder.width(2).height(2);
+            wrapText(row.text, Math.floor(paperWidthChars / 2)).forEach(line => encoder.line(line));
+            encoder.width(1).height(1);
+        } else {
+            wrapRow(row.struck ? `${row.text} ${row.struck}` : row.text, row.indent).forEach(line => encoder.line(line));
+        }
+
+        if (row.bold) encoder.bold(false);
+    });
+}
+
+async function printViaBluetooth() {
+    if (!bluetoothCharacteristic || !currentReceiptTransaction) {
+        showToast('Printer tidak terhubung atau tidak ada data struk.');
+        return;
+    }
+
+    try {
+        const encoder = new EscPosEncoder.default();
+        const settings = await getAllFromDB('settings');
+        const settingsMap = new Map(settings.map(s => [s.key, s.value]));
+        const paperSize = settingsMap.get('printerPaperSize') || '80mm';
+        const paperWidthChars = paperSize === '58mm' ? 32 : 42;
+        const template = normalizeReceiptTemplate(settingsMap.get('receiptTemplate'));
+        const rows = buildReceiptRows(template, currentReceiptTransaction, getReceiptStore(settingsMap), false);
+
+        encoder.initialize();
+        encodeReceiptRows(encoder, rows, paperWidthChars);
+        encoder.feed(3).cut();
+
+        await bluetoothCharacteristic.writeValue(encoder.encode());
+        showToast('Struk berhasil dicetak.');
+
+    } catch (error) {
+        console.error('Bluetooth print failed:', error);
+        showToast('Gagal mencetak struk.');
+    }
+}
+
+// Prints a shift's Z-report with the same layout rules as receipts
+async function printZReportViaBluetooth(shift) {
+    try {
+        const encoder = new EscPosEncoder.default();
+        const settings = await getAllFromDB('settings');
+        const settingsMap = new Map(settings.map(s => [s.key, s.value]));
+        const paperSize = settingsMap.get('printerPaperSize') || '80mm';
+        const paperWidthChars = paperSize === '58mm' ? 32 : 42;
+
+        encoder.initialize().align('center');
+        encoder.width(2).height(2).line(settingsMap.get('storeName') || 'Toko Anda').width(1).height(1);
+        encoder.bold(true).line('LAPORAN Z (TUTUP SHIFT)').bold(false);
+        encoder.line(receiptLine('=', paperWidthChars)).align('left');
+
+        getZReportRows(shift).forEach(row => {
+            if (row.divider) {
+                encoder.line(receiptLine('-', paperWidthChars));
+            } else if (row.title) {
+                encoder.bold(true).line(row.title).bold(false);
+            } else if (!row.value) {
+                wrapText(row.label, paperWidthChars).forEach(line => encoder.line(line));
+            } else {
+                // Long labels such as cash movement notes are cut to keep the amount on the same line
+                const label = row.label.slice(0, paperWidthChars - row.value.length - 1);
+                const spaces = paperWidthChars - label.length - row.value.length;
+                encoder.line(`${label}${' '.repeat(Math.max(1, spaces))}${row.value}`);
+            }
+        });
+
+        encoder.line(receiptLine('=', paperWidthChars)).feed(3).cut();
+
+        await bluetoothCharacteristic.writeValue(encoder.encode());
+        showToast('Laporan Z berhasil dicetak.');
+    } catch (error) {
+        console.error('Bluetooth Z-report print failed:', error);
+        showToast('Gagal mencetak laporan Z.');
+    }
+}
+
+// --- RECEIPT PREVIEW ---
+window.showPreviewReceiptModal = async function() {
+    if (cart.items.length === 0) {
+        showToast('Keranjang kosong, tidak ada yang bisa ditampilkan.');
+        return;
+    }
+    await generatePreviewReceiptContent();
+    document.getElementById('previewReceiptModal').classList.remove('hidden');
+}
+
+window.closePreviewReceiptModal = function() {
+    document.getElementById('previewReceiptModal').classList.add('hidden');
+    // The designer shares this modal; the cart preview opens without it
+    receiptTemplateDraft = null;
+    document.getElementById('previewReceiptTitle').textContent = 'Preview Struk';
+    document.getElementById('receiptDesigner').classList.add('hidden');
+    document.getElementById('receiptDesignerActions').classList.add('hidden');
+}
+
+async function generatePreviewReceiptContent() {
+    const receiptContentEl = document.getElementById('previewReceiptContent');
+
+    // Create a transaction-like object from the current cart state
+    const { subtotal, totalDiscount, promotions, cartDiscount, fees, total } = calculateCartTotals();
+
+    const previewData = {
+        items: cart.items,
+        subtotal: subtotal,
+        totalDiscount: totalDiscount,
+        promotions: promotions,
+        cartDiscount: cartDiscount && cartDiscount.amount > 0 ? cartDiscount : null,
+        fees: fees,
+        total: total,
+        customerName: cart.customer ? cart.customer.name : null,
+    };
+
+    receiptContentEl.innerHTML = await _generateReceiptHTML(previewData, true);
+}
+
+// --- RECEIPT DESIGNER ---
+// Opens the preview modal with the template controls under it. Every change is
+// drawn on a sample sale at once; the template is only saved with "Simpan Desain".
+
+let receiptTemplateDraft = null; // Template being edited, null while the designer is closed
+
+// A sale that fills every block, so the effect of each option can be seen
+function getSampleReceiptData() {
+    return {
+        id: 123,
+        date: new Date().toISOString(),
+        items: [
+            { name: 'Kopi Susu Gula Aren', quantity: 2, price: 18000, effectivePrice: 18000, discountPercentage: 0 },
+            { name: 'Roti Bakar Cokelat', quantity: 1, price: 20000, effectivePrice: 18000, discountPercentage: 10 }
+        ],
+        subtotal: 56000,
+        totalDiscount: 2000,
+        promotions: [],
+        cartDiscount: null,
+        fees: [{ name: 'PPN', amount: 5940, isTax: true, included: false }],
+        rounding: 60,
+        total: 60000,
+        payments: [{ method: 'cash', amount: 100000, reference: null }],
+        change: 40000,
+        cashierName: currentUser ? currentUser.name : 'Kasir',
+        customerId: 1,
+        customerName: 'Budi Santoso',
+        pointsEarned: 6,
+        pointsRedeemed: 0,
+        pointsBalance: 48
+    };
+}
+
+window.showReceiptDesigner = async function() {
+    if (!requirePermission('manageSettings')) return;
+    receiptTemplateDraft = normalizeReceiptTemplate(await getSettingFromDB('receiptTemplate'));
+    document.getElementById('previewReceiptTitle').textContent = 'Desain Struk';
+    document.getElementById('receiptDesigner').classList.remove('hidden');
+    document.getElementById('receiptDesignerActions').classList.remove('hidden');
+    renderReceiptDesigner();
+    await renderReceiptDesignerPreview();
+    document.getElementById('previewReceiptModal').classList.remove('hidden');
+}
+
+async function renderReceiptDesignerPreview() {
+    if (!receiptTemplateDraft) return;
+    document.getElementById('previewReceiptContent').innerHTML = await _generateReceiptHTML(getSampleReceiptData(), false, receiptTemplateDraft);
+}
+
+function renderReceiptDesignerOption(option, block, index) {
+    const value = block[option.key];
+    const onChange = (expression) => `setReceiptBlockOption(${index}, '${option.key}', ${expression})`;
+    if (option.type === 'select') {
+        return `
+            <select class="input-field w-full text-sm" onchange="${onChange('this.value')}">
+                ${Object.entries(option.choices).map(([choice, label]) => `<option value="${choice}" ${choice === value ? 'selected' : ''}>${label}</option>`).join('')}
+            </select>
+        `;
+    }
+    if (option.type === 'text') {
+        return `<input type="text" class="input-field w-full text-sm" value="${escapeHtml(value)}" placeholder="${option.label}" oninput="${onChange('this.value')}">`;
+    }
+    if (option.type === 'textarea') {
+        return `<textarea class="input-field w-full text-sm" rows="2" placeholder="${option.label}" oninput="${onChange('this.value')}">${escapeHtml(value)}</textarea>`;
+    }
+    return `
+        <label class="flex items-center gap-2 text-sm text-gray-600">
+            <input type="checkbox" ${value ? 'checked' : ''} onchange="${onChange('this.checked')}"> ${option.label}
+        </label>
+    `;
+}
+
+function renderReceiptDesigner() {
+    const lastIndex = receiptTemplateDraft.length - 1;
+    document.getElementById('receiptDesignerBlocks').innerHTML = receiptTemplateDraft.map((block, index) => {
+        const { label, options } = RECEIPT_BLOCKS[block.type];
+        return `
+            <div class="border rounded-lg p-3 ${block.enabled ? '' : 'bg-gray-50'}">
+                <div class="flex items-center justify-between gap-2">
+                    <label class="flex items-center gap-2 font-semibold text-sm">
+                        <input type="checkbox" ${block.enabled ? 'checked' : ''} onchange="setReceiptBlockOption(${index}, 'enabled', this.checked)"> ${label}
+                    </label>
+                    <div class="flex gap-3">
+                        <button onclick="moveReceiptBlock(${index}, -1)" class="text-gray-600 clickable ${index === 0 ? 'invisible' : ''}" title="Naik"><i class="fas fa-arrow-up"></i></button>
+                        <button onclick="moveReceiptBlock(${index}, 1)" class="text-gray-600 clickable ${index === lastIndex ? 'invisible' : ''}" title="Turun"><i class="fas fa-arrow-down"></i></button>
+                    </div>
+                </div>
+                ${block.enabled && options.length > 0 ? `
+                    <div class="space-y-2 mt-2 pl-6">
+                        ${options.map(option => renderReceiptDesignerOption(option, block, index)).join('')}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+window.setReceiptBlockOption = function(index, key, value) {
+    receiptTemplateDraft[index] = { ...receiptTemplateDraft[index], [key]: value };
+    // Text fields keep focus while typing; only switching a block on or off changes the controls
+    if (key === 'enabled') renderReceiptDesigner();
+    renderReceiptDesignerPreview();
+}
+
+window.moveReceiptBlock = function(index, direction) {
+    const target = index + direction;
+    if (target < 0 || target >= receiptTemplateDraft.length) return;
+    [receiptTemplateDraft[index], receiptTemplateDraft[target]] = [receiptTemplateDraft[target], receiptTemplateDraft[index]];
+    renderReceiptDesigner();
+    renderReceiptDesignerPreview();
+}
+
+window.resetReceiptTemplate = function() {
+    receiptTemplateDraft = normalizeReceiptTemplate(null);
+    renderReceiptDesigner();
+    renderReceiptDesignerPreview();
+}
+
+window.saveReceiptTemplate = async function() {
+    if (!requirePermission('manageSettings')) return;
+    if (!receiptTemplateDraft) return;
+    try {
+        await putSettingToDB({ key: 'receiptTemplate', value: receiptTemplateDraft });
+        closePreviewReceiptModal();
+        showToast('Desain struk disimpan.');
+    } catch (error) {
+        console.error('Failed to save receipt template:', error);
+        showToast('Gagal menyimpan desain struk.');
+    }
+}
+
+
+// --- KIOSK MODE ---
+
+function activateKioskMode() {
+    isKioskModeActive = true;
+    document.getElementById('bottomNav').classList.add('hidden');
+    showPage('kasir'); // Force navigation to cashier
+    if (kioskType === 'selfOrder') {
+        // The customer screen covers the cashier page and has its own hidden exit
+        showSelfOrderScreen();
+    } else {
+        document.getElementById('exitKioskBtn').classList.remove('hidden');
+        showToast('Mode Kios diaktifkan');
+    }
+}
+
+function deactivateKioskMode() {
+    isKioskModeActive = false;
+    document.getElementById('bottomNav').classList.remove('hidden');
+    document.getElementById('exitKioskBtn').classList.add('hidden');
+    hideSelfOrderScreen();
+    showToast('Mode Kios dinonaktifkan.');
+    closeEnterKioskPinModal();
+}
+
+window.handleKioskModeToggle = async function(isChecked) {
+    const toggle = document.getElementById('kioskModeToggle');
+    if (isChecked) {
+        if (!requirePermission('manageSettings')) {
+            toggle.checked = false;
+            return;
+        }
+        const savedPin = await getSettingFromDB('kioskPin');
+        if (savedPin) {
+            activateKioskMode();
+            putSettingToDB({ key: 'kioskModeEnabled', value: true });
+        } else {
+            // Uncheck the toggle visually until a PIN is set
+            toggle.checked = false; 
+            showSetKioskPinModal();
+        }
+    } else {
+        // Exiting kiosk mode requires PIN verification
+        const savedPin = await getSettingFromDB('kioskPin');
+        if (savedPin) {
+             toggle.checked = true; // Re-check the toggle as it's not disabled yet
+             showEnterKioskPinModal();
+        } else {
+             // This case should not happen if logic is correct, but as a fallback:
+            deactivateKioskMode();
+            putSettingToDB({ key: 'kioskModeEnabled', value: false });
+        }
+    }
+}
+
+function showSetKioskPinModal() {
+    document.getElementById('setKioskPinModal').classList.remove('hidden');
+    document.getElementById('newKioskPin').value = '';
+    document.getElementById('confirmKioskPin').value = '';
+}
+window.showSetKioskPinModal = showSetKioskPinModal;
+
+
+window.closeSetKioskPinModal = function() {
+    document.getElementById('setKioskPinModal').classList.add('hidden');
+    // If the user cancels setting a PIN, ensure the kiosk toggle is off.
+    const kioskToggle = document.getElementById('kioskModeToggle');
+    kioskToggle.checked = false;
+}
+
+window.saveKioskPinAndActivate = async function() {
+    if (!requirePermission('manageSettings')) return;
+    const newPin = document.getElementById('newKioskPin').value;
+    const confirmPin = document.getElementById('confirmKioskPin').value;
+
+    if (!/^\d{4}$/.test(newPin)) {
+        showToast('PIN harus 4 digit angka.');
+        return;
+    }
+    if (newPin !== confirmPin) {
+        showToast('PIN tidak cocok.');
+        return;
+    }
+
+    try {
+        const recoveryCode = await saveKioskPin(newPin);
+        await putSettingToDB({ key: 'kioskModeEnabled', value: true });
+
+        document.getElementById('setKioskPinModal').classList.add('hidden');
+        document.getElementById('kioskModeToggle').checked = true;
+        activateKioskMode();
+        showRecoveryCodeModal(recoveryCode);
+    } catch (error) {
+        console.error('Failed to save kiosk PIN:', error);
+        showToast('Gagal menyimpan PIN. Pastikan aplikasi dibuka lewat https.');
+    }
+}
+
+/**
+ * Stores a new kiosk PIN. Every new PIN comes with a new one-time recovery code,
+ * which replaces the old one.
+ * @returns {Promise<string>} The recovery code, to be shown once.
+ */
+async function saveKioskPin(pin) {
+    const recoveryCode = createRecoveryCode();
+    await putSettingToDB({ key: 'kioskPin', value: await hashSecret(pin) });
+    await putSettingToDB({ key: 'kioskRecoveryCode', value: await hashSecret(normalizeRecoveryCode(recoveryCode)) });
+    return recoveryCode;
+}
+
+function showRecoveryCodeModal(recoveryCode) {
+    document.getElementById('recoveryCodeText').textContent = recoveryCode;
+    document.getElementById('recoveryCodeModal').classList.remove('hidden');
+}
 
-function showPrintHelpModal() {
-    document.getElementById('printHelpModal').classList.remove('hidden');
+window.closeRecoveryCodeModal = function() {
+    document.getElementById('recoveryCodeText').textContent = '';
+    document.getElementById('recoveryCodeModal').classList.add('hidden');
 }
-window.showPrintHelpModal = showPrintHelpModal;
 
-function closePrintHelpModal() {
-    document.getElementById('printHelpModal').classList.add('hidden');
+window.showChangeKioskPinModal = async function() {
+    if (!await getSettingFromDB('kioskPin')) {
+        showToast('PIN Kios belum diatur. Aktifkan Mode Kios untuk membuatnya.');
+        return;
+    }
+    ['oldKioskPin', 'changedKioskPin', 'confirmChangedKioskPin'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    document.getElementById('changeKioskPinModal').classList.remove('hidden');
 }
-window.closePrintHelpModal = closePrintHelpModal;
 
+window.closeChangeKioskPinModal = function() {
+    document.getElementById('changeKioskPinModal').classList.add('hidden');
+}
 
-async function connectToBluetoothPrinter() {
-    if (!navigator.bluetooth) {
-        showToast('Web Bluetooth API tidak didukung di browser ini.');
-        showPrintHelpModal();
+window.changeKioskPin = async function() {
+    if (!requirePermission('manageSettings')) return;
+    const oldPin = document.getElementById('oldKioskPin').value;
+    const newPin = document.getElementById('changedKioskPin').value;
+
+    if (getPinLockoutRemaining('kiosk') > 0) {
+        showToast(`Terlalu banyak PIN salah. Coba lagi dalam ${describePinLockout('kiosk')}.`);
+        return;
+    }
+    if (!/^\d{4}$/.test(newPin)) {
+        showToast('PIN baru harus 4 digit angka.');
+        return;
+    }
+    if (newPin !== document.getElementById('confirmChangedKioskPin').value) {
+        showToast('PIN baru tidak cocok.');
         return;
     }
 
     try {
-        showToast('Mencari printer Bluetooth...', 2000);
-        bluetoothDevice = await navigator.bluetooth.requestDevice({
-            filters: [{ services: ['000018f0-0000-1000-8000-00805f9b34fb'] }], // Generic Serial Port Service
-        });
+        // The old PIN counts toward the lockout like any PIN typed on the keypad
+        if (!await verifySecret(oldPin, await getSettingFromDB('kioskPin'))) {
+            await recordPinFailure('kiosk');
+            showToast(getPinLockoutRemaining('kiosk') > 0
+                ? `PIN lama salah. Coba lagi dalam ${describePinLockout('kiosk')}.`
+                : 'PIN lama salah.');
+            return;
+        }
+        await resetPinFailures('kiosk');
+        const recoveryCode = await saveKioskPin(newPin);
+        closeChangeKioskPinModal();
+        showToast('PIN Kios berhasil diubah.');
+        showRecoveryCodeModal(recoveryCode);
+    } catch (error) {
+        console.error('Failed to change kiosk PIN:', error);
+        showToast('Gagal mengubah PIN Kios.');
+    }
+}
 
-        const server = await bluetoothDevice.gatt.connect();
-        const service = await server.getPrimaryService('000018f0-0000-1000-8000-00805f9b34fb');
-        bluetoothCharacteristic = await service.getCharacteristic('00002af1-0000-1000-8000-00805f9b34fb');
-        
-        updateBluetoothUI(true);
-        showToast(`Terhubung ke ${bluetoothDevice.name}`);
+window.showKioskRecoveryModal = function() {
+    closeEnterKioskPinModal();
+    document.getElementById('kioskRecoveryCodeInput').value = '';
+    document.getElementById('kioskRecoveryModal').classList.remove('hidden');
+}
 
-    } catch(error) {
-        // Check if the user cancelled the prompt. This is not a real "error".
-        if (error.name === 'NotFoundError') {
-            console.log('User cancelled the Bluetooth device chooser.');
-            showToast('Pencarian printer dibatalkan.', 2000);
+window.closeKioskRecoveryModal = function() {
+    document.getElementById('kioskRecoveryModal').classList.add('hidden');
+}
+
+/**
+ * Leaves kiosk mode with the owner's recovery code when the PIN is forgotten or
+ * the keypad is locked. The code works once: it is removed together with the PIN,
+ * and a new pair is made when kiosk mode is turned on again.
+ */
+window.useKioskRecoveryCode = async function() {
+    const code = normalizeRecoveryCode(document.getElementById('kioskRecoveryCodeInput').value);
+    try {
+        const savedCode = await getSettingFromDB('kioskRecoveryCode');
+        if (!savedCode) {
+            showToast('Tidak ada kode pemulihan untuk PIN ini.');
+            return;
+        }
+        if (!code || !await verifySecret(code, savedCode)) {
+            showToast('Kode pemulihan salah.');
+            return;
+        }
+
+        await deleteFromDB('settings', 'kioskPin');
+        await deleteFromDB('settings', 'kioskRecoveryCode');
+        await putSettingToDB({ key: 'kioskModeEnabled', value: false });
+        await resetPinFailures('kiosk');
+
+        closeKioskRecoveryModal();
+        document.getElementById('kioskModeToggle').checked = false;
+        deactivateKioskMode();
+        showToast('PIN Kios dihapus. Buat PIN baru saat mengaktifkan Mode Kios lagi.', 4000);
+    } catch (error) {
+        console.error('Kiosk recovery failed:', error);
+        showToast('Gagal memakai kode pemulihan.');
+    }
+}
+
+window.showEnterKioskPinModal = function() {
+    pendingPinAction = null;
+    document.getElementById('enterPinTitle').textContent = 'Masukkan PIN';
+    // Only the kiosk PIN has a recovery code; callers asking for another PIN hide the link
+    document.getElementById('kioskRecoveryLink').classList.remove('hidden');
+    document.getElementById('pinApprover').classList.add('hidden');
+    document.getElementById('enterKioskPinModal').classList.remove('hidden');
+    currentPinInput = "";
+    updatePinDisplay();
+    renderPinLockout();
+}
+
+window.closeEnterKioskPinModal = function() {
+    document.getElementById('enterKioskPinModal').classList.add('hidden');
+    currentPinInput = "";
+    pendingPinAction = null;
+    pendingLoginUser = null;
+    updatePinDisplay();
+}
+
+function updatePinDisplay() {
+    const displayDivs = document.querySelectorAll('#kioskPinDisplay div');
+    displayDivs.forEach((div, index) => {
+        if (index < currentPinInput.length) {
+            div.classList.add('bg-blue-500');
+            div.classList.remove('bg-gray-300');
         } else {
-            console.error('Koneksi Bluetooth gagal:', error);
-            showToast('Gagal terhubung. Pastikan printer menyala.');
+            div.classList.remove('bg-blue-500');
+            div.classList.add('bg-gray-300');
         }
-        updateBluetoothUI(false);
+    });
+}
+
+window.handlePinKeyPress = function(key) {
+    const errorEl = document.getElementById('kioskPinError');
+    if (isCheckingPin) return;
+    if (getPinLockoutRemaining(getKeypadPinKey()) > 0) {
+        renderPinLockout();
+        return;
+    }
+    errorEl.textContent = ''; // Clear error on new keypress
+
+    if (key === 'backspace') {
+        currentPinInput = currentPinInput.slice(0, -1);
+    } else if (key === 'clear') {
+        currentPinInput = "";
+    } else if (currentPinInput.length < 4) {
+        currentPinInput += key;
+    }
+
+    updatePinDisplay();
+
+    if (currentPinInput.length === 4) {
+        const checkPin = pendingLoginUser ? checkLoginPin : pendingPinAction ? checkManagerPin : checkKioskPin;
+        isCheckingPin = true;
+        checkPin()
+            .catch(error => {
+                console.error('PIN check failed:', error);
+                showToast('Gagal memeriksa PIN.');
+            })
+            .finally(() => {
+                isCheckingPin = false;
+            });
     }
 }
-window.connectToBluetoothPrinter = connectToBluetoothPrinter;
 
-function disconnectBluetoothPrinter() {
-    if (bluetoothDevice && bluetoothDevice.gatt.connected) {
-        bluetoothDevice.gatt.disconnect();
-        showToast(`Koneksi ke ${bluetoothDevice.name} diputus.`);
+// --- PIN lockout ---
+// Wrong PINs are counted per PIN: the kiosk PIN, the supervisor PIN and each
+// account's PIN, so guessing one never locks out the others. The counts survive
+// a reload, and a PIN locks for longer after each miss.
+const getPinLockout = (key) => pinLockouts[key] || { failures: 0, lockedUntil: 0 };
+const getPinLockoutRemaining = (key) => Math.max(getPinLockout(key).lockedUntil - Date.now(), 0);
+
+/** The PIN the keypad is asking for: 'kiosk', 'supervisor' or 'user:<id>'. */
+function getKeypadPinKey() {
+    if (pendingLoginUser) return `user:${pendingLoginUser.id}`;
+    if (pendingPinAction) {
+        const approverId = document.getElementById('pinApprover').value;
+        return approverId ? `user:${approverId}` : 'supervisor';
     }
-    updateBluetoothUI(false);
+    return 'kiosk';
 }
-window.disconnectBluetoothPrinter = disconnectBluetoothPrinter;
 
-function updateBluetoothUI(isConnected) {
-    const statusEl = document.getElementById('bluetoothStatus');
-    const connectBtn = document.getElementById('connectBluetoothBtn');
-    const disconnectBtn = document.getElementById('disconnectBluetoothBtn');
-    const testPrintBtn = document.getElementById('testPrintBtn');
+function describePinLockout(key) {
+    const seconds = Math.ceil(getPinLockoutRemaining(key) / 1000);
+    return seconds >= 60 ? `${Math.ceil(seconds / 60)} menit` : `${seconds} detik`;
+}
 
-    if (isConnected) {
-        statusEl.textContent = `Terhubung ke: ${bluetoothDevice.name}`;
-        statusEl.classList.add('text-green-600');
-        connectBtn.classList.add('hidden');
-        disconnectBtn.classList.remove('hidden');
-        testPrintBtn.disabled = false;
+// Shows whether the PIN being asked for is locked
+function renderPinLockout() {
+    const key = getKeypadPinKey();
+    document.getElementById('kioskPinError').textContent = getPinLockoutRemaining(key) > 0
+        ? `Terkunci. Coba lagi dalam ${describePinLockout(key)}.`
+        : '';
+}
+window.renderPinLockout = renderPinLockout;
+
+async function recordPinFailure(key) {
+    const failures = getPinLockout(key).failures + 1;
+    pinLockouts = { ...pinLockouts, [key]: { failures, lockedUntil: Date.now() + getLockoutDuration(failures) } };
+    await putSettingToDB({ key: 'pinLockouts', value: pinLockouts });
+}
+
+async function resetPinFailures(key) {
+    if (getPinLockout(key).failures === 0) return;
+    const { [key]: cleared, ...others } = pinLockouts;
+    pinLockouts = others;
+    await putSettingToDB({ key: 'pinLockouts', value: pinLockouts });
+}
+
+async function rejectPinInput() {
+    const displayContainer = document.getElementById('kioskPinDisplay');
+    const key = getKeypadPinKey();
+    await recordPinFailure(key);
+
+    const attemptsLeft = PIN_FREE_ATTEMPTS - getPinLockout(key).failures;
+    let message = 'PIN Salah';
+    if (getPinLockoutRemaining(key) > 0) {
+        message = `PIN Salah. Terkunci ${describePinLockout(key)}.`;
+    } else if (attemptsLeft <= 2) {
+        message = `PIN Salah. Sisa ${attemptsLeft} percobaan.`;
+    }
+    document.getElementById('kioskPinError').textContent = message;
+
+    // Cleared now so the next key starts a new PIN; the dots stay until the shake ends
+    currentPinInput = "";
+    displayContainer.classList.add('animate-shake');
+    setTimeout(() => {
+        displayContainer.classList.remove('animate-shake');
+        updatePinDisplay();
+    }, 500);
+}
+
+async function checkKioskPin() {
+    const savedPin = await getSettingFromDB('kioskPin');
+
+    if (await verifySecret(currentPinInput, savedPin)) {
+        await resetPinFailures('kiosk');
+        putSettingToDB({ key: 'kioskModeEnabled', value: false });
+        const kioskToggle = document.getElementById('kioskModeToggle');
+        if (kioskToggle) kioskToggle.checked = false;
+        deactivateKioskMode();
     } else {
-        statusEl.textContent = 'Status: Belum Terhubung';
-        statusEl.classList.remove('text-green-600');
-        connectBtn.classList.remove('hidden');
-        disconnectBtn.classList.add('hidden');
-        testPrintBtn.disabled = true;
-        bluetoothDevice = null;
-        bluetoothCharacteristic = null;
+        await rejectPinInput();
     }
 }
 
-async function testPrint() {
-    if (!bluetoothCharacteristic) {
-        showToast('Printer tidak terhubung.');
+// --- SELF-ORDER KIOSK ---
+// With the kiosk type set to self-order, kiosk mode shows a customer screen:
+// product tiles by category, a review of the order and an order number. The
+// order is paid at the counter, where it shows up under Pesanan Masuk.
+
+const SELF_ORDER_IDLE_TIMEOUT = 90 * 1000; // Start over when a customer walks away
+const SELF_ORDER_DONE_TIMEOUT = 15 * 1000; // How long the order number stays on screen
+
+window.saveKioskSettings = async function() {
+    if (!requirePermission('manageSettings')) {
+        document.getElementById('kioskType').value = kioskType;
+        document.getElementById('selfOrderPrefix').value = selfOrderPrefix;
         return;
     }
-    
+    const type = document.getElementById('kioskType').value;
+    const prefix = document.getElementById('selfOrderPrefix').value.trim().toUpperCase();
     try {
-        const encoder = new EscPosEncoder.default();
-        const settings = await getAllFromDB('settings');
-        const settingsMap = new Map(settings.map(s => [s.key, s.value]));
-        const storeName = settingsMap.get('storeName') || 'Toko Anda';
-
-        const encodedData = encoder
-            .initialize()
-            .align('center')
-            .width(2)
-            .height(2)
-            .line(storeName)
-            .width(1)
-            .height(1)
-            .line('Test Cetak Berhasil!')
-            .feed(3)
-            .cut()
-            .encode();
-            
-        await bluetoothCharacteristic.writeValue(encodedData);
-        showToast('Test cetak dikirim.');
+        await putSettingToDB({ key: 'kioskType', value: type });
+        await putSettingToDB({ key: 'selfOrderPrefix', value: prefix });
+        kioskType = type;
+        selfOrderPrefix = prefix;
+        document.getElementById('selfOrderPrefix').value = prefix;
+        document.getElementById('selfOrderSettings').classList.toggle('hidden', type !== 'selfOrder');
+        showToast('Pengaturan kios disimpan.');
     } catch (error) {
-        console.error('Test print failed:', error);
-        showToast('Gagal mengirim test cetak.');
+        console.error('Failed to save kiosk settings:', error);
+        showToast('Gagal menyimpan pengaturan kios.');
     }
 }
-window.testPrint = testPrint;
+
+function getSelfOrderPrice(product) {
+    const hasDiscount = product.discountPercentage && product.discountPercentage > 0;
+    return hasDiscount ? product.price * (1 - product.discountPercentage / 100) : product.price;
+}
 
 /**
- * Wraps text to a given width for thermal printers.
- * @param {string} text - The text to wrap.
- * @param {number} maxWidth - The maximum character width.
- * @returns {string[]} An array of wrapped lines.
+ * The next order number of the day, e.g. "A007". Numbers start at 1 every day.
  */
-function wrapText(text, maxWidth) {
-    if (!text) return [];
-    const words = text.split(' ');
-    let lines = [];
-    let currentLine = '';
+async function nextSelfOrderNumber() {
+    const today = new Date().toISOString().split('T')[0];
+    const counter = await getSettingFromDB('selfOrderCounter');
+    const next = counter && counter.date === today ? counter.next : 1;
+    await putSettingToDB({ key: 'selfOrderCounter', value: { date: today, next: next + 1 } });
+    return `${selfOrderPrefix}${String(next).padStart(3, '0')}`;
+}
 
-    words.forEach(word => {
-        // If a single word is longer than the max width, it must be broken up
-        if (word.length > maxWidth) {
-            if (currentLine.length > 0) {
-                lines.push(currentLine);
-                currentLine = '';
-            }
-            let tempWord = word;
-            while (tempWord.length > maxWidth) {
-                lines.push(tempWord.slice(0, maxWidth));
-                tempWord = tempWord.slice(maxWidth);
-            }
-            currentLine = tempWord;
-        } else {
-            if ((currentLine + ' ' + word).trim().length <= maxWidth) {
-                currentLine = (currentLine + ' ' + word).trim();
-            } else {
-                lines.push(currentLine);
-                currentLine = word;
-            }
-        }
+function restartSelfOrderTimer(delay = SELF_ORDER_IDLE_TIMEOUT) {
+    clearTimeout(selfOrderTimer);
+    selfOrderTimer = null;
+    if (!isKioskModeActive || kioskType !== 'selfOrder') return;
+    // The done screen keeps its own, shorter timer
+    if (delay === SELF_ORDER_IDLE_TIMEOUT && !document.getElementById('selfOrderDoneView').classList.contains('hidden')) return;
+    selfOrderTimer = setTimeout(resetSelfOrder, delay);
+}
+
+async function showSelfOrderScreen() {
+    document.getElementById('selfOrderStoreName').textContent = (await getSettingFromDB('storeName')) || 'Selamat Datang';
+    document.getElementById('selfOrderScreen').classList.remove('hidden');
+    await resetSelfOrder();
+}
+
+function hideSelfOrderScreen() {
+    clearTimeout(selfOrderTimer);
+    selfOrderTimer = null;
+    selfOrderItems = [];
+    document.getElementById('selfOrderScreen').classList.add('hidden');
+}
+
+function showSelfOrderView(view) {
+    ['menu', 'review', 'done'].forEach(name => {
+        const viewName = name.charAt(0).toUpperCase() + name.slice(1);
+        document.getElementById(`selfOrder${viewName}View`).classList.toggle('hidden', name !== view);
     });
-    if (currentLine) {
-        lines.push(currentLine);
+}
+
+async function resetSelfOrder() {
+    selfOrderItems = [];
+    selfOrderCategory = 'all';
+    document.getElementById('selfOrderCustomerName').value = '';
+    showSelfOrderView('menu');
+    await renderSelfOrderMenu();
+    restartSelfOrderTimer();
+}
+window.resetSelfOrder = resetSelfOrder;
+
+async function renderSelfOrderMenu() {
+    try {
+        const products = await getAllFromDB('products');
+        const categories = await getAllFromDB('categories');
+        // Only categories that have something to order get a tab
+        const usedCategories = categories.map(c => c.name).filter(name => products.some(p => p.category === name));
+
+        document.getElementById('selfOrderCategories').innerHTML = ['all', ...usedCategories].map(name => {
+            const isActive = name === selfOrderCategory;
+            return `
+                <button onclick="selectSelfOrderCategory('${name.replace(/'/g, "\\'")}')" class="px-5 py-3 rounded-full text-lg font-semibold flex-shrink-0 clickable ${isActive ? 'bg-blue-500 text-white' : 'bg-white text-gray-700 shadow'}">
+                    ${name === 'all' ? 'Semua' : name}
+                </button>
+            `;
+        }).join('');
+
+        const shownProducts = selfOrderCategory === 'all' ? products : products.filter(p => p.category === selfOrderCategory);
+        document.getElementById('selfOrderProducts').innerHTML = shownProducts.length === 0
+            ? `<p class="col-span-2 text-center text-gray-500 py-12">Belum ada menu.</p>`
+            : shownProducts.map(p => {
+                const ordered = selfOrderItems.find(item => item.id === p.id);
+                const isSoldOut = p.stock <= 0;
+                return `
+                    <button onclick="addSelfOrderItem(${p.id})" class="relative bg-white rounded-2xl shadow p-4 text-left clickable ${isSoldOut ? 'opacity-50 pointer-events-none' : ''}">
+                        ${ordered ? `<span class="absolute top-3 right-3 bg-blue-500 text-white text-lg font-bold w-9 h-9 rounded-full flex items-center justify-center z-10">${ordered.quantity}</span>` : ''}
+                        ${p.image ? `<img src="${p.image}" alt="${p.name}" class="w-full h-36 object-cover rounded-xl mb-3">` : `<div class="bg-gray-100 rounded-xl h-36 flex items-center justify-center mb-3"><i class="fas fa-utensils text-4xl text-gray-400"></i></div>`}
+                        <h3 class="text-lg font-semibold leading-tight">${p.name}</h3>
+                        <p class="text-xl text-blue-600 font-bold mt-1">${isSoldOut ? 'Habis' : `Rp ${formatCurrency(getSelfOrderPrice(p))}`}</p>
+                    </button>
+                `;
+            }).join('');
+
+        renderSelfOrderCartBar(products);
+    } catch (error) {
+        console.error('Failed to load self-order menu:', error);
+    }
+}
+
+function renderSelfOrderCartBar(products) {
+    const productsById = new Map(products.map(p => [p.id, p]));
+    const itemCount = selfOrderItems.reduce((sum, item) => sum + item.quantity, 0);
+    const total = selfOrderItems.reduce((sum, item) => sum + getSelfOrderPrice(productsById.get(item.id)) * item.quantity, 0);
+    document.getElementById('selfOrderCartBar').classList.toggle('hidden', itemCount === 0);
+    document.getElementById('selfOrderCartSummary').textContent = `${itemCount} item · Rp ${formatCurrency(total)}`;
+}
+
+window.selectSelfOrderCategory = function(categoryName) {
+    selfOrderCategory = categoryName;
+    renderSelfOrderMenu();
+}
+
+window.addSelfOrderItem = async function(productId) {
+    const product = await getFromDB('products', productId);
+    if (!product) return;
+    const item = selfOrderItems.find(i => i.id === productId);
+    if ((item ? item.quantity : 0) >= product.stock) {
+        showToast(`Stok ${product.name} tidak mencukupi.`);
+        return;
+    }
+    if (item) {
+        item.quantity++;
+    } else {
+        selfOrderItems.push({ id: productId, quantity: 1 });
+    }
+    playTone(1200, 0.1, 0.3, 'square');
+    await renderSelfOrderMenu();
+}
+
+window.showSelfOrderReview = async function() {
+    if (selfOrderItems.length === 0) return;
+    showSelfOrderView('review');
+    await renderSelfOrderReview();
+}
+
+window.backToSelfOrderMenu = async function() {
+    showSelfOrderView('menu');
+    await renderSelfOrderMenu();
+}
+
+async function renderSelfOrderReview() {
+    const products = new Map((await getAllFromDB('products')).map(p => [p.id, p]));
+    // Drop anything deleted from the menu since it was picked
+    selfOrderItems = selfOrderItems.filter(item => products.has(item.id));
+    if (selfOrderItems.length === 0) {
+        await backToSelfOrderMenu();
+        return;
     }
-    return lines;
+
+    let total = 0;
+    document.getElementById('selfOrderReviewItems').innerHTML = selfOrderItems.map(item => {
+        const product = products.get(item.id);
+        const lineTotal = getSelfOrderPrice(product) * item.quantity;
+        total += lineTotal;
+        return `
+            <div class="flex items-center gap-3 bg-white rounded-2xl shadow p-4">
+                <div class="flex-1">
+                    <p class="text-lg font-semibold">${product.name}</p>
+                    <p class="text-gray-500">Rp ${formatCurrency(lineTotal)}</p>
+                </div>
+                <button onclick="changeSelfOrderQuantity(${item.id}, -1)" class="w-12 h-12 rounded-full bg-gray-200 text-xl clickable"><i class="fas fa-minus"></i></button>
+                <span class="w-8 text-center text-xl font-bold">${item.quantity}</span>
+                <button onclick="changeSelfOrderQuantity(${item.id}, 1)" class="w-12 h-12 rounded-full bg-blue-500 text-white text-xl clickable"><i class="fas fa-plus"></i></button>
+            </div>
+        `;
+    }).join('');
+    document.getElementById('selfOrderReviewTotal').textContent = `Rp ${formatCurrency(total)}`;
 }
 
-async function printViaBluetooth() {
-    if (!bluetoothCharacteristic || !currentReceiptTransaction) {
-        showToast('Printer tidak terhubung atau tidak ada data struk.');
+window.changeSelfOrderQuantity = async function(productId, change) {
+    const item = selfOrderItems.find(i => i.id === productId);
+    if (!item) return;
+    const product = await getFromDB('products', productId);
+    if (change > 0 && product && item.quantity >= product.stock) {
+        showToast(`Stok ${product.name} tidak mencukupi.`);
         return;
     }
+    item.quantity += change;
+    if (item.quantity <= 0) {
+        selfOrderItems = selfOrderItems.filter(i => i.id !== productId);
+    }
+    await renderSelfOrderReview();
+}
+
+/**
+ * Saves the customer's order as pending and shows its number. Product
+ * serverId and barcode go with each line so a staff device can find the
+ * product after the order is synced to it.
+ */
+window.placeSelfOrder = async function() {
+    if (selfOrderItems.length === 0) return;
+    const button = document.getElementById('placeSelfOrderButton');
+    button.disabled = true;
 
     try {
-        const encoder = new EscPosEncoder.default();
-        const settings = await getAllFromDB('settings');
-        const settingsMap = new Map(settings.map(s => [s.key, s.value]));
-        const paperSize = settingsMap.get('printerPaperSize') || '80mm';
-        const paperWidthChars = paperSize === '58mm' ? 32 : 42;
-        const transaction = currentReceiptTransaction;
+        const products = new Map((await getAllFromDB('products')).map(p => [p.id, p]));
+        const items = selfOrderItems
+            .map(item => ({ item, product: products.get(item.id) }))
+            .filter(({ product }) => product && product.stock > 0)
+            .map(({ item, product }) => ({
+                id: product.id,
+                serverId: product.serverId || null,
+                barcode: product.barcode || null,
+                name: product.name,
+                category: product.category,
+                price: getSelfOrderPrice(product),
+                quantity: Math.min(item.quantity, product.stock)
+            }));
+        if (items.length === 0) {
+            showToast('Produk yang dipilih sudah habis.');
+            await resetSelfOrder();
+            return;
+        }
 
-        encoder.initialize().align('center');
+        const now = new Date().toISOString();
+        const order = {
+            orderNumber: await nextSelfOrderNumber(),
+            items,
+            total: items.reduce((sum, item) => sum + item.price * item.quantity, 0),
+            // Shown on the staff device, so markup typed on the kiosk is dropped
+            customerName: document.getElementById('selfOrderCustomerName').value.replace(/[<>]/g, '').trim() || null,
+            status: 'pending',
+            deviceId: await getDeviceId(),
+            transactionId: null,
+            createdAt: now,
+            updatedAt: now
+        };
+        const orderId = await putToDB('orders', order);
+        await queueSyncAction('CREATE_ORDER', { ...order, id: orderId });
+
+        selfOrderItems = [];
+        document.getElementById('selfOrderNumber').textContent = order.orderNumber;
+        document.getElementById('selfOrderDoneTotal').textContent = `Rp ${formatCurrency(order.total)}`;
+        showSelfOrderView('done');
+        playTone(880, 0.2, 0.3, 'sine');
+        restartSelfOrderTimer(SELF_ORDER_DONE_TIMEOUT);
+    } catch (error) {
+        console.error('Failed to place self-order:', error);
+        showToast('Pesanan gagal dikirim. Silakan coba lagi.');
+    } finally {
+        button.disabled = false;
+    }
+}
 
-        // Logo - Skipping for bluetooth printing to avoid complexity with image data
+// --- SUPERVISOR PIN ---
+// Sensitive actions such as voiding a sale ask for the supervisor PIN on the
+// kiosk PIN keypad. The supervisor PIN is separate from the kiosk PIN.
+// Manager and owner accounts can approve with their own PIN; the approver is
+// picked first, so a PIN is only ever checked against one account.
 
-        // Header
-        const storeName = settingsMap.get('storeName') || 'Toko Anda';
-        encoder.width(2).height(2).line(storeName).width(1).height(1);
+/**
+ * Asks for the supervisor PIN and runs `onVerified` once it is entered correctly.
+ */
+async function requestManagerPin(title, onVerified) {
+    // A manager or owner at the till approves their own actions
+    if (currentUser && hasPermission('approveActions')) {
+        await onVerified();
+        return;
+    }
+    const approvers = (await getAllFromDB('users')).filter(u => roleHasPermission(u.role, 'approveActions'));
+    const hasManagerPin = Boolean(await getSettingFromDB('managerPin'));
+    if (!hasManagerPin && approvers.length === 0) {
+        showToast('Atur PIN Supervisor atau akun Manajer di Pengaturan terlebih dahulu.');
+        return;
+    }
+    showEnterKioskPinModal();
+    pendingPinAction = onVerified;
+    document.getElementById('enterPinTitle').textContent = title;
+    document.getElementById('kioskRecoveryLink').classList.add('hidden');
+
+    const options = [
+        ...(hasManagerPin ? ['<option value="">PIN Supervisor</option>'] : []),
+        ...approvers.map(user => `<option value="${user.id}">${escapeHtml(user.name)} (${USER_ROLES[user.role]})</option>`)
+    ];
+    const approverSelect = document.getElementById('pinApprover');
+    approverSelect.innerHTML = options.join('');
+    approverSelect.classList.toggle('hidden', options.length < 2);
+    renderPinLockout();
+}
 
-        const address = settingsMap.get('storeAddress') || '';
-        if (address) {
-            // Split address by newline and wrap each part
-            address.split('\n').forEach(line => {
-                wrapText(line, paperWidthChars).forEach(wrappedLine => encoder.line(wrappedLine));
-            });
+async function checkManagerPin() {
+    const approverId = parseInt(document.getElementById('pinApprover').value, 10);
+    let isApproved;
+    if (approverId) {
+        const approver = await getFromDB('users', approverId);
+        isApproved = Boolean(approver) && roleHasPermission(approver.role, 'approveActions') && await verifySecret(currentPinInput, approver.pin);
+    } else {
+        isApproved = await verifySecret(currentPinInput, await getSettingFromDB('managerPin'));
+    }
+
+    if (isApproved) {
+        await resetPinFailures(getKeypadPinKey());
+        const action = pendingPinAction;
+        closeEnterKioskPinModal();
+        await action();
+    } else {
+        await rejectPinInput();
+    }
+}
+
+// PINs saved as plain text before hashing are hashed on the first start after the update
+async function upgradePlainPins() {
+    try {
+        for (const key of ['kioskPin', 'managerPin']) {
+            const value = await getSettingFromDB(key);
+            if (typeof value === 'string') await putSettingToDB({ key, value: await hashSecret(value) });
         }
-        
-        const feedbackPhone = settingsMap.get('storeFeedbackPhone') || '';
-        if (feedbackPhone) encoder.line(`Telp: ${feedbackPhone}`);
+        for (const user of await getAllFromDB('users')) {
+            if (typeof user.pin === 'string') await putToDB('users', { ...user, pin: await hashSecret(user.pin) });
+        }
+    } catch (error) {
+        // Without Web Crypto (plain http) the old PINs keep working until the app runs on https
+        console.error('Failed to hash stored PINs:', error);
+    }
+}
 
-        encoder.line(receiptLine('=', paperWidthChars));
+async function renderManagerPinStatus() {
+    const isSet = Boolean(await getSettingFromDB('managerPin'));
+    const statusEl = document.getElementById('managerPinStatus');
+    statusEl.textContent = isSet ? 'PIN Supervisor sudah diatur.' : 'PIN Supervisor belum diatur.';
+    statusEl.className = isSet ? 'text-sm text-green-600' : 'text-sm text-gray-500';
+}
 
-        // Info
-        encoder.align('left');
-        const rightAlign = (text, len) => ' '.repeat(len - text.length) + text;
-        encoder.line(`No: ${rightAlign(String(transaction.id), paperWidthChars - 4)}`);
-        const dateStr = new Date(transaction.date).toLocaleString('id-ID');
-        encoder.line(`Tgl: ${rightAlign(dateStr, paperWidthChars - 5)}`);
-        
-        encoder.line(receiptLine('-', paperWidthChars));
+window.saveManagerPin = async function() {
+    // The supervisor PIN approves voids and price changes, so only whoever manages
+    // accounts may set it, the first time included. Without accounts that is anyone.
+    if (!requirePermission('manageUsers')) return;
+    const newPinInput = document.getElementById('newManagerPin');
+    const confirmPinInput = document.getElementById('confirmManagerPin');
+    const newPin = newPinInput.value;
 
-        // Items
-        transaction.items.forEach(item => {
-            // Print item name, wrapped if necessary
-            wrapText(item.name, paperWidthChars).forEach(line => encoder.line(line));
+    if (!/^\d{4}$/.test(newPin)) {
+        showToast('PIN harus 4 digit angka.');
+        return;
+    }
+    if (newPin !== confirmPinInput.value) {
+        showToast('PIN tidak cocok.');
+        return;
+    }
 
-            // Print discount if applicable, indented
-            if (item.discountPercentage > 0) {
-                 encoder.line(`  Disc ${item.discountPercentage}% @ ${formatCurrency(item.price)}`);
-            }
-            
-            // Print quantity and price details, right-aligned
-            const priceDetails = `${item.quantity}x ${formatCurrency(item.effectivePrice)}`;
-            const totalPrice = `Rp ${formatCurrency(item.effectivePrice * item.quantity)}`;
-            const detailsLine = `${priceDetails}${' '.repeat(paperWidthChars - priceDetails.length - totalPrice.length)}${totalPrice}`;
-            encoder.line(detailsLine);
-        });
-        
-        encoder.line(receiptLine('-', paperWidthChars));
+    const save = async () => {
+        try {
+            await putSettingToDB({ key: 'managerPin', value: await hashSecret(newPin) });
+            newPinInput.value = '';
+            confirmPinInput.value = '';
+            await renderManagerPinStatus();
+            showToast('PIN Supervisor berhasil disimpan.');
+        } catch (error) {
+            console.error('Failed to save supervisor PIN:', error);
+            showToast('Gagal menyimpan PIN. Pastikan aplikasi dibuka lewat https.');
+        }
+    };
 
-        // Totals
-        const renderTotalLineForPrinter = (label, amount) => {
-            const formattedAmount = `Rp ${formatCurrency(amount)}`;
-            const spaces = paperWidthChars - label.length - formattedAmount.length;
-            encoder.line(`${label}${' '.repeat(Math.max(1, spaces))}${formattedAmount}`);
-        };
+    // Replacing a PIN needs the current one
+    if (await getSettingFromDB('managerPin')) {
+        requestManagerPin('PIN Supervisor Lama', save);
+    } else {
+        await save();
+    }
+}
 
-        renderTotalLineForPrinter('Subtotal', transaction.subtotal - transaction.totalDiscount);
-        transaction.fees.forEach(fee => {
-            renderTotalLineForPrinter(fee.name, fee.amount);
-        });
-        
-        encoder.line(receiptLine('-', paperWidthChars));
 
-        // Final totals
-        encoder.bold(true);
-        renderTotalLineForPrinter('TOTAL', transaction.total);
-        renderTotalLineForPrinter('TUNAI', transaction.cashPaid);
-        renderTotalLineForPrinter('KEMBALI', transaction.change);
-        encoder.bold(false);
+// --- USERS & PERMISSIONS ---
+// Accounts are optional: until the first one is made the app stays open to everyone,
+// as before. Once there is an account, every session starts at the login screen and
+// sensitive actions check the role of the logged-in user.
 
-        // Footer
-        encoder.line(receiptLine('=', paperWidthChars))
-            .align('center');
+const USER_ROLES = {
+    owner: 'Pemilik',
+    manager: 'Manajer',
+    cashier: 'Kasir'
+};
 
-        const footerText = settingsMap.get('storeFooterText') || 'Terima Kasih!';
-        if (footerText) {
-             wrapText(footerText, paperWidthChars).forEach(line => encoder.line(line));
-        }
+// Permission names, worded to finish "Akun Anda tidak dapat ..."
+const PERMISSIONS = {
+    manageProducts: 'mengelola produk',
+    manageFees: 'mengatur pajak & biaya',
+    manageSettings: 'mengubah pengaturan toko',
+    viewReports: 'melihat laporan',
+    manageData: 'mengimpor atau mengekspor data',
+    clearData: 'menghapus semua data',
+    manageUsers: 'mengelola pengguna & PIN Supervisor',
+    approveActions: 'menyetujui void, retur atau ubah harga'
+};
 
-        encoder.feed(3).cut();
+const ROLE_PERMISSIONS = {
+    owner: Object.keys(PERMISSIONS),
+    manager: ['manageProducts', 'manageFees', 'viewReports', 'approveActions'],
+    cashier: []
+};
 
-        await bluetoothCharacteristic.writeValue(encoder.encode());
-        showToast('Struk berhasil dicetak.');
+// Pages only some roles may open
+const PAGE_PERMISSIONS = {
+    laporan: 'viewReports',
+    promosi: 'manageProducts'
+};
 
-    } catch (error) {
-        console.error('Bluetooth print failed:', error);
-        showToast('Gagal mencetak struk.');
-    }
-}
+const roleHasPermission = (role, permission) => (ROLE_PERMISSIONS[role] || []).includes(permission);
 
-// --- RECEIPT PREVIEW ---
-window.showPreviewReceiptModal = async function() {
-    if (cart.items.length === 0) {
-        showToast('Keranjang kosong, tidak ada yang bisa ditampilkan.');
-        return;
-    }
-    await generatePreviewReceiptContent();
-    document.getElementById('previewReceiptModal').classList.remove('hidden');
+function hasPermission(permission) {
+    if (!hasUserAccounts) return true;
+    return Boolean(currentUser) && roleHasPermission(currentUser.role, permission);
 }
 
-window.closePreviewReceiptModal = function() {
-    document.getElementById('previewReceiptModal').classList.add('hidden');
+/** Checks a permission before an action and tells the user when it is missing. */
+function requirePermission(permission) {
+    if (hasPermission(permission)) return true;
+    showToast(`Akses ditolak. Akun Anda tidak dapat ${PERMISSIONS[permission]}.`);
+    return false;
 }
 
-async function generatePreviewReceiptContent() {
-    const receiptContentEl = document.getElementById('previewReceiptContent');
-
-    // Create a transaction-like object from the current cart state
-    const subtotal = cart.items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-    const totalDiscount = cart.items.reduce((sum, item) => {
-         const discountAmount = item.price * (item.discountPercentage / 100);
-         return sum + (discountAmount * item.quantity);
-    }, 0);
-    
-    const subtotalAfterDiscount = subtotal - totalDiscount;
-
-    let calculatedFees = [];
-    let totalFeeAmount = 0;
-    cart.fees.forEach(fee => {
-        const feeAmount = fee.type === 'percentage' 
-            ? subtotalAfterDiscount * (fee.value / 100) 
-            : fee.value;
-        calculatedFees.push({ ...fee, amount: feeAmount });
-        totalFeeAmount += feeAmount;
+// Settings sections carry the permission they need in data-permission
+function renderSettingsAccess() {
+    document.querySelectorAll('#pengaturan [data-permission]').forEach(el => {
+        el.classList.toggle('hidden', !hasPermission(el.dataset.permission));
     });
-    
-    const total = subtotalAfterDiscount + totalFeeAmount;
+}
 
-    const previewData = {
-        items: cart.items,
-        subtotal: subtotal,
-        totalDiscount: totalDiscount,
-        fees: calculatedFees,
-        total: total,
-    };
+// Stamped on sales, refunds and shifts for per-staff reporting. The name is kept
+// too, so reports still read after an account is deleted.
+const getCashierStamp = () => ({
+    cashierId: currentUser ? currentUser.id : null,
+    cashierName: currentUser ? currentUser.name : null
+});
 
-    receiptContentEl.innerHTML = await _generateReceiptHTML(previewData, true);
+async function loadUsers() {
+    const users = await getAllFromDB('users');
+    hasUserAccounts = users.length > 0;
+    return users;
 }
 
+function renderCurrentUser() {
+    document.getElementById('currentUserBadge').classList.toggle('hidden', !currentUser);
+    if (currentUser) {
+        document.getElementById('currentUserName').textContent = `${currentUser.name} (${USER_ROLES[currentUser.role]})`;
+    }
+}
 
-// --- KIOSK MODE ---
-
-function activateKioskMode() {
-    isKioskModeActive = true;
-    document.getElementById('bottomNav').classList.add('hidden');
-    document.getElementById('exitKioskBtn').classList.remove('hidden');
-    showPage('kasir'); // Force navigation to cashier
-    showToast('Mode Kios diaktifkan');
+async function showLoginScreen() {
+    currentUser = null;
+    renderCurrentUser();
+    const users = (await loadUsers()).sort((a, b) => a.name.localeCompare(b.name));
+    document.getElementById('loginUserList').innerHTML = users.map(user => `
+        <button onclick="selectLoginUser(${user.id})" class="card p-4 w-full flex items-center gap-3 clickable text-left">
+            <i class="fas fa-user-circle text-3xl text-blue-500"></i>
+            <div>
+                <p class="font-semibold">${escapeHtml(user.name)}</p>
+                <p class="text-xs text-gray-500">${USER_ROLES[user.role]}</p>
+            </div>
+        </button>
+    `).join('');
+    document.getElementById('loginScreen').classList.remove('hidden');
 }
 
-function deactivateKioskMode() {
-    isKioskModeActive = false;
-    document.getElementById('bottomNav').classList.remove('hidden');
-    document.getElementById('exitKioskBtn').classList.add('hidden');
-    showToast('Mode Kios dinonaktifkan.');
-    closeEnterKioskPinModal();
+// The PIN is entered on the kiosk PIN keypad, which hands it to checkLoginPin
+window.selectLoginUser = async function(userId) {
+    const user = await getFromDB('users', userId);
+    if (!user) return;
+    showEnterKioskPinModal();
+    pendingLoginUser = user;
+    document.getElementById('enterPinTitle').textContent = `PIN ${user.name}`;
+    document.getElementById('kioskRecoveryLink').classList.add('hidden');
+    renderPinLockout();
 }
 
-window.handleKioskModeToggle = async function(isChecked) {
-    const toggle = document.getElementById('kioskModeToggle');
-    if (isChecked) {
-        const savedPin = await getSettingFromDB('kioskPin');
-        if (savedPin) {
-            activateKioskMode();
-            putSettingToDB({ key: 'kioskModeEnabled', value: true });
-        } else {
-            // Uncheck the toggle visually until a PIN is set
-            toggle.checked = false; 
-            showSetKioskPinModal();
-        }
-    } else {
-        // Exiting kiosk mode requires PIN verification
-        const savedPin = await getSettingFromDB('kioskPin');
-        if (savedPin) {
-             toggle.checked = true; // Re-check the toggle as it's not disabled yet
-             showEnterKioskPinModal();
-        } else {
-             // This case should not happen if logic is correct, but as a fallback:
-            deactivateKioskMode();
-            putSettingToDB({ key: 'kioskModeEnabled', value: false });
-        }
+async function checkLoginPin() {
+    if (!await verifySecret(currentPinInput, pendingLoginUser.pin)) {
+        await rejectPinInput();
+        return;
     }
+    await resetPinFailures(getKeypadPinKey());
+    currentUser = pendingLoginUser;
+    closeEnterKioskPinModal();
+    document.getElementById('loginScreen').classList.add('hidden');
+    renderCurrentUser();
+    renderSettingsAccess();
+    showToast(`Selamat datang, ${currentUser.name}.`);
+
+    const pagePermission = PAGE_PERMISSIONS[currentPage];
+    if (pagePermission && !hasPermission(pagePermission)) showPage('dashboard');
 }
 
-function showSetKioskPinModal() {
-    document.getElementById('setKioskPinModal').classList.remove('hidden');
-    document.getElementById('newKioskPin').value = '';
-    document.getElementById('confirmKioskPin').value = '';
+window.logout = function() {
+    showConfirmationModal(
+        'Keluar Akun',
+        'Keluar dari akun ini? Pengguna berikutnya harus masuk dengan PIN.',
+        showLoginScreen,
+        'Ya, Keluar'
+    );
 }
-window.showSetKioskPinModal = showSetKioskPinModal;
 
+async function loadUsersList() {
+    const listEl = document.getElementById('usersList');
+    const users = await loadUsers();
+    document.getElementById('userRoleGroup').classList.toggle('hidden', !hasUserAccounts);
 
-window.closeSetKioskPinModal = function() {
-    document.getElementById('setKioskPinModal').classList.add('hidden');
-    // If the user cancels setting a PIN, ensure the kiosk toggle is off.
-    const kioskToggle = document.getElementById('kioskModeToggle');
-    kioskToggle.checked = false;
+    if (users.length === 0) {
+        listEl.innerHTML = '<p class="text-gray-500 text-center py-2">Belum ada akun. Aplikasi terbuka untuk semua orang.</p>';
+        return;
+    }
+    listEl.innerHTML = users.map(user => `
+        <div class="flex justify-between items-center bg-gray-100 p-2 rounded-lg">
+            <div>
+                <p class="font-semibold">${escapeHtml(user.name)}${currentUser && currentUser.id === user.id ? ' <span class="text-xs text-green-600">(Anda)</span>' : ''}</p>
+                <p class="text-xs text-gray-500">${USER_ROLES[user.role]}</p>
+            </div>
+            <div class="flex items-center gap-3">
+                <button onclick="editUser(${user.id})" class="text-blue-500 clickable"><i class="fas fa-edit"></i></button>
+                <button onclick="deleteUser(${user.id})" class="text-red-500 clickable"><i class="fas fa-trash"></i></button>
+            </div>
+        </div>
+    `).join('');
 }
 
-window.saveKioskPinAndActivate = async function() {
-    const newPin = document.getElementById('newKioskPin').value;
-    const confirmPin = document.getElementById('confirmKioskPin').value;
+function resetUserForm() {
+    document.getElementById('userId').value = '';
+    document.getElementById('userName').value = '';
+    document.getElementById('userRole').value = 'cashier';
+    document.getElementById('userPin').value = '';
+    document.getElementById('userPinConfirm').value = '';
+    document.getElementById('userFormTitle').textContent = 'Tambah Pengguna';
+    document.getElementById('userCancelEditButton').classList.add('hidden');
+}
+window.resetUserForm = resetUserForm;
+
+window.editUser = async function(id) {
+    if (!requirePermission('manageUsers')) return;
+    const user = await getFromDB('users', id);
+    if (!user) return;
+
+    document.getElementById('userId').value = user.id;
+    document.getElementById('userName').value = user.name;
+    document.getElementById('userRole').value = user.role;
+    document.getElementById('userPin').value = '';
+    document.getElementById('userPinConfirm').value = '';
+    document.getElementById('userFormTitle').textContent = `Ubah Pengguna: ${user.name}`;
+    document.getElementById('userCancelEditButton').classList.remove('hidden');
+}
+
+window.saveUser = async function() {
+    if (!requirePermission('manageUsers')) return;
+    const id = parseInt(document.getElementById('userId').value, 10);
+    const name = document.getElementById('userName').value.trim();
+    const pin = document.getElementById('userPin').value;
+    // The first account owns the app, otherwise nobody could manage accounts
+    const role = hasUserAccounts ? document.getElementById('userRole').value : 'owner';
 
-    if (newPin.length !== 4) {
-        showToast('PIN harus 4 digit.');
+    if (!name) {
+        showToast('Nama pengguna wajib diisi.');
         return;
     }
-    if (newPin !== confirmPin) {
+    // A PIN left empty while editing keeps the current one
+    if ((!id || pin) && !/^\d{4}$/.test(pin)) {
+        showToast('PIN harus 4 digit angka.');
+        return;
+    }
+    if (pin !== document.getElementById('userPinConfirm').value) {
         showToast('PIN tidak cocok.');
         return;
     }
 
-    await putSettingToDB({ key: 'kioskPin', value: newPin });
-    await putSettingToDB({ key: 'kioskModeEnabled', value: true });
+    try {
+        const users = await getAllFromDB('users');
+        const existing = id ? users.find(u => u.id === id) : null;
+        if (id && !existing) return;
+        if (existing && existing.role === 'owner' && role !== 'owner' && users.filter(u => u.role === 'owner').length === 1) {
+            showToast('Harus ada minimal satu akun Pemilik.');
+            return;
+        }
 
-    document.getElementById('setKioskPinModal').classList.add('hidden');
-    document.getElementById('kioskModeToggle').checked = true;
-    activateKioskMode();
-}
+        const user = existing
+            ? { ...existing, name, role, pin: pin ? await hashSecret(pin) : existing.pin, updatedAt: new Date().toISOString() }
+            : { name, role, pin: await hashSecret(pin), createdAt: new Date().toISOString() };
+        const userId = await putToDB('users', user);
 
-window.showEnterKioskPinModal = function() {
-    document.getElementById('enterKioskPinModal').classList.remove('hidden');
-    currentPinInput = "";
-    updatePinDisplay();
-    document.getElementById('kioskPinError').textContent = '';
+        if (!hasUserAccounts) {
+            // Whoever makes the first account carries on as that account
+            currentUser = { ...user, id: userId };
+            showToast('Akun Pemilik dibuat. Mulai sekarang aplikasi meminta login dengan PIN.');
+        } else {
+            if (currentUser && currentUser.id === userId) currentUser = { ...user, id: userId };
+            showToast(existing ? 'Pengguna berhasil diperbarui.' : 'Pengguna berhasil ditambahkan.');
+        }
+        renderCurrentUser();
+        renderSettingsAccess();
+        resetUserForm();
+        await loadUsersList();
+    } catch (error) {
+        console.error('Failed to save user:', error);
+        showToast('Gagal menyimpan pengguna.');
+    }
 }
 
-window.closeEnterKioskPinModal = function() {
-    document.getElementById('enterKioskPinModal').classList.add('hidden');
-    currentPinInput = "";
-    updatePinDisplay();
-}
+window.deleteUser = async function(id) {
+    if (!requirePermission('manageUsers')) return;
+    const users = await getAllFromDB('users');
+    const user = users.find(u => u.id === id);
+    if (!user) return;
+    if (currentUser && currentUser.id === id) {
+        showToast('Tidak dapat menghapus akun yang sedang dipakai.');
+        return;
+    }
+    if (user.role === 'owner' && users.filter(u => u.role === 'owner').length === 1) {
+        showToast('Harus ada minimal satu akun Pemilik.');
+        return;
+    }
 
-function updatePinDisplay() {
-    const displayDivs = document.querySelectorAll('#kioskPinDisplay div');
-    displayDivs.forEach((div, index) => {
-        if (index < currentPinInput.length) {
-            div.classList.add('bg-blue-500');
-            div.classList.remove('bg-gray-300');
-        } else {
-            div.classList.remove('bg-blue-500');
-            div.classList.add('bg-gray-300');
+    showConfirmationModal('Hapus Pengguna', `Yakin ingin menghapus akun <b>${escapeHtml(user.name)}</b>?`, async () => {
+        try {
+            await deleteFromDB('users', id);
+            showToast('Pengguna berhasil dihapus.');
+            await loadUsersList();
+        } catch (error) {
+            console.error('Failed to delete user:', error);
+            showToast('Gagal menghapus pengguna.');
         }
-    });
+    }, 'Ya, Hapus', 'bg-red-500');
 }
 
-window.handlePinKeyPress = function(key) {
-    const errorEl = document.getElementById('kioskPinError');
-    errorEl.textContent = ''; // Clear error on new keypress
-
-    if (key === 'backspace') {
-        currentPinInput = currentPinInput.slice(0, -1);
-    } else if (key === 'clear') {
-        currentPinInput = "";
-    } else if (currentPinInput.length < 4) {
-        currentPinInput += key;
-    }
 
-    updatePinDisplay();
+// --- SERVICE WORKER ---
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
 
-    if (currentPinInput.length === 4) {
-        checkKioskPin();
-    }
-}
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.warn('Service worker registration failed:', error);
+    });
 
-async function checkKioskPin() {
-    const savedPin = await getSettingFromDB('kioskPin');
-    const displayContainer = document.getElementById('kioskPinDisplay');
-    const errorEl = document.getElementById('kioskPinError');
+    // The service worker reports back after draining the queue through Background Sync
+    navigator.serviceWorker.addEventListener('message', event => {
+        if (event.data?.type !== 'sync-complete') return;
+        updateSyncStatusUI(event.data.status);
+        if (currentPage === 'dashboard') loadDashboard();
+        if (currentPage === 'produk') window.loadProductsList();
+        if (currentPage === 'pengaturan') loadSyncQueueInspector();
+        loadProductsGrid();
+    });
 
-    if (currentPinInput === savedPin) {
-        putSettingToDB({ key: 'kioskModeEnabled', value: false });
-        const kioskToggle = document.getElementById('kioskModeToggle');
-        if (kioskToggle) kioskToggle.checked = false;
-        deactivateKioskMode();
-    } else {
-        errorEl.textContent = 'PIN Salah';
-        displayContainer.classList.add('animate-shake');
-        setTimeout(() => {
-            displayContainer.classList.remove('animate-shake');
-            currentPinInput = "";
-            updatePinDisplay();
-        }, 500);
-    }
+    // Changes still waiting for the debounced sync are handed over when the app is closed
+    window.addEventListener('pagehide', () => {
+        if (syncDebounceTimer) registerBackgroundSync();
+    });
 }
 
-
 // --- INITIALIZATION ---
 function init() {
     const loadingOverlay = document.getElementById('loadingOverlay');
+
+    registerServiceWorker();
     
     // Check for essential dependencies that are loaded via CDN
     const checkDependencies = () => {
@@ -3306,7 +8119,12 @@ function init() {
 
         // Load all necessary data
         await loadSettings();
+        await upgradePlainPins();
+        await upgradeFeeProductScopes();
+        await loadCurrentShift();
+        if ((await loadUsers()).length > 0) await showLoginScreen();
         await applyDefaultFees();
+        await loadPromotionRules();
         await populateCategoryDropdowns(['productCategory', 'editProductCategory', 'productCategoryFilter']);
         loadDashboard();
         
@@ -3369,6 +8187,12 @@ function init() {
             }
         }, 60 * 1000); // Check every minute
 
+        // Self-orders from other devices only arrive with a sync, so pull while the cashier page is open
+        setInterval(() => {
+            if (currentPage === 'kasir' && isOnline) window.syncWithServer();
+        }, PENDING_ORDERS_POLL_INTERVAL);
+
+        document.getElementById('selfOrderScreen').addEventListener('pointerdown', () => restartSelfOrderTimer());
 
     }).catch(error => {
         console.error("Initialization failed:", error);
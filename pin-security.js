@@ -0,0 +1,82 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+
+// PIN security for POS Mobile.
+// PINs and recovery codes are stored as salted PBKDF2 hashes made with Web Crypto,
+// never as the digits themselves. A 4-digit PIN has only 10.000 options, so the hash
+// mostly keeps PINs out of backups and exports; guessing on the device is stopped by
+// the lockout below. Web Crypto only runs on https:// or localhost.
+
+const PBKDF2_ITERATIONS = 100000;
+
+const toHex = (bytes) => Array.from(new Uint8Array(bytes), byte => byte.toString(16).padStart(2, '0')).join('');
+const fromHex = (hex) => new Uint8Array(hex.match(/../g).map(byte => parseInt(byte, 16)));
+
+async function deriveHash(secret, salt, iterations) {
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+    return toHex(bits);
+}
+
+/**
+ * Hashes a PIN or recovery code with a fresh random salt.
+ * @returns {Promise<{salt: string, hash: string, iterations: number}>}
+ */
+export async function hashSecret(secret) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    return {
+        salt: toHex(salt),
+        hash: await deriveHash(secret, salt, PBKDF2_ITERATIONS),
+        iterations: PBKDF2_ITERATIONS
+    };
+}
+
+/**
+ * Checks a secret against what was stored for it. A plain-text PIN saved before
+ * hashing still matches, so it can be hashed on the next start.
+ * @param {string} secret
+ * @param {string|{salt: string, hash: string, iterations: number}|null|undefined} stored
+ */
+export async function verifySecret(secret, stored) {
+    if (!stored) return false;
+    if (typeof stored === 'string') return secret === stored;
+    return await deriveHash(secret, fromHex(stored.salt), stored.iterations) === stored.hash;
+}
+
+// Letters and digits that cannot be misread on paper: no 0/O or 1/I/L
+const RECOVERY_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const RECOVERY_CODE_LENGTH = 12;
+
+/** A random recovery code, e.g. "K7QM-2XPA-9RTE". */
+export function createRecoveryCode() {
+    const chars = [];
+    // Bytes past the last full multiple of the alphabet are skipped, so every character is equally likely
+    const limit = 256 - (256 % RECOVERY_CODE_ALPHABET.length);
+    while (chars.length < RECOVERY_CODE_LENGTH) {
+        crypto.getRandomValues(new Uint8Array(RECOVERY_CODE_LENGTH)).forEach(byte => {
+            if (byte < limit && chars.length < RECOVERY_CODE_LENGTH) {
+                chars.push(RECOVERY_CODE_ALPHABET[byte % RECOVERY_CODE_ALPHABET.length]);
+            }
+        });
+    }
+    return [0, 4, 8].map(start => chars.slice(start, start + 4).join('')).join('-');
+}
+
+// Codes are hashed and compared without dashes, spaces or case, as people type them differently
+export const normalizeRecoveryCode = (code) => code.toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+export const PIN_FREE_ATTEMPTS = 5;
+const LOCKOUT_BASE_MS = 30 * 1000;
+const LOCKOUT_MAX_MS = 15 * 60 * 1000;
+
+/**
+ * How long the PIN keypad stays locked after a number of wrong PINs in a row:
+ * nothing for the first five, then 30 seconds, doubling with every further
+ * miss up to 15 minutes.
+ */
+export function getLockoutDuration(failures) {
+    if (failures < PIN_FREE_ATTEMPTS) return 0;
+    return Math.min(LOCKOUT_BASE_MS * 2 ** (failures - PIN_FREE_ATTEMPTS), LOCKOUT_MAX_MS);
+}
@@ -0,0 +1,110 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+
+// Promotion engine for POS Mobile.
+// Works out which automatic promotions apply to a cart and what they take off.
+
+// Bundles claim their units first, then buy X get Y, then happy hour takes its
+// percentage off whatever is left, so a unit is never discounted twice
+const PROMOTION_ORDER = ['bundle', 'buy_x_get_y', 'happy_hour'];
+
+const padTime = (value) => String(value).padStart(2, '0');
+const toLocalDateString = (date) => `${date.getFullYear()}-${padTime(date.getMonth() + 1)}-${padTime(date.getDate())}`;
+const toLocalTimeString = (date) => `${padTime(date.getHours())}:${padTime(date.getMinutes())}`;
+
+/**
+ * Whether `now` falls within the validFrom/validUntil dates of a promotion or
+ * promo code. Both are whole local days, so a code ending today runs until midnight.
+ */
+export function isWithinValidDates(record, now) {
+    const today = toLocalDateString(now);
+    return !(record.validFrom && today < record.validFrom) && !(record.validUntil && today > record.validUntil);
+}
+
+/**
+ * Whether a promotion applies at `now`: switched on, within its dates and, for
+ * happy hour, on one of its days and inside its time window. A window whose end
+ * is before its start runs past midnight.
+ */
+export function isPromotionRunning(promotion, now) {
+    if (!promotion.active || !isWithinValidDates(promotion, now)) return false;
+    if (promotion.type !== 'happy_hour') return true;
+
+    if (promotion.days && promotion.days.length > 0 && !promotion.days.includes(now.getDay())) return false;
+    const time = toLocalTimeString(now);
+    const { startTime, endTime } = promotion;
+    return startTime <= endTime
+        ? time >= startTime && time < endTime
+        : time >= startTime || time < endTime;
+}
+
+/**
+ * Evaluates promotion rules against cart items. It reads nothing but its
+ * arguments, so it gives the same answer for the same cart, rules and time.
+ * Items whose price was overridden are left out; a supervisor already set their price.
+ *
+ * Rules by type:
+ * - buy_x_get_y: {productId, buyQuantity, freeQuantity}; every group of
+ *   buy + free units of the product gets the free units for nothing.
+ * - bundle: {bundleItems: [{productId, quantity}], bundlePrice}; every complete
+ *   set in the cart is sold at the bundle price.
+ * - happy_hour: {category, percentage, startTime, endTime, days}; takes a
+ *   percentage off the category (or everything when category is empty).
+ *
+ * @param {Array<{id: number, category?: string, effectivePrice: number, quantity: number, priceOverridden?: boolean}>} items
+ * @param {object[]} promotions - Records from the promotions store.
+ * @param {Date} now
+ * @returns {Array<{promotionId: number, name: string, type: string, amount: number}>}
+ *   The promotions that took something off, in the order they were applied.
+ */
+export function evaluatePromotions(items, promotions, now) {
+    // Units of each product not yet claimed by a promotion
+    const remaining = new Map(items.filter(item => !item.priceOverridden).map(item => [item.id, item.quantity]));
+    const priceOf = new Map(items.map(item => [item.id, item.effectivePrice]));
+    const claim = (productId, quantity) => remaining.set(productId, remaining.get(productId) - quantity);
+
+    const running = promotions
+        .filter(promotion => isPromotionRunning(promotion, now))
+        .sort((a, b) => PROMOTION_ORDER.indexOf(a.type) - PROMOTION_ORDER.indexOf(b.type));
+
+    const applied = [];
+    running.forEach(promotion => {
+        let amount = 0;
+
+        if (promotion.type === 'bundle') {
+            const parts = promotion.bundleItems || [];
+            const sets = parts.length > 0
+                ? Math.min(...parts.map(part => Math.floor((remaining.get(part.productId) || 0) / part.quantity)))
+                : 0;
+            if (sets > 0) {
+                const normalPrice = parts.reduce((sum, part) => sum + priceOf.get(part.productId) * part.quantity, 0);
+                // A bundle dearer than its parts is no promotion; leave the units for others
+                if (normalPrice > promotion.bundlePrice) {
+                    parts.forEach(part => claim(part.productId, part.quantity * sets));
+                    amount = (normalPrice - promotion.bundlePrice) * sets;
+                }
+            }
+        } else if (promotion.type === 'buy_x_get_y') {
+            const groupSize = promotion.buyQuantity + promotion.freeQuantity;
+            const groups = groupSize > 0 ? Math.floor((remaining.get(promotion.productId) || 0) / groupSize) : 0;
+            if (groups > 0) {
+                claim(promotion.productId, groups * groupSize);
+                amount = groups * promotion.freeQuantity * priceOf.get(promotion.productId);
+            }
+        } else if (promotion.type === 'happy_hour') {
+            items.forEach(item => {
+                const units = remaining.get(item.id) || 0;
+                if (units === 0 || (promotion.category && item.category !== promotion.category)) return;
+                claim(item.id, units);
+                amount += units * item.effectivePrice * (promotion.percentage / 100);
+            });
+        }
+
+        if (amount > 0) {
+            applied.push({ promotionId: promotion.id, name: promotion.name, type: promotion.type, amount });
+        }
+    });
+    return applied;
+}
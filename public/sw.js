@@ -0,0 +1,181 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+
+// Service worker for POS Mobile.
+// - Precaches the app shell and every script and stylesheet index.html loads,
+//   CDN libraries included, so the scanner and printer work when the device
+//   boots offline.
+// - Drains sync_queue on Background Sync, even after the app was closed.
+
+importScripts('sync-engine.js');
+
+// Bump to drop every cached file on the next activation
+const CACHE_NAME = 'pos-mobile-v1';
+const BACKGROUND_SYNC_TAG = 'pos-sync-queue';
+
+const APP_SHELL = [
+    './',
+    'manifest.webmanifest',
+    'sync-engine.js',
+    'icons/icon-192.png',
+    'icons/icon-512.png'
+];
+
+// Only these request types are served from the cache. Everything else, such as
+// the sync server's API, always goes to the network.
+const CACHED_DESTINATIONS = ['script', 'style', 'font', 'image', 'manifest'];
+
+// --- PRECACHE ---
+/**
+ * Lists the scripts and stylesheets the app's HTML loads. Built assets carry a
+ * content hash in their names, so they are read from the page instead of listed here.
+ */
+function findPageAssets(html) {
+    const pattern = /<(?:script|link)\b[^>]*?\s(?:src|href)="([^"]+)"/gi;
+    return [...html.matchAll(pattern)].map(([, url]) => new URL(url, self.registration.scope).href);
+}
+
+// Icon fonts are loaded by stylesheets rather than by the page itself
+function findStylesheetFonts(css, stylesheetUrl) {
+    const pattern = /url\(["']?([^"')]+\.woff2)["']?\)/gi;
+    return [...css.matchAll(pattern)].map(([, url]) => new URL(url, stylesheetUrl).href);
+}
+
+async function fetchForCache(url) {
+    if (new URL(url).origin === self.location.origin) return fetch(url);
+    try {
+        return await fetch(url, { mode: 'cors' });
+    } catch (error) {
+        // CDNs without CORS headers can still be cached as opaque responses
+        return fetch(url, { mode: 'no-cors' });
+    }
+}
+
+async function precacheAsset(cache, url) {
+    const response = await fetchForCache(url);
+    if (!response.ok && response.type !== 'opaque') {
+        throw new Error(`${response.status} ${url}`);
+    }
+    await cache.put(url, response.clone());
+
+    if (response.type !== 'opaque' && (response.headers.get('Content-Type') || '').includes('text/css')) {
+        const fonts = findStylesheetFonts(await response.text(), url);
+        await Promise.all(fonts.map(fontUrl => precacheAsset(cache, fontUrl)));
+    }
+}
+
+async function precache() {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.addAll(APP_SHELL);
+
+    const html = await (await cache.match('./')).text();
+    const results = await Promise.allSettled(findPageAssets(html).map(url => precacheAsset(cache, url)));
+    results
+        .filter(result => result.status === 'rejected')
+        .forEach(result => console.warn('[SW] Could not precache:', result.reason));
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const cacheNames = await caches.keys();
+        await Promise.all(cacheNames.filter(name => name !== CACHE_NAME).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// --- FETCH ---
+// The app's own files: fresh from the network when online, from the cache when not
+async function networkFirst(request, cacheKey = request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(cacheKey, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(cacheKey, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// CDN libraries: from the cache right away, refreshed in the background
+async function staleWhileRevalidate(event) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(event.request);
+    const update = fetch(event.request).then(response => {
+        if (response.ok || response.type === 'opaque') cache.put(event.request, response.clone());
+        return response;
+    });
+
+    if (!cached) return update;
+    event.waitUntil(update.catch(() => {}));
+    return cached;
+}
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    // The app is a single page, so every navigation falls back to the cached shell
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, './'));
+        return;
+    }
+    if (!CACHED_DESTINATIONS.includes(request.destination)) return;
+
+    if (new URL(request.url).origin === self.location.origin) {
+        event.respondWith(networkFirst(request));
+    } else {
+        event.respondWith(staleWhileRevalidate(event));
+    }
+});
+
+// --- BACKGROUND SYNC ---
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open('POS_DB');
+        // Only the app creates and migrates the database
+        request.onupgradeneeded = () => request.transaction.abort();
+        request.onsuccess = () => {
+            const db = request.result;
+            // Step aside when the app opens the database with a newer version
+            db.onversionchange = () => db.close();
+            resolve(db);
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Runs a full sync from the service worker and tells open windows the outcome.
+ * Rejects when the server is unreachable, so the browser retries later.
+ */
+async function drainSyncQueue() {
+    const db = await openDatabase();
+    try {
+        self.PosSyncEngine.attach(db);
+        const { configured, hasConflicts, failedCount, deadLetterCount } = await self.PosSyncEngine.runSync();
+
+        let status = 'synced';
+        if (!configured) status = 'unconfigured';
+        else if (hasConflicts) status = 'conflict';
+        else if (failedCount > 0 || deadLetterCount > 0) status = 'error';
+
+        const windows = await self.clients.matchAll({ type: 'window' });
+        windows.forEach(client => client.postMessage({ type: 'sync-complete', status }));
+    } finally {
+        db.close();
+    }
+}
+
+self.addEventListener('sync', event => {
+    if (event.tag === BACKGROUND_SYNC_TAG) {
+        event.waitUntil(drainSyncQueue());
+    }
+});
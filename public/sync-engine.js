@@ -0,0 +1,812 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+
+// Sync engine shared by the app (index.js) and the service worker (sw.js), so
+// that Background Sync can drain the queue while no tab is open.
+// A classic script without DOM access: the service worker loads it with
+// importScripts and the page with a <script> tag. It exposes self.PosSyncEngine
+// and works on the POS_DB connection handed to attach().
+
+(function() {
+'use strict';
+
+const SYNC_LOCK_NAME = 'pos-sync';
+
+let db = null;
+
+/**
+ * Points the engine at an open POS_DB connection.
+ * @param {IDBDatabase} database
+ */
+function attach(database) {
+    db = database;
+}
+
+function requestFromStore(storeName, mode, makeRequest) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            reject('Database not attached to the sync engine');
+            return;
+        }
+        const request = makeRequest(db.transaction([storeName], mode).objectStore(storeName));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+const getFromDB = (storeName, key) => requestFromStore(storeName, 'readonly', store => store.get(key));
+const getAllFromDB = storeName => requestFromStore(storeName, 'readonly', store => store.getAll());
+const putToDB = (storeName, value) => requestFromStore(storeName, 'readwrite', store => store.put(value));
+const deleteFromDB = (storeName, key) => requestFromStore(storeName, 'readwrite', store => store.delete(key));
+
+async function getSettingFromDB(key) {
+    const setting = await getFromDB('settings', key);
+    return setting ? setting.value : undefined;
+}
+
+async function putSettingToDB(setting) {
+    return putToDB('settings', setting);
+}
+
+// Maps the entity part of a sync action (e.g. CREATE_PRODUCT) to its object store.
+// Store names double as the REST resource names on the sync server.
+const SYNC_ENTITY_STORES = {
+    PRODUCT: 'products',
+    CATEGORY: 'categories',
+    FEE: 'fees',
+    TRANSACTION: 'transactions',
+    REFUND: 'refunds',
+    PROMO_CODE: 'promo_codes',
+    ORDER: 'orders',
+    CUSTOMER: 'customers',
+    CREDIT_PAYMENT: 'credit_payments'
+};
+
+// Stores refreshed from the server on every sync. Transactions, refunds and kasbon
+// repayments are push-only: they reference local product and customer ids, which
+// differ between devices. Self-orders are pulled so the staff device sees the kiosk's
+// queue; their items carry serverId and barcode for that reason.
+const PULL_STORES = ['categories', 'products', 'fees', 'promo_codes', 'orders', 'customers'];
+
+// Fields used to link records created on several devices before their first sync.
+const SYNC_NATURAL_KEYS = {
+    products: 'barcode',
+    categories: 'name',
+    promo_codes: 'code',
+    customers: 'phone'
+};
+
+// Counters that only sync as deltas, so that sales on several devices add up on the
+// server instead of overwriting each other. `path` is the server's adjustment endpoint.
+const SYNC_COUNTERS = {
+    products: { field: 'stock', path: 'stock-adjustments' },
+    customers: { field: 'points', path: 'points-adjustments' }
+};
+
+// Actions whose name does not follow the VERB_ENTITY pattern.
+const SYNC_SPECIAL_ACTIONS = {
+    // Payload: { id, serverId, delta, reason, transactionId, adjustmentId, createdAt }
+    STOCK_ADJUSTMENT: { verb: 'ADJUST', storeName: 'products' },
+    POINTS_ADJUSTMENT: { verb: 'ADJUST', storeName: 'customers' },
+    // Payload: { id, serverId, voidedAt, voidReason }
+    VOID_TRANSACTION: { verb: 'VOID', storeName: 'transactions' }
+};
+
+// Fields checked for conflicting edits when a pulled record has unsent local changes.
+// Counters are not among them: they only sync as deltas, which never conflict.
+const SYNC_CONFLICT_FIELDS = {
+    products: ['name', 'price'],
+    categories: ['name']
+};
+
+// Retry policy for tasks the server rejects. The delay doubles after every failed
+// attempt; a task that still fails after the last attempt moves to sync_dead_letter.
+const SYNC_MAX_ATTEMPTS = 6;
+const SYNC_RETRY_BASE_DELAY = 30 * 1000;
+const SYNC_RETRY_MAX_DELAY = 30 * 60 * 1000;
+
+/**
+ * Splits a queued sync action into its verb and target store.
+ * @param {string} action - e.g. 'UPDATE_PRODUCT'.
+ * @returns {{verb: string, storeName: string | undefined}}
+ */
+function parseSyncAction(action) {
+    if (SYNC_SPECIAL_ACTIONS[action]) return SYNC_SPECIAL_ACTIONS[action];
+    const [verb, ...entity] = action.split('_');
+    return { verb, storeName: SYNC_ENTITY_STORES[entity.join('_')] };
+}
+
+function syncActionFor(verb, storeName) {
+    const entity = Object.keys(SYNC_ENTITY_STORES).find(key => SYNC_ENTITY_STORES[key] === storeName);
+    return `${verb}_${entity}`;
+}
+
+const syncRecordKey = (storeName, localId) => `${storeName}:${localId}`;
+
+/**
+ * Snapshots the conflict-checked fields of a record as last seen on the server.
+ * Stored on the local record as `syncBase`, it is the common ancestor for merges.
+ * @returns {object | undefined}
+ */
+function pickSyncBase(storeName, record) {
+    const fields = SYNC_CONFLICT_FIELDS[storeName];
+    if (!fields) return undefined;
+    return Object.fromEntries(fields.map(field => [field, record[field]]));
+}
+
+/**
+ * Three-way merges a server record into a local record that has unsent edits.
+ * Fields changed on one side only take that side's value.
+ * @returns {{merged: object, conflicts: {field: string, base: *, local: *, server: *}[]}}
+ */
+function mergeSyncRecord(storeName, localRecord, serverRecord) {
+    const base = localRecord.syncBase;
+    const merged = {
+        ...localRecord,
+        serverId: serverRecord.serverId,
+        syncBase: pickSyncBase(storeName, serverRecord)
+    };
+    const conflicts = [];
+
+    SYNC_CONFLICT_FIELDS[storeName].forEach(field => {
+        const localValue = localRecord[field];
+        const serverValue = serverRecord[field];
+        if (localValue === serverValue) return;
+
+        // Without a common ancestor there is no telling which side changed
+        if (!base) {
+            conflicts.push({ field, base: undefined, local: localValue, server: serverValue });
+            return;
+        }
+
+        const localChanged = localValue !== base[field];
+        const serverChanged = serverValue !== base[field];
+        if (!localChanged) {
+            merged[field] = serverValue;
+            return;
+        }
+        if (!serverChanged) return;
+
+        conflicts.push({ field, base: base[field], local: localValue, server: serverValue });
+    });
+
+    return { merged, conflicts };
+}
+
+/**
+ * Replaces every queued CREATE/UPDATE of a record with a single UPDATE carrying
+ * its merged state, so stale snapshots never overwrite the merge on the server.
+ * @param {IDBObjectStore} queueStore - The sync_queue store of an open transaction.
+ */
+function requeueMergedRecord(queueStore, storeName, record, pendingTasks) {
+    pendingTasks.forEach(task => queueStore.delete(task.id));
+    queueStore.put({ action: syncActionFor('UPDATE', storeName), payload: record, timestamp: new Date().toISOString() });
+}
+
+/**
+ * Collapses queued tasks that a later task makes redundant, per record:
+ * CREATE/UPDATE followed by UPDATEs becomes one task with the latest snapshot,
+ * UPDATE followed by DELETE becomes the DELETE, and CREATE followed by DELETE
+ * disappears. Consecutive manual adjustments of a counter are summed. The surviving
+ * task takes the place of the last one it replaces.
+ * Adjustments that were ever sent keep their adjustmentId, because the server
+ * may already have applied them.
+ * @param {object[]} tasks - sync_queue entries in queue order.
+ * @returns {{removedIds: number[], updatedTasks: object[]}}
+ */
+function coalesceSyncTasks(tasks) {
+    const removedIds = [];
+    const updatedTasks = new Map(); // task id -> rewritten task
+    const lastTasks = new Map(); // record key -> surviving CREATE/UPDATE, or surviving adjustment
+
+    tasks.forEach(task => {
+        const { verb, storeName } = parseSyncAction(task.action);
+        if (!storeName) return;
+        const key = syncRecordKey(storeName, task.payload.id);
+
+        if (verb === 'ADJUST') {
+            const adjustmentKey = `${key}:${SYNC_COUNTERS[storeName].field}`;
+            const previous = lastTasks.get(adjustmentKey);
+            const isMergeable = t => !t.lastAttemptAt && !t.payload.transactionId;
+            if (previous && isMergeable(previous) && isMergeable(task) && previous.payload.reason === task.payload.reason) {
+                const merged = { ...task, payload: { ...task.payload, delta: previous.payload.delta + task.payload.delta } };
+                removedIds.push(previous.id);
+                updatedTasks.delete(previous.id);
+                updatedTasks.set(task.id, merged);
+                lastTasks.set(adjustmentKey, merged);
+            } else {
+                lastTasks.set(adjustmentKey, task);
+            }
+            return;
+        }
+
+        // A void is a server action of its own, not an edit to fold into the CREATE
+        if (verb === 'VOID') return;
+
+        const previous = lastTasks.get(key);
+        if (verb === 'DELETE') {
+            lastTasks.delete(key);
+            if (!previous) return;
+            removedIds.push(previous.id);
+            updatedTasks.delete(previous.id);
+            // The record never reached the server, so there is nothing to delete there
+            if (parseSyncAction(previous.action).verb === 'CREATE' && !previous.lastAttemptAt && !task.payload.serverId) {
+                removedIds.push(task.id);
+            }
+            return;
+        }
+
+        if (previous) {
+            const merged = { ...task, action: previous.action };
+            removedIds.push(previous.id);
+            updatedTasks.delete(previous.id);
+            updatedTasks.set(task.id, merged);
+            lastTasks.set(key, merged);
+        } else {
+            lastTasks.set(key, task);
+        }
+    });
+
+    return { removedIds, updatedTasks: [...updatedTasks.values()] };
+}
+
+/**
+ * Applies coalesceSyncTasks to the stored queue in one transaction.
+ */
+async function compactSyncQueue() {
+    const { removedIds, updatedTasks } = coalesceSyncTasks(await getAllFromDB('sync_queue'));
+    if (removedIds.length === 0) return;
+
+    console.log(`[SYNC] Coalesced ${removedIds.length} redundant queued task(s).`);
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction('sync_queue', 'readwrite');
+        const queueStore = tx.objectStore('sync_queue');
+        removedIds.forEach(id => queueStore.delete(id));
+        updatedTasks.forEach(task => queueStore.put(task));
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Creates a transport that talks to the REST API of a sync server.
+ * server/sync-server.js is the reference implementation of that API.
+ * @param {{baseUrl: string, authToken?: string, deviceId: string}} config
+ * @returns {{ping: Function, push: Function, pull: Function}}
+ */
+function createHttpSyncTransport({ baseUrl, authToken, deviceId }) {
+    const root = baseUrl.replace(/\/+$/, '');
+
+    const request = async (method, path, body) => {
+        const headers = { 'Accept': 'application/json', 'X-Device-Id': deviceId };
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+        if (authToken) headers['Authorization'] = `Bearer ${authToken}`;
+
+        const response = await fetch(`${root}${path}`, {
+            method,
+            headers,
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+        const data = response.status === 204 ? {} : await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const error = new Error(data.error || `HTTP ${response.status} on ${method} ${path}`);
+            error.status = response.status;
+            throw error;
+        }
+        return data;
+    };
+
+    return {
+        ping: () => request('GET', '/api/health'),
+
+        /**
+         * Sends one change to the server.
+         * @param {{verb: string, resource: string, serverId?: string, payload: object}} change
+         * @returns {Promise<object>} The server response, with `serverId` for creations.
+         */
+        push({ verb, resource, serverId, payload }) {
+            const itemPath = `/api/${resource}/${encodeURIComponent(serverId)}`;
+            switch (verb) {
+                case 'CREATE': return request('POST', `/api/${resource}`, payload);
+                case 'UPDATE': return request('PUT', itemPath, payload);
+                case 'DELETE': return request('DELETE', itemPath);
+                case 'ADJUST': return request('POST', `${itemPath}/${SYNC_COUNTERS[resource].path}`, payload);
+                case 'VOID': return request('POST', `${itemPath}/void`, payload);
+                default: return Promise.reject(new Error(`Unsupported sync verb: ${verb}`));
+            }
+        },
+
+        /**
+         * Fetches records of one resource changed since the given server time.
+         * @returns {Promise<{items: object[], deleted: string[], serverTime: string}>}
+         */
+        pull(resource, since) {
+            const query = since ? `?since=${encodeURIComponent(since)}` : '';
+            return request('GET', `/api/${resource}${query}`);
+        }
+    };
+}
+
+// Available transports, selected by the 'syncTransport' setting.
+const syncTransports = {
+    http: createHttpSyncTransport
+};
+
+function createUniqueId() {
+    return self.crypto?.randomUUID
+        ? crypto.randomUUID()
+        : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+async function getDeviceId() {
+    let deviceId = await getSettingFromDB('deviceId');
+    if (!deviceId) {
+        deviceId = createUniqueId();
+        await putSettingToDB({ key: 'deviceId', value: deviceId });
+    }
+    return deviceId;
+}
+
+/**
+ * Builds the configured sync transport.
+ * @returns {Promise<object | null>} The transport, or null if no server is configured.
+ */
+async function getSyncTransport() {
+    const baseUrl = await getSettingFromDB('syncServerUrl');
+    if (!baseUrl) return null;
+
+    const transportName = (await getSettingFromDB('syncTransport')) || 'http';
+    const createTransport = syncTransports[transportName];
+    if (!createTransport) {
+        throw new Error(`Unknown sync transport: ${transportName}`);
+    }
+
+    return createTransport({
+        baseUrl,
+        authToken: await getSettingFromDB('syncAuthToken'),
+        deviceId: await getDeviceId()
+    });
+}
+
+/**
+ * Merges records pulled from the server into the local stores.
+ * Records are matched on serverId first, then on the store's natural key so
+ * that items created on several devices before their first sync are linked
+ * instead of violating the unique indexes. Records with unsent local edits are
+ * three-way merged; edits that cannot be merged are stored in sync_conflicts
+ * for the user to resolve and held back from the push. Counters such as product
+ * stock are always taken from the server plus the adjustments not yet pushed.
+ * @param {object} changes - Pull results keyed by store name.
+ * @returns {Promise<{changesMade: boolean, conflictCount: number}>}
+ */
+async function applyServerChanges(changes) {
+    const localData = {};
+    for (const storeName of PULL_STORES) {
+        localData[storeName] = await getAllFromDB(storeName);
+    }
+
+    const pendingEdits = new Map(); // record key -> queued CREATE/UPDATE tasks
+    const pendingDeletes = new Set(); // serverIds deleted locally but not yet on the server
+    const pendingDeltas = new Map(); // record key -> sum of unsent counter deltas
+    const addPendingDelta = (storeName, task) => {
+        const key = syncRecordKey(storeName, task.payload.id);
+        pendingDeltas.set(key, (pendingDeltas.get(key) || 0) + task.payload.delta);
+    };
+    for (const task of await getAllFromDB('sync_dead_letter')) {
+        // Dead-lettered adjustments still count until they are discarded
+        const { verb, storeName } = parseSyncAction(task.action);
+        if (verb === 'ADJUST') addPendingDelta(storeName, task);
+    }
+    (await getAllFromDB('sync_queue')).forEach(task => {
+        const { verb, storeName } = parseSyncAction(task.action);
+        if (verb === 'ADJUST') {
+            addPendingDelta(storeName, task);
+            return;
+        }
+        if (verb === 'DELETE') {
+            if (task.payload.serverId) pendingDeletes.add(task.payload.serverId);
+            return;
+        }
+        const key = syncRecordKey(storeName, task.payload.id);
+        pendingEdits.set(key, [...(pendingEdits.get(key) || []), task]);
+    });
+
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction([...PULL_STORES, 'sync_queue', 'sync_conflicts'], 'readwrite');
+        const queueStore = tx.objectStore('sync_queue');
+        const conflictStore = tx.objectStore('sync_conflicts');
+        let changesMade = false;
+        let conflictCount = 0;
+
+        PULL_STORES.forEach(storeName => {
+            const { items = [], deleted = [] } = changes[storeName] || {};
+            const store = tx.objectStore(storeName);
+            const naturalKey = SYNC_NATURAL_KEYS[storeName];
+            const counter = SYNC_COUNTERS[storeName];
+            const localRecords = localData[storeName];
+
+            const byServerId = new Map(localRecords.filter(r => r.serverId).map(r => [r.serverId, r]));
+            const byNaturalKey = new Map(naturalKey
+                ? localRecords.filter(r => !r.serverId && r[naturalKey]).map(r => [r[naturalKey], r])
+                : []);
+
+            items.forEach(serverRecord => {
+                if (pendingDeletes.has(serverRecord.serverId)) return;
+
+                const localRecord = byServerId.get(serverRecord.serverId) || byNaturalKey.get(serverRecord[naturalKey]);
+                if (!localRecord) {
+                    console.log(`[SYNC] Adding new server ${storeName}: ${serverRecord.name}`);
+                    const { id, ...recordToAdd } = serverRecord;
+                    store.put({ ...recordToAdd, syncBase: pickSyncBase(storeName, serverRecord) });
+                    changesMade = true;
+                    return;
+                }
+
+                const key = syncRecordKey(storeName, localRecord.id);
+                if (counter) {
+                    const value = (Number(serverRecord[counter.field]) || 0) + (pendingDeltas.get(key) || 0);
+                    serverRecord = { ...serverRecord, [counter.field]: value };
+                }
+
+                const pendingTasks = pendingEdits.get(key);
+                if (pendingTasks && SYNC_CONFLICT_FIELDS[storeName]) {
+                    const { merged, conflicts } = mergeSyncRecord(storeName, localRecord, serverRecord);
+                    if (conflicts.length > 0) {
+                        console.warn(`[SYNC] Conflict on ${storeName} ${localRecord.name}:`, conflicts);
+                        conflictStore.put({
+                            key,
+                            storeName,
+                            localId: localRecord.id,
+                            name: localRecord.name,
+                            serverRecord,
+                            fields: conflicts,
+                            detectedAt: new Date().toISOString()
+                        });
+                        // Link the record so later pulls match it on serverId; counters are never in conflict
+                        const linked = { ...localRecord, serverId: serverRecord.serverId };
+                        if (counter) linked[counter.field] = serverRecord[counter.field];
+                        store.put(linked);
+                        conflictCount++;
+                        return;
+                    }
+                    console.log(`[SYNC] Merged server changes into locally edited ${storeName}: ${localRecord.name}`);
+                    if (counter) merged[counter.field] = serverRecord[counter.field];
+                    store.put(merged);
+                    requeueMergedRecord(queueStore, storeName, merged, pendingTasks);
+                    changesMade = true;
+                    return;
+                }
+
+                const isNewer = !localRecord.updatedAt || new Date(serverRecord.updatedAt) > new Date(localRecord.updatedAt);
+                if (!localRecord.serverId || isNewer) {
+                    console.log(`[SYNC] Updating local ${storeName}: ${localRecord.name} -> ${serverRecord.name}`);
+                    Object.assign(localRecord, serverRecord, { id: localRecord.id, syncBase: pickSyncBase(storeName, serverRecord) });
+                    store.put(localRecord);
+                    changesMade = true;
+                } else if (counter && localRecord[counter.field] !== serverRecord[counter.field]) {
+                    console.log(`[SYNC] Updating local ${counter.field} of ${localRecord.name}: ${localRecord[counter.field]} -> ${serverRecord[counter.field]}`);
+                    store.put({ ...localRecord, [counter.field]: serverRecord[counter.field] });
+                    changesMade = true;
+                }
+            });
+
+            deleted.forEach(serverIdToDelete => {
+                const localRecordToDelete = byServerId.get(serverIdToDelete);
+                if (localRecordToDelete) {
+                    console.log(`[SYNC] Deleting local ${storeName} as instructed by server: ${localRecordToDelete.name}`);
+                    store.delete(localRecordToDelete.id);
+                    changesMade = true;
+                }
+            });
+        });
+
+        tx.oncomplete = () => resolve({ changesMade, conflictCount });
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Sums the counter deltas of a record that have not reached the server yet,
+ * including dead-lettered ones.
+ * @returns {Promise<number>}
+ */
+async function getPendingDelta(storeName, localId) {
+    const tasks = [...await getAllFromDB('sync_queue'), ...await getAllFromDB('sync_dead_letter')];
+    return tasks
+        .filter(task => {
+            const action = parseSyncAction(task.action);
+            return action.verb === 'ADJUST' && action.storeName === storeName && task.payload.id === localId;
+        })
+        .reduce((sum, task) => sum + task.payload.delta, 0);
+}
+
+
+/**
+ * Records the server ID of a pushed record and the values the server now holds.
+ */
+async function markRecordSynced(storeName, localId, serverId, pushedRecord) {
+    const item = await getFromDB(storeName, localId);
+    if (item) {
+        item.serverId = serverId;
+        item.syncBase = pickSyncBase(storeName, pushedRecord);
+        await putToDB(storeName, item);
+    }
+}
+
+/**
+ * Creates a local record on the server.
+ * @returns {Promise<string>} The server ID assigned to the record.
+ */
+async function pushRecordCreate(transport, storeName, record, createdServerIds) {
+    const { syncBase, ...payload } = record;
+    const counter = SYNC_COUNTERS[storeName];
+    if (counter) {
+        // Create the record with the count it had before the adjustments still in
+        // the queue; those are pushed as deltas once the record exists.
+        const current = await getFromDB(storeName, record.id);
+        if (current) payload[counter.field] = (current[counter.field] || 0) - await getPendingDelta(storeName, record.id);
+    }
+    if (storeName === 'refunds') {
+        // The sale's CREATE was queued first, so it normally has its server ID by now
+        const sale = await getFromDB('transactions', record.transactionId);
+        payload.transactionServerId = sale?.serverId || null;
+    }
+
+    const response = await transport.push({ verb: 'CREATE', resource: storeName, payload });
+    createdServerIds.set(syncRecordKey(storeName, record.id), response.serverId);
+    await markRecordSynced(storeName, record.id, response.serverId, payload);
+    return response.serverId;
+}
+
+/**
+ * Pushes one queued task to the server. Throws if the server could not be reached
+ * or rejected the change, in which case the task stays queued.
+ * @param {object} transport
+ * @param {object} task - A sync_queue entry.
+ * @param {Map<string, string>} createdServerIds - Server IDs assigned earlier in this run,
+ *   for tasks queued before their record's CREATE was pushed.
+ */
+async function pushSyncTask(transport, task, createdServerIds) {
+    const { verb, storeName } = parseSyncAction(task.action);
+    const localId = task.payload.id;
+
+    let serverId = task.payload.serverId || createdServerIds.get(syncRecordKey(storeName, localId));
+    if (!serverId && localId !== undefined) {
+        serverId = (await getFromDB(storeName, localId))?.serverId;
+    }
+
+    const pushExisting = async (change) => {
+        try {
+            await transport.push({ resource: storeName, serverId, ...change });
+            return true;
+        } catch (error) {
+            // The item is gone on the server; there is nothing left to change.
+            if (error.status !== 404) throw error;
+            console.warn(`[SYNC] ${task.action} skipped, item no longer exists on server.`);
+            return false;
+        }
+    };
+
+    if (verb === 'DELETE') {
+        // A deletion of an item that never reached the server has nothing to remove
+        if (serverId) await pushExisting({ verb });
+        return;
+    }
+
+    if (verb === 'ADJUST') {
+        if (!serverId) {
+            const record = await getFromDB(storeName, localId);
+            if (!record) return; // Deleted locally before it ever reached the server
+            serverId = await pushRecordCreate(transport, storeName, record, createdServerIds);
+        }
+        const { id, serverId: _, ...adjustment } = task.payload;
+        await pushExisting({ verb, payload: adjustment });
+        return;
+    }
+
+    if (verb === 'VOID') {
+        // The sale's CREATE is queued first; if it still has no server ID it was
+        // dead-lettered, so send the current (voided) record in its place
+        if (!serverId) {
+            const sale = await getFromDB('transactions', localId);
+            if (!sale) return;
+            await pushRecordCreate(transport, storeName, sale, createdServerIds);
+            return;
+        }
+        const { id, serverId: _, ...voidInfo } = task.payload;
+        await pushExisting({ verb, payload: voidInfo });
+        return;
+    }
+
+    // CREATE or UPDATE: an item that never reached the server is created, one that did is updated
+    if (!serverId) {
+        await pushRecordCreate(transport, storeName, task.payload, createdServerIds);
+        return;
+    }
+
+    const { syncBase, ...payload } = task.payload;
+    // Counters on the server only change through adjustments
+    if (SYNC_COUNTERS[storeName]) delete payload[SYNC_COUNTERS[storeName].field];
+    if (await pushExisting({ verb: 'UPDATE', payload })) {
+        await markRecordSynced(storeName, localId, serverId, payload);
+    }
+}
+
+/**
+ * Tells a rejected task apart from a failure that would hit every task alike
+ * (no connection, bad token, local database error), which aborts the whole run.
+ */
+function isSyncTaskError(error) {
+    return error.status >= 400 && error.status !== 401 && error.status !== 403;
+}
+
+function getSyncRetryDelay(attempts) {
+    return Math.min(SYNC_RETRY_BASE_DELAY * 2 ** (attempts - 1), SYNC_RETRY_MAX_DELAY);
+}
+
+/**
+ * Moves a sync task between sync_queue and sync_dead_letter in one transaction.
+ */
+function moveSyncTask(task, fromStore, toStore) {
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction([fromStore, toStore], 'readwrite');
+        tx.objectStore(fromStore).delete(task.id);
+        tx.objectStore(toStore).put(task);
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Counts a failed push attempt and schedules the next one, or dead-letters the
+ * task once it has used up its attempts.
+ * @returns {Promise<boolean>} True if the task was moved to sync_dead_letter.
+ */
+async function recordSyncTaskFailure(task, error) {
+    const attempts = (task.attempts || 0) + 1;
+    const failedTask = {
+        ...task,
+        attempts,
+        lastError: error.message,
+        lastAttemptAt: new Date().toISOString()
+    };
+
+    if (attempts >= SYNC_MAX_ATTEMPTS) {
+        console.error(`[SYNC] ${task.action} failed ${attempts} times, moving it to the dead-letter store.`);
+        await moveSyncTask({ ...failedTask, nextAttemptAt: null }, 'sync_queue', 'sync_dead_letter');
+        return true;
+    }
+
+    failedTask.nextAttemptAt = new Date(Date.now() + getSyncRetryDelay(attempts)).toISOString();
+    console.warn(`[SYNC] ${task.action} failed (attempt ${attempts}), retrying after ${failedTask.nextAttemptAt}.`);
+    await putToDB('sync_queue', failedTask);
+    return false;
+}
+
+/**
+ * Pulls server changes into the local stores, then pushes the queue.
+ * @param {object} [options]
+ * @param {boolean} [options.ignoreBackoff] - Push backed-off tasks right away.
+ * @param {Function} [options.onProgress] - Called with 'pull', then with 'push' and the number of queued tasks.
+ * @returns {Promise<{configured: boolean, changesMade?: boolean, conflictCount?: number,
+ *   hasConflicts?: boolean, failedCount?: number, deadLetterCount?: number}>}
+ *   Throws if the server could not be reached; tasks it rejected are counted instead.
+ */
+async function runSyncUnlocked({ ignoreBackoff = false, onProgress = () => {} } = {}) {
+    const transport = await getSyncTransport();
+    if (!transport) return { configured: false };
+
+    // --- 1. PULL server changes to local ---
+    // Pulling first lets unsent local edits be merged with, rather than
+    // overwrite, what other devices changed in the meantime.
+    onProgress('pull');
+    const lastSync = await getSettingFromDB('lastSync');
+    const serverChanges = {};
+    let serverTime = null;
+    for (const storeName of PULL_STORES) {
+        serverChanges[storeName] = await transport.pull(storeName, lastSync);
+        // Use the time of the first response so nothing changed mid-pull is skipped next time
+        serverTime = serverTime || serverChanges[storeName].serverTime;
+    }
+
+    console.log('[SYNC] Received from server:', serverChanges);
+
+    const { changesMade, conflictCount } = await applyServerChanges(serverChanges);
+    if (!changesMade) {
+        console.log('[SYNC] Tidak ada pembaruan dari server.');
+    }
+
+    // --- 2. PUSH local changes to server ---
+    let failedCount = 0;
+    let deadLetterCount = 0;
+    const conflictKeys = new Set((await getAllFromDB('sync_conflicts')).map(c => c.key));
+    await compactSyncQueue();
+    const syncQueue = await getAllFromDB('sync_queue');
+    if (syncQueue.length > 0) {
+        onProgress('push', syncQueue.length);
+
+        // Server IDs assigned during this run, for tasks queued before their CREATE was pushed
+        const createdServerIds = new Map();
+        // Records with a task that failed or is waiting for its retry; later tasks
+        // for the same record wait too so they never overtake it
+        const blockedKeys = new Set();
+        const now = Date.now();
+
+        for (const task of syncQueue) {
+            const { storeName } = parseSyncAction(task.action);
+            if (!storeName) {
+                console.warn(`[SYNC] Dropping task with unknown action: ${task.action}`);
+                await deleteFromDB('sync_queue', task.id);
+                continue;
+            }
+            const recordKey = syncRecordKey(storeName, task.payload.id);
+            if (conflictKeys.has(recordKey)) {
+                console.log(`[SYNC] Holding back ${task.action} until its conflict is resolved.`);
+                continue;
+            }
+            if (blockedKeys.has(recordKey)) continue;
+            if (!ignoreBackoff && task.nextAttemptAt && new Date(task.nextAttemptAt).getTime() > now) {
+                blockedKeys.add(recordKey);
+                continue;
+            }
+
+            console.log(`[SYNC] Processing: ${task.action}`, task.payload);
+            try {
+                await pushSyncTask(transport, task, createdServerIds);
+            } catch (error) {
+                if (!isSyncTaskError(error)) {
+                    // The request may still have reached the server; see coalesceSyncTasks
+                    await putToDB('sync_queue', { ...task, lastAttemptAt: new Date().toISOString() });
+                    throw error;
+                }
+                blockedKeys.add(recordKey);
+                if (await recordSyncTaskFailure(task, error)) {
+                    deadLetterCount++;
+                } else {
+                    failedCount++;
+                }
+                continue;
+            }
+
+            // Remove successfully processed task from the queue
+            await deleteFromDB('sync_queue', task.id);
+        }
+    }
+
+    await putSettingToDB({ key: 'lastSync', value: serverTime || new Date().toISOString() });
+    return {
+        configured: true,
+        changesMade,
+        conflictCount,
+        hasConflicts: conflictKeys.size > 0,
+        failedCount,
+        deadLetterCount
+    };
+}
+
+/**
+ * Runs a sync. The app and the service worker may both start one, so runs are
+ * serialized with a Web Lock where the browser supports it.
+ */
+function runSync(options) {
+    if (self.navigator.locks) {
+        return self.navigator.locks.request(SYNC_LOCK_NAME, () => runSyncUnlocked(options));
+    }
+    return runSyncUnlocked(options);
+}
+
+self.PosSyncEngine = {
+    attach,
+    runSync,
+    getSyncTransport,
+    parseSyncAction,
+    syncRecordKey,
+    mergeSyncRecord,
+    requeueMergedRecord,
+    moveSyncTask,
+    createUniqueId,
+    getDeviceId
+};
+})();
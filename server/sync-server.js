@@ -0,0 +1,313 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+
+// Reference sync server for POS Mobile.
+// Implements the REST API used by the app's HTTP sync transport so the whole
+// offline -> online sync loop can run on a development machine.
+//
+// Usage:   node server/sync-server.js [--port 8787] [--data ./sync-data.json] [--token secret]
+// Env:     SYNC_PORT, SYNC_DATA_FILE, SYNC_AUTH_TOKEN
+//
+// Without --data everything is kept in memory and lost on restart.
+
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+
+const RESOURCES = ['products', 'categories', 'fees', 'transactions', 'refunds', 'promo_codes', 'orders', 'customers', 'credit_payments'];
+
+// Creating a record whose natural key already exists links to the existing record
+const NATURAL_KEYS = {
+    products: 'barcode',
+    categories: 'name',
+    promo_codes: 'code',
+    customers: 'phone'
+};
+
+// Counters that only change through adjustments, so concurrent sales on several
+// devices add up. `action` is the endpoint below the record that takes them.
+const COUNTERS = {
+    products: { field: 'stock', action: 'stock-adjustments' },
+    customers: { field: 'points', action: 'points-adjustments' }
+};
+
+const MAX_BODY_BYTES = 20 * 1024 * 1024; // Product images are sent inline as base64
+
+// --- CONFIG ---
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const port = parseInt(args.port || process.env.SYNC_PORT, 10) || 8787;
+const dataFile = args.data || process.env.SYNC_DATA_FILE || null;
+const authToken = args.token || process.env.SYNC_AUTH_TOKEN || null;
+
+// --- STORAGE ---
+function createEmptyState() {
+    // adjustments maps each applied adjustment id to its record, so a retried
+    // adjustment is never counted twice
+    const state = { records: {}, deleted: {}, adjustments: {} };
+    RESOURCES.forEach(resource => {
+        state.records[resource] = {};
+        state.deleted[resource] = {};
+    });
+    return state;
+}
+
+function loadState() {
+    const state = createEmptyState();
+    if (!dataFile || !fs.existsSync(dataFile)) return state;
+
+    const saved = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+    RESOURCES.forEach(resource => {
+        Object.assign(state.records[resource], saved.records?.[resource]);
+        Object.assign(state.deleted[resource], saved.deleted?.[resource]);
+    });
+    Object.assign(state.adjustments, saved.adjustments);
+    return state;
+}
+
+function saveState() {
+    if (!dataFile) return;
+    // Write to a temp file first so a crash never leaves a truncated data file
+    const tempFile = `${dataFile}.tmp`;
+    fs.mkdirSync(path.dirname(path.resolve(dataFile)), { recursive: true });
+    fs.writeFileSync(tempFile, JSON.stringify(state, null, 2));
+    fs.renameSync(tempFile, dataFile);
+}
+
+const state = loadState();
+
+/**
+ * Strips client-local fields from an incoming record.
+ * Local IndexedDB ids differ per device and must never be shared.
+ */
+function sanitizeRecord(body) {
+    const { id, serverId, updatedAt, ...record } = body || {};
+    return record;
+}
+
+/**
+ * Looks a record up by its server id.
+ * Ids come straight from the URL, so inherited keys such as __proto__ or
+ * constructor must never resolve to anything.
+ */
+function findRecord(resource, serverId) {
+    const records = state.records[resource];
+    return Object.hasOwn(records, serverId) ? records[serverId] : null;
+}
+
+function findByNaturalKey(resource, record) {
+    const key = NATURAL_KEYS[resource];
+    if (!key || record[key] === undefined || record[key] === null || record[key] === '') return null;
+    return Object.values(state.records[resource]).find(r => r[key] === record[key]) || null;
+}
+
+// --- HANDLERS ---
+function listChanges(resource, since) {
+    const sinceDate = since ? new Date(since) : new Date(0);
+    return {
+        items: Object.values(state.records[resource]).filter(r => new Date(r.updatedAt) > sinceDate),
+        deleted: Object.entries(state.deleted[resource])
+            .filter(([, deletedAt]) => new Date(deletedAt) > sinceDate)
+            .map(([serverId]) => serverId)
+    };
+}
+
+function createRecord(resource, body, deviceId) {
+    const now = new Date().toISOString();
+    const record = sanitizeRecord(body);
+
+    const existing = findByNaturalKey(resource, record);
+    if (existing) {
+        // The existing record's counter already holds other devices' adjustments
+        if (COUNTERS[resource]) delete record[COUNTERS[resource].field];
+        Object.assign(existing, record, { updatedAt: now, updatedBy: deviceId });
+        return { status: 200, body: { serverId: existing.serverId, updatedAt: now } };
+    }
+
+    const serverId = `${resource}_${randomUUID()}`;
+    state.records[resource][serverId] = { ...record, serverId, updatedAt: now, updatedBy: deviceId };
+    return { status: 201, body: { serverId, updatedAt: now } };
+}
+
+function updateRecord(resource, serverId, body, deviceId) {
+    const existing = findRecord(resource, serverId);
+    if (!existing) {
+        return { status: 404, body: { error: `${resource}/${serverId} not found` } };
+    }
+    const now = new Date().toISOString();
+    const record = sanitizeRecord(body);
+    // Counters only change through adjustments
+    if (COUNTERS[resource]) delete record[COUNTERS[resource].field];
+    Object.assign(existing, record, { updatedAt: now, updatedBy: deviceId });
+    return { status: 200, body: { serverId, updatedAt: now } };
+}
+
+function adjustCounter(resource, serverId, body, deviceId) {
+    const record = findRecord(resource, serverId);
+    if (!record) {
+        return { status: 404, body: { error: `${resource}/${serverId} not found` } };
+    }
+    const delta = Number(body?.delta);
+    if (!body?.adjustmentId || !Number.isFinite(delta)) {
+        return { status: 400, body: { error: 'adjustmentId and a numeric delta are required' } };
+    }
+
+    const { field } = COUNTERS[resource];
+    if (!Object.hasOwn(state.adjustments, body.adjustmentId)) {
+        record[field] = (Number(record[field]) || 0) + delta;
+        record.updatedAt = new Date().toISOString();
+        record.updatedBy = deviceId;
+        state.adjustments[body.adjustmentId] = serverId;
+    }
+    return { status: 200, body: { serverId, [field]: record[field], updatedAt: record.updatedAt } };
+}
+
+function voidTransaction(serverId, body, deviceId) {
+    const sale = findRecord('transactions', serverId);
+    if (!sale) {
+        return { status: 404, body: { error: `transactions/${serverId} not found` } };
+    }
+    // Voiding twice keeps the first void, so a retried request changes nothing
+    if (!sale.voidedAt) {
+        sale.voidedAt = body?.voidedAt || new Date().toISOString();
+        sale.voidReason = body?.voidReason || null;
+        sale.updatedAt = new Date().toISOString();
+        sale.updatedBy = deviceId;
+    }
+    return { status: 200, body: { serverId, updatedAt: sale.updatedAt } };
+}
+
+function deleteRecord(resource, serverId) {
+    if (findRecord(resource, serverId)) {
+        delete state.records[resource][serverId];
+        state.deleted[resource][serverId] = new Date().toISOString();
+    }
+    // Deleting twice is not an error; the client may retry after a dropped response
+    return { status: 204, body: null };
+}
+
+function route(method, pathname, query, body, deviceId) {
+    const [, api, resource, serverId, action, ...rest] = pathname.split('/');
+    if (api !== 'api' || rest.length > 0) {
+        return { status: 404, body: { error: 'Not found' } };
+    }
+
+    if (action) {
+        if (COUNTERS[resource]?.action === action && method === 'POST') {
+            return adjustCounter(resource, decodeURIComponent(serverId), body, deviceId);
+        }
+        if (resource === 'transactions' && action === 'void' && method === 'POST') {
+            return voidTransaction(decodeURIComponent(serverId), body, deviceId);
+        }
+        return { status: 404, body: { error: 'Not found' } };
+    }
+
+    if (resource === 'health' && method === 'GET') {
+        return { status: 200, body: { ok: true } };
+    }
+    if (!RESOURCES.includes(resource)) {
+        return { status: 404, body: { error: `Unknown resource: ${resource}` } };
+    }
+
+    if (!serverId) {
+        if (method === 'GET') return { status: 200, body: listChanges(resource, query.get('since')) };
+        if (method === 'POST') return createRecord(resource, body, deviceId);
+    } else {
+        const id = decodeURIComponent(serverId);
+        if (method === 'GET') {
+            const record = findRecord(resource, id);
+            return record ? { status: 200, body: record } : { status: 404, body: { error: `${resource}/${id} not found` } };
+        }
+        if (method === 'PUT') return updateRecord(resource, id, body, deviceId);
+        if (method === 'DELETE') return deleteRecord(resource, id);
+    }
+    return { status: 405, body: { error: `${method} not allowed on ${pathname}` } };
+}
+
+// --- HTTP ---
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Device-Id'
+};
+
+function send(res, status, body) {
+    const headers = { ...CORS_HEADERS };
+    if (body !== null) {
+        headers['Content-Type'] = 'application/json';
+        // serverTime lets clients use the server clock as their sync watermark
+        body = JSON.stringify({ ...body, serverTime: new Date().toISOString() });
+    }
+    res.writeHead(status, headers);
+    res.end(body === null ? undefined : body);
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (chunks.length === 0) return resolve(undefined);
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(Object.assign(new Error('Invalid JSON body'), { status: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') {
+        send(res, 204, null);
+        return;
+    }
+
+    if (authToken && req.headers.authorization !== `Bearer ${authToken}`) {
+        send(res, 401, { error: 'Invalid or missing auth token' });
+        return;
+    }
+
+    try {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+        const body = await readBody(req);
+        const deviceId = req.headers['x-device-id'] || null;
+        const result = route(req.method, url.pathname, url.searchParams, body, deviceId);
+
+        if (req.method !== 'GET' && result.status < 300) saveState();
+        console.log(`${req.method} ${url.pathname} -> ${result.status}`);
+        send(res, result.status, result.body);
+    } catch (error) {
+        console.error(`${req.method} ${req.url} failed:`, error.message);
+        send(res, error.status || 500, { error: error.message });
+    }
+});
+
+server.listen(port, () => {
+    console.log(`POS sync server listening on http://localhost:${port}`);
+    console.log(dataFile ? `Persisting data to ${path.resolve(dataFile)}` : 'Keeping data in memory only');
+    if (authToken) console.log('Auth token required on every request');
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { feeAppliesTo, calculateFees } from '../fee-engine.js';
+
+const line = (id, amount, extra = {}) => ({ id, amount, ...extra });
+
+test('a fee without a scope charges every line', () => {
+    assert.equal(feeAppliesTo({ scope: null }, line(1, 1000)), true);
+});
+
+test('a category-scoped fee only charges lines in its categories', () => {
+    const fee = { scope: { categories: ['Makanan'] } };
+    assert.equal(feeAppliesTo(fee, line(1, 1000, { category: 'Makanan' })), true);
+    assert.equal(feeAppliesTo(fee, line(2, 1000, { category: 'Minuman' })), false);
+});
+
+test('a product-scoped fee matches lines by barcode, not by local id', () => {
+    const fee = { scope: { barcodes: ['899100'] } };
+    assert.equal(feeAppliesTo(fee, line(7, 1000, { barcode: '899100' })), true);
+    // Another device may use the same local id for a different product
+    assert.equal(feeAppliesTo(fee, line(7, 1000, { barcode: '899200' })), false);
+    assert.equal(feeAppliesTo(fee, line(7, 1000)), false);
+});
+
+test('a scoped fee is worked out on the matching lines only', () => {
+    const fee = { id: 1, name: 'PB1', type: 'percentage', value: 10, scope: { barcodes: ['899100'] } };
+    const lines = [line(1, 20000, { barcode: '899100' }), line(2, 50000, { barcode: '899200' })];
+    const { fees, totalFees } = calculateFees(lines, [fee]);
+    assert.equal(fees.length, 1);
+    assert.equal(totalFees, 2000);
+});
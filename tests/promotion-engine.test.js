@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isPromotionRunning, isWithinValidDates, evaluatePromotions } from '../promotion-engine.js';
+
+// Wednesday 15 October 2025, 14:30 local time
+const WEDNESDAY_AFTERNOON = new Date(2025, 9, 15, 14, 30);
+
+const item = (id, quantity, effectivePrice, extra = {}) => ({ id, quantity, effectivePrice, ...extra });
+
+const buyXGetY = (extra = {}) => ({
+    id: 1, name: 'Beli 2 Gratis 1', type: 'buy_x_get_y', active: true,
+    productId: 10, buyQuantity: 2, freeQuantity: 1, ...extra
+});
+
+const bundle = (extra = {}) => ({
+    id: 2, name: 'Paket Hemat', type: 'bundle', active: true,
+    bundleItems: [{ productId: 10, quantity: 1 }, { productId: 20, quantity: 1 }], bundlePrice: 15000, ...extra
+});
+
+const happyHour = (extra = {}) => ({
+    id: 3, name: 'Happy Hour', type: 'happy_hour', active: true,
+    category: 'Minuman', percentage: 20, startTime: '14:00', endTime: '16:00', days: [], ...extra
+});
+
+test('buy X get Y gives the free units of every complete group', () => {
+    const applied = evaluatePromotions([item(10, 7, 5000)], [buyXGetY()], WEDNESDAY_AFTERNOON);
+    // 7 units make two groups of 2 + 1; the seventh unit is paid
+    assert.deepEqual(applied, [{ promotionId: 1, name: 'Beli 2 Gratis 1', type: 'buy_x_get_y', amount: 10000 }]);
+});
+
+test('buy X get Y gives nothing for an incomplete group', () => {
+    assert.deepEqual(evaluatePromotions([item(10, 2, 5000)], [buyXGetY()], WEDNESDAY_AFTERNOON), []);
+});
+
+test('bundles claim their units before buy X get Y', () => {
+    const items = [item(10, 3, 10000), item(20, 1, 8000)];
+    // Listed first, but buy X get Y still runs after the bundle
+    const applied = evaluatePromotions(items, [buyXGetY(), bundle()], WEDNESDAY_AFTERNOON);
+
+    // The bundle takes one unit of product 10, leaving two: too few for a 2 + 1 group
+    assert.deepEqual(applied, [{ promotionId: 2, name: 'Paket Hemat', type: 'bundle', amount: 3000 }]);
+});
+
+test('a bundle dearer than its parts leaves the units for other promotions', () => {
+    const items = [item(10, 3, 5000), item(20, 1, 5000)];
+    const applied = evaluatePromotions(items, [bundle({ bundlePrice: 12000 }), buyXGetY()], WEDNESDAY_AFTERNOON);
+    assert.deepEqual(applied.map(p => p.type), ['buy_x_get_y']);
+    assert.equal(applied[0].amount, 5000);
+});
+
+test('happy hour only takes off units no other promotion claimed', () => {
+    const items = [item(10, 3, 5000, { category: 'Minuman' }), item(30, 2, 4000, { category: 'Minuman' })];
+    const applied = evaluatePromotions(items, [happyHour(), buyXGetY()], WEDNESDAY_AFTERNOON);
+    assert.deepEqual(applied.map(p => p.type), ['buy_x_get_y', 'happy_hour']);
+    // Product 10 is fully claimed by the 2 + 1 group; 20% off the 2 x 4.000 of product 30
+    assert.equal(applied[1].amount, 1600);
+});
+
+test('happy hour skips other categories', () => {
+    const items = [item(30, 1, 10000, { category: 'Makanan' })];
+    assert.deepEqual(evaluatePromotions(items, [happyHour()], WEDNESDAY_AFTERNOON), []);
+});
+
+test('happy hour runs inside its time window only', () => {
+    const promotion = happyHour();
+    assert.equal(isPromotionRunning(promotion, new Date(2025, 9, 15, 14, 0)), true);
+    assert.equal(isPromotionRunning(promotion, new Date(2025, 9, 15, 13, 59)), false);
+    // The end time itself is outside the window
+    assert.equal(isPromotionRunning(promotion, new Date(2025, 9, 15, 16, 0)), false);
+});
+
+test('a happy hour window ending before it starts runs past midnight', () => {
+    const promotion = happyHour({ startTime: '22:00', endTime: '02:00' });
+    assert.equal(isPromotionRunning(promotion, new Date(2025, 9, 15, 23, 30)), true);
+    assert.equal(isPromotionRunning(promotion, new Date(2025, 9, 16, 1, 30)), true);
+    assert.equal(isPromotionRunning(promotion, new Date(2025, 9, 16, 2, 30)), false);
+});
+
+test('happy hour runs on its days only', () => {
+    // getDay(): 0 is Sunday, 3 is Wednesday
+    assert.equal(isPromotionRunning(happyHour({ days: [3, 5] }), WEDNESDAY_AFTERNOON), true);
+    assert.equal(isPromotionRunning(happyHour({ days: [0, 6] }), WEDNESDAY_AFTERNOON), false);
+});
+
+test('promotions outside their dates or switched off do not run', () => {
+    assert.equal(isPromotionRunning(buyXGetY({ validFrom: '2025-10-16' }), WEDNESDAY_AFTERNOON), false);
+    assert.equal(isPromotionRunning(buyXGetY({ validUntil: '2025-10-14' }), WEDNESDAY_AFTERNOON), false);
+    assert.equal(isPromotionRunning(buyXGetY({ validFrom: '2025-10-15', validUntil: '2025-10-15' }), WEDNESDAY_AFTERNOON), true);
+    assert.equal(isPromotionRunning(buyXGetY({ active: false }), WEDNESDAY_AFTERNOON), false);
+});
+
+test('lines with an overridden price are left out of every promotion', () => {
+    const items = [
+        item(10, 3, 4000, { category: 'Minuman', priceOverridden: true }),
+        item(20, 1, 8000, { category: 'Minuman', priceOverridden: true })
+    ];
+    assert.deepEqual(evaluatePromotions(items, [buyXGetY(), bundle(), happyHour()], WEDNESDAY_AFTERNOON), []);
+});
+
+test('valid dates are whole local days', () => {
+    const promoCode = { code: 'HEMAT', validFrom: '2025-10-15', validUntil: '2025-10-15' };
+    // Just after local midnight, which is still the previous day in UTC east of Greenwich
+    assert.equal(isWithinValidDates(promoCode, new Date(2025, 9, 15, 0, 30)), true);
+    assert.equal(isWithinValidDates(promoCode, new Date(2025, 9, 15, 23, 59)), true);
+    assert.equal(isWithinValidDates(promoCode, new Date(2025, 9, 16, 0, 0)), false);
+    assert.equal(isWithinValidDates(promoCode, new Date(2025, 9, 14, 23, 59)), false);
+    assert.equal(isWithinValidDates({ code: 'SELALU' }, WEDNESDAY_AFTERNOON), true);
+});